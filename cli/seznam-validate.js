@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+// Headless Creative Validator
+// Runs the same compatibility checks as the browser app (findMatchingFormats + validateFileForFormat)
+// against a creative folder, ZIP archive or single file from the terminal.
+//
+// Usage: seznam-validate <složka|soubor.zip> [--network SKLIK] [--tier HIGH] [--json]
+//        seznam-validate --check-utm
+// (installed by `npm install` / `npm link` from package.json, or run as node cli/seznam-validate.js)
+// Requires Node 20+ (global File/Blob). ZIP archives need the `jszip` dependency - without it
+// they can't be inspected and the run exits with EXIT_INCOMPLETE instead of passing.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+const EXIT_OK = 0;
+const EXIT_BLOCKING = 1;
+const EXIT_USAGE = 2;
+const EXIT_INCOMPLETE = 3; // Some input couldn't be inspected (ZIP without jszip)
+
+const USAGE = `Použití: node cli/seznam-validate.js <složka|soubor> [možnosti]
+       node cli/seznam-validate.js --check-utm
+
+Možnosti:
+  --network <SYSTÉM>  Validovat jen vybrané systémy (lze opakovat nebo oddělit čárkou)
+  --tier <HIGH|LOW>   Validovat jen vybraný tier (u systémů s tiery)
+  --json              Výstup ve formátu JSON
+  --verbose           Vypisovat ladicí log modulů
+  --check-utm         Porovnat generované UTM URL se vzorovou tabulkou (UTM_GOLDEN_URLS)
+  --help              Zobrazit nápovědu
+
+Návratový kód: 0 = bez blokujících chyb, 1 = blokující chyby (nebo odlišné UTM URL), 2 = chybné použití,
+               3 = některé soubory nešlo zkontrolovat (ZIP bez balíčku jszip)`;
+
+// =============================================================================
+// BROWSER MODULE LOADING
+// =============================================================================
+
+/**
+ * Load the browser modules into the global scope
+ * The browser loads them as plain <script> tags sharing one global scope,
+ * so cross-module references (FILE_TYPES, BRANDING_SUBTYPES, HTML5Validator...) must resolve globally here too.
+ * @returns {boolean} True if JSZip is available (ZIP support enabled)
+ */
+function loadBrowserModules() {
+  let hasJSZip = true;
+  try {
+    globalThis.JSZip = require('jszip');
+  } catch (error) {
+    hasJSZip = false;
+  }
+
+  Object.assign(globalThis, require(path.join(JS_DIR, 'file-types.js')));
+  Object.assign(globalThis, require(path.join(JS_DIR, 'specs-rules.js')));
+  require(path.join(JS_DIR, 'html5-parser.js')); // Attaches globalThis.HTML5Parser
+  require(path.join(JS_DIR, 'html5-validator.js')); // Attaches globalThis.HTML5Validator
+  Object.assign(globalThis, require(path.join(JS_DIR, 'image-header-parser.js')));
+  Object.assign(globalThis, require(path.join(JS_DIR, 'color-profile.js')));
+  Object.assign(globalThis, require(path.join(JS_DIR, 'file-analyzer.js')));
+
+  return hasJSZip;
+}
+
+// =============================================================================
+// ARGUMENT PARSING
+// =============================================================================
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} { target, networks, tier, json, verbose, checkUTM, help }
+ */
+function parseArgs(argv) {
+  const options = {
+    target: null,
+    networks: [],
+    tier: null,
+    json: false,
+    verbose: false,
+    checkUTM: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--network' || arg === '-n') {
+      const value = argv[++i];
+      if (!value) throw new Error('Chybí hodnota pro --network');
+      options.networks.push(...value.split(',').map(n => n.trim().toUpperCase()).filter(Boolean));
+    } else if (arg === '--tier' || arg === '-t') {
+      const value = argv[++i];
+      if (!value) throw new Error('Chybí hodnota pro --tier');
+      options.tier = value.toUpperCase();
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--check-utm') {
+      options.checkUTM = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Neznámá možnost: ${arg}`);
+    } else if (!options.target) {
+      options.target = arg;
+    } else {
+      throw new Error(`Nadbytečný argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// =============================================================================
+// FILE COLLECTION
+// =============================================================================
+
+/**
+ * Get MIME type for a supported extension (same mapping as extractImagesFromZIP)
+ * @param {string} extension - Lowercase file extension
+ * @returns {string} MIME type
+ */
+function getMimeType(extension) {
+  if (FileTypeHelpers.isImageExtension(extension)) {
+    return `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+  }
+  if (FileTypeHelpers.isHTMLExtension(extension)) return 'text/html';
+  if (FileTypeHelpers.isArchiveExtension(extension)) return 'application/zip';
+  return 'application/octet-stream';
+}
+
+/**
+ * Read a file from disk into a File object with folderPath
+ * @param {string} filePath - Absolute or relative path
+ * @param {string} folderPath - Folder path used for system/format detection
+ * @returns {Promise<File>} File object
+ */
+async function readFileFromDisk(filePath, folderPath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const name = path.basename(filePath);
+  const file = new File([buffer], name, { type: getMimeType(FileTypeHelpers.getExtension(name)) });
+  file.folderPath = folderPath;
+  return file;
+}
+
+/**
+ * Read all supported files from a directory recursively (mirrors readDirectoryRecursive)
+ * @param {string} dirPath - Directory path
+ * @param {string} parentPath - Parent folder path
+ * @returns {Promise<Array<File>>} Array of File objects with folderPath property
+ */
+async function readDirectoryRecursive(dirPath, parentPath = '') {
+  const files = [];
+  const dirName = path.basename(path.resolve(dirPath));
+  const currentPath = parentPath ? `${parentPath}/${dirName}` : dirName;
+  const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...await readDirectoryRecursive(entryPath, currentPath));
+    } else if (entry.isFile() && FileTypeHelpers.isSupportedExtension(FileTypeHelpers.getExtension(entry.name))) {
+      files.push(await readFileFromDisk(entryPath, currentPath));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Expand collected files the way handleFileUpload() does:
+ * images and HTML are analyzed directly, HTML5 ZIPs are kept whole, other ZIPs are extracted
+ * @param {Array<File>} files - Collected files
+ * @param {boolean} hasJSZip - Whether ZIP support is available
+ * @returns {Promise<{filesToAnalyze: Array<File>, skipped: Array<string>, uninspected: Array<string>}>}
+ *   skipped = unsupported file types, uninspected = ZIPs that couldn't be opened (fail the run)
+ */
+async function expandFiles(files, hasJSZip) {
+  const filesToAnalyze = [];
+  const skipped = [];
+  const uninspected = [];
+
+  for (const file of files) {
+    const fileType = getFileFormat(file);
+
+    if (fileType === FILE_TYPES.TYPES.IMAGE || fileType === FILE_TYPES.TYPES.HTML) {
+      filesToAnalyze.push(file);
+    } else if (fileType === FILE_TYPES.TYPES.ZIP) {
+      if (!hasJSZip) {
+        uninspected.push(file.folderPath ? `${file.folderPath}/${file.name}` : file.name);
+        continue;
+      }
+
+      if (await HTML5Validator.isHTML5ZIP(file)) {
+        filesToAnalyze.push(file);
+      } else {
+        filesToAnalyze.push(...await extractImagesFromZIP(file));
+      }
+    } else {
+      skipped.push(file.name);
+    }
+  }
+
+  return { filesToAnalyze, skipped, uninspected };
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate analyzed files against the selected networks (mirrors validateCompatibility)
+ * @param {Array} analyzedFiles - Analyzed file objects
+ * @param {Object} options - { networks, tier }
+ * @returns {Array} Per-file results: { file, status, compatible, incompatible, note }
+ */
+function validateFiles(analyzedFiles, options) {
+  const networks = options.networks.length > 0 ? options.networks : getAllNetworks();
+  const groupMembership = buildMultiFileGroupMembership(detectMultiFileFormats(analyzedFiles));
+  const results = [];
+
+  for (const fileData of analyzedFiles) {
+    const result = { file: fileData, status: 'ok', compatible: [], incompatible: [], note: '' };
+    results.push(result);
+
+    if (fileData.error && !fileData.dimensions) {
+      result.status = 'blocking';
+      result.note = fileData.error;
+      continue;
+    }
+
+    if (fileData.isSocialMedia) {
+      result.status = 'skipped';
+      result.note = 'Sociální sítě (nevaliduje se)';
+      continue;
+    }
+
+    const membership = groupMembership.get(fileData.name);
+    if (fileData.detectedFormat && membership && membership.isExcess) {
+      result.status = 'skipped';
+      result.note = `Nadbytečný soubor formátu ${membership.format}`;
+      continue;
+    }
+
+    // Files placed in a folder of another system are not part of this run
+    if (fileData.assignedSystem && !networks.includes(fileData.assignedSystem)) {
+      result.status = 'skipped';
+      result.note = `Určeno pro ${fileData.assignedSystem}`;
+      continue;
+    }
+
+    const effectiveFormat = fileData.assignedFormat || fileData.detectedFormat;
+    if (effectiveFormat && !networks.some(network => isFormatAllowedForSystem(effectiveFormat, network))) {
+      result.status = 'skipped';
+      result.note = `Formát ${effectiveFormat} není ve vybraných systémech`;
+      continue;
+    }
+
+    const { compatible, incompatible } = validateFileAcrossNetworks(fileData, { networks, tier: options.tier });
+    result.compatible = compatible;
+    result.incompatible = incompatible;
+
+    if (incompatible.length > 0) {
+      result.status = 'blocking';
+    } else if (compatible.length === 0) {
+      result.status = 'blocking';
+      result.note = 'Žádný kompatibilní formát';
+    } else if (compatible.some(entry => entry.warnings.length > 0)) {
+      result.status = 'warning';
+    }
+  }
+
+  return results;
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Write a line to stdout
+ * @param {string} line - Text to write
+ */
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Pad or truncate text to a fixed column width
+ * @param {string} text - Cell text
+ * @param {number} width - Column width
+ * @returns {string} Padded text
+ */
+function cell(text, width) {
+  const value = String(text);
+  if (value.length > width) return `${value.slice(0, width - 1)}…`;
+  return value.padEnd(width);
+}
+
+/**
+ * Build matrix columns (network + tier combinations) for the selection
+ * @param {Object} options - { networks, tier }
+ * @returns {Array<{network: string, tier: string|null, label: string}>}
+ */
+function buildColumns(options) {
+  const networks = options.networks.length > 0 ? options.networks : getAllNetworks();
+  const columns = [];
+
+  for (const network of networks) {
+    for (const tier of getNetworkTiers(network)) {
+      if (options.tier && tier && tier !== options.tier) continue;
+      columns.push({ network, tier, label: tier ? `${network} ${tier}` : network });
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Print per-file compatibility matrix with details
+ * @param {Array} results - Results from validateFiles
+ * @param {Object} options - { networks, tier }
+ * @param {Array<string>} skippedFiles - Unsupported files that were not analyzed
+ * @param {Array<string>} uninspectedFiles - ZIP archives that couldn't be opened
+ */
+function printReport(results, options, skippedFiles, uninspectedFiles) {
+  const columns = buildColumns(options);
+  const nameWidth = Math.min(48, Math.max(6, ...results.map(r => r.file.name.length)));
+
+  print(`${cell('Soubor', nameWidth)}  ${cell('Rozměr', 10)}  ${cell('KB', 6)}  ${columns.map(c => cell(c.label, Math.max(c.label.length, 4))).join('  ')}`);
+  print('-'.repeat(nameWidth + 22 + columns.reduce((sum, c) => sum + Math.max(c.label.length, 4) + 2, 0)));
+
+  for (const result of results) {
+    const fileData = result.file;
+    const cells = columns.map(column => {
+      const width = Math.max(column.label.length, 4);
+      if (result.status === 'skipped') return cell('-', width);
+      const sameColumn = entry => entry.network === column.network && entry.tier === column.tier;
+      if (result.incompatible.some(sameColumn)) return cell('✖', width);
+      const compatible = result.compatible.filter(sameColumn);
+      if (compatible.length === 0) return cell('·', width);
+      return cell(compatible.some(entry => entry.warnings.length > 0) ? '⚠' : '✔', width);
+    });
+
+    print(`${cell(fileData.name, nameWidth)}  ${cell(fileData.dimensions || '?', 10)}  ${cell(fileData.sizeKB, 6)}  ${cells.join('  ')}`);
+  }
+
+  // Details for files with problems
+  const problems = results.filter(r => r.status === 'blocking' || r.status === 'warning' || r.note);
+  if (problems.length > 0) {
+    print();
+    print('Detaily:');
+    for (const result of problems) {
+      const location = result.file.folderPath ? `${result.file.folderPath}/${result.file.name}` : result.file.name;
+      print(`  ${location}`);
+      if (result.note) {
+        print(`    ${result.status === 'blocking' ? '✖' : '-'} ${result.note}`);
+      }
+      for (const entry of result.incompatible) {
+        const tierLabel = entry.tier ? ` ${entry.tier}` : '';
+        print(`    ✖ ${entry.network}${tierLabel} (${entry.format}): ${entry.reason}`);
+      }
+      for (const entry of result.compatible) {
+        for (const warning of entry.warnings) {
+          const tierLabel = entry.tier ? ` ${entry.tier}` : '';
+          print(`    ⚠ ${entry.network}${tierLabel} (${entry.format}): ${warning}`);
+        }
+      }
+    }
+  }
+
+  if (skippedFiles.length > 0) {
+    print();
+    print(`Přeskočeno ${skippedFiles.length} nepodporovaných souborů: ${skippedFiles.join(', ')}`);
+  }
+
+  if (uninspectedFiles.length > 0) {
+    print();
+    print(`✖ Nezkontrolováno ${uninspectedFiles.length} ZIP archivů (chybí balíček jszip, spusťte npm install): ${uninspectedFiles.join(', ')}`);
+  }
+
+  const blocking = results.filter(r => r.status === 'blocking').length;
+  const warnings = results.filter(r => r.status === 'warning').length;
+  print();
+  print(`Souborů: ${results.length} • blokující chyby: ${blocking} • varování: ${warnings}`);
+}
+
+/**
+ * Serialize results for --json output (drops File objects and spec data)
+ * @param {Array} results - Results from validateFiles
+ * @returns {Array<Object>} Plain result objects
+ */
+function toJSONResults(results) {
+  return results.map(result => ({
+    file: result.file.name,
+    folderPath: result.file.folderPath || '',
+    dimensions: result.file.dimensions,
+    sizeKB: result.file.sizeKB,
+    colorSpace: result.file.colorSpace,
+    colorProfile: result.file.colorProfile,
+    colorType: result.file.colorType,
+    bitDepth: result.file.bitDepth,
+    hasAlpha: result.file.hasAlpha,
+    hasTransparentPixels: result.file.hasTransparentPixels,
+    isAnimated: result.file.isAnimated,
+    frameCount: result.file.frameCount,
+    durationMs: result.file.durationMs,
+    loopCount: result.file.loopCount,
+    isHTML5: result.file.isHTML5,
+    html5Findings: result.file.html5Validation ? result.file.html5Validation.findings : undefined,
+    html5AuthoringTool: result.file.html5Validation && result.file.html5Validation.authoringTool
+      ? result.file.html5Validation.authoringTool.id : undefined,
+    status: result.status,
+    note: result.note || null,
+    compatible: result.compatible.map(({ network, tier, format, warnings }) => ({ network, tier, format, warnings })),
+    incompatible: result.incompatible.map(({ network, tier, format, reason }) => ({ network, tier, format, reason }))
+  }));
+}
+
+/**
+ * Compare the UTM rules with the golden URL table and print the differences
+ * @returns {number} Exit code
+ */
+function runUTMCheck() {
+  const mismatches = checkUTMGoldenTable();
+
+  for (const mismatch of mismatches) {
+    print(`✗ ${mismatch.name}`);
+    print(`    očekáváno: ${mismatch.expected}`);
+    print(`    výsledek:  ${mismatch.actual}`);
+  }
+  print(`UTM URL: ${UTM_GOLDEN_URLS.length - mismatches.length}/${UTM_GOLDEN_URLS.length} odpovídá vzorové tabulce`);
+
+  return mismatches.length > 0 ? EXIT_BLOCKING : EXIT_OK;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (options.checkUTM && !options.help) {
+    loadBrowserModules();
+    return runUTMCheck();
+  }
+
+  if (options.help || !options.target) {
+    (options.help ? process.stdout : process.stderr).write(`${USAGE}\n`);
+    return options.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  // Browser modules log progress to the console - keep stdout clean for the report
+  if (!options.verbose) {
+    console.log = console.info = console.warn = console.group = console.groupEnd = () => {};
+  }
+
+  const hasJSZip = loadBrowserModules();
+
+  const unknownNetworks = options.networks.filter(network => !getAllNetworks().includes(network));
+  if (unknownNetworks.length > 0) {
+    process.stderr.write(`Neznámý systém: ${unknownNetworks.join(', ')} (dostupné: ${getAllNetworks().join(', ')})\n`);
+    return EXIT_USAGE;
+  }
+  if (options.tier && !['HIGH', 'LOW'].includes(options.tier)) {
+    process.stderr.write(`Neznámý tier: ${options.tier} (dostupné: HIGH, LOW)\n`);
+    return EXIT_USAGE;
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(options.target);
+  } catch (error) {
+    process.stderr.write(`Cesta neexistuje: ${options.target}\n`);
+    return EXIT_USAGE;
+  }
+
+  const collected = stats.isDirectory()
+    ? await readDirectoryRecursive(options.target)
+    : [await readFileFromDisk(options.target, '')];
+
+  const { filesToAnalyze, skipped, uninspected } = await expandFiles(collected, hasJSZip);
+
+  const analyzed = [];
+  for (const file of filesToAnalyze) {
+    const fileData = await analyzeFile(file);
+
+    // Detect assigned system and format from folder path (same as handleFileUpload)
+    const folderPath = file.folderPath || '';
+    fileData.assignedSystem = detectSystemFromPath(folderPath);
+    fileData.assignedFormat = detectFormatFromPath(folderPath);
+    fileData.folderPath = folderPath;
+    if (!fileData.assignedFormat && fileData.detectedFormat) {
+      fileData.assignedFormat = fileData.detectedFormat;
+    }
+
+    analyzed.push(fileData);
+  }
+
+  const results = validateFiles(analyzed, options);
+
+  if (options.json) {
+    print(JSON.stringify(toJSONResults(results), null, 2));
+  } else {
+    printReport(results, options, skipped, uninspected);
+  }
+
+  if (results.some(result => result.status === 'blocking')) return EXIT_BLOCKING;
+  if (uninspected.length > 0) {
+    // JSON output stays a plain result array - report the gap on stderr
+    if (options.json) {
+      process.stderr.write(`Nezkontrolováno ${uninspected.length} ZIP archivů (chybí balíček jszip): ${uninspected.join(', ')}\n`);
+    }
+    return EXIT_INCOMPLETE;
+  }
+  return EXIT_OK;
+}
+
+// Exit quietly when the output is piped into a command that stops reading (e.g. `| head`)
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(process.exitCode || EXIT_OK);
+  throw error;
+});
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    process.stderr.write(`Neočekávaná chyba: ${error.stack || error.message}\n`);
+    process.exitCode = EXIT_USAGE;
+  });
@@ -0,0 +1,25 @@
+/**
+ * Analysis Worker
+ * Runs analyzeFile() for image files off the main thread: header parsing, color space,
+ * GIF inspection, pixel checks and preview generation (OffscreenCanvas + createImageBitmap).
+ * Started by worker-pool.js - one file per message.
+ */
+
+// Paths are relative to this script (js/)
+importScripts('file-types.js', 'specs-rules.js', 'image-header-parser.js', 'color-profile.js', 'file-analyzer.js');
+
+self.onmessage = async (event) => {
+  const { id, file, options } = event.data;
+
+  try {
+    const analysis = await analyzeFile(file, '', options);
+    // The main thread reattaches its own File (expando properties like folderPath don't survive cloning)
+    delete analysis.file;
+    self.postMessage({ id, analysis });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+
+// Tell the pool the scripts loaded (a failed importScripts reports through onerror instead)
+self.postMessage({ ready: true });
@@ -5,7 +5,7 @@
 // GLOBAL STATE
 // =============================================================================
 
-const APP_VERSION = 'v1.5.30'; // Fix Exclusive multiFile matching, allow HTML5 for HP_EXCLUSIVE, use effectiveFormat in validation
+const APP_VERSION = 'v1.5.71'; // shared CORRECTLY_RENDERED_PROFILES list
 
 // =============================================================================
 // SECURITY HELPERS
@@ -57,7 +57,13 @@ const appState = {
   contentName: '',
   placement: '',
   landingURL: '',
-  isZboziCampaign: false
+  isZboziCampaign: false,
+  utmProfile: null, // Custom UTM template profile (null = DEFAULT_UTM_PROFILE)
+  utmConflictMode: 'override', // UTM parameters already in the landing URL: 'override' | 'keep' | 'fail'
+  landingURLOverrides: { networks: {}, dimensions: {}, files: {}, roles: {} }, // Per-level landing URLs (see resolveBannerLandingURL)
+  // File details modal: { fileIndex, specKey, dimOutside, preview } while open
+  // preview (HTML5 only): { handle, error, paused, clicks, capturing, captureError, captureTime }
+  fileDetails: null
 };
 
 // =============================================================================
@@ -105,7 +111,18 @@ function getNetworkTooltip(network) {
     tooltip += `\n`;
   }
 
-  // Section 2: Regular campaign naming rules
+  // Section 2: Structured format constraints (animation, transparency)
+  const constrainedSpecs = Object.values(specs)
+    .map(spec => ({ spec, labels: describeSpecConstraints(spec) }))
+    .filter(({ labels }) => labels.length > 0);
+  if (constrainedSpecs.length > 0) {
+    tooltip += `\n━━━ OMEZENÍ FORMÁTŮ ━━━\n`;
+    for (const { spec, labels } of constrainedSpecs) {
+      tooltip += `• ${spec.name}: ${labels.join(', ')}\n`;
+    }
+  }
+
+  // Section 3: Regular campaign naming rules
   tooltip += `\n━━━ PRAVIDLA POJMENOVÁNÍ (BĚŽNÉ) ━━━\n`;
   tooltip += `utm_campaign: služba_nazev-kampane\n`;
   tooltip += `  Příklad: hp_moje-kampan-2026\n\n`;
@@ -113,7 +130,7 @@ function getNetworkTooltip(network) {
   tooltip += `  Příklad: moje-kampan-brand_300x250\n\n`;
   tooltip += `utm_term: banner / kombi / video\n`;
 
-  // Section 3: Zbozi campaign naming rules
+  // Section 4: Zbozi campaign naming rules
   tooltip += `\n━━━ PRAVIDLA POJMENOVÁNÍ (ZBOŽÍ) ━━━\n`;
   tooltip += `LOW tier:\n`;
   tooltip += `  utm_campaign: zbozi_low_rok\n`;
@@ -150,8 +167,10 @@ document.addEventListener('DOMContentLoaded', () => {
     versionElement.href = `https://github.com/kubachour/seznam-asset-checker/releases/tag/${APP_VERSION}`;
   }
 
-  // Load saved campaign settings
+  // Load saved campaign settings and UTM profile
   loadCampaignSettingsFromStorage();
+  loadUTMProfileFromStorage();
+  renderUTMProfileEditor();
 
   // Setup event listeners
   setupEventListeners();
@@ -573,7 +592,7 @@ function applyCampaignTableData() {
           <strong style="color: #92400e;">📊 Částečná data z tabulky</strong>
           <div style="font-size: 13px; color: #92400e; margin-top: 4px;">
             Kampaň a URL načteny z tabulky pro rozměry: <strong>${dimensionsWithData.join(', ')}</strong>
-            <br>Ručně zadejte údaje pro ostatní rozměry.
+            <br>Ručně zadejte údaje pro ostatní rozměry. Cílové URL z tabulky platí pro své rozměry (upravit je lze v kroku 5).
           </div>
         </div>
       `;
@@ -790,6 +809,15 @@ function getPlacementValue() {
   return placementSelect.value;
 }
 
+/**
+ * Get how UTM parameters already present in the landing URL are handled
+ * @returns {string} One of UTM_CONFLICT_MODES
+ */
+function getUTMConflictMode() {
+  const value = document.getElementById('utmConflictMode')?.value;
+  return UTM_CONFLICT_MODES.includes(value) ? value : 'override';
+}
+
 function updateExportPreview() {
   // Read values from inputs
   const campaignName = document.getElementById('campaignName')?.value || '';
@@ -806,6 +834,7 @@ function updateExportPreview() {
   appState.placement = placement;
   appState.landingURL = landingURL;
   appState.isZboziCampaign = zboziToggle;
+  appState.utmConflictMode = getUTMConflictMode();
 
   // Generate preview URL
   const previewContent = document.getElementById('urlPreviewContent');
@@ -821,7 +850,7 @@ function updateExportPreview() {
   const exampleFormat = 'banner';
   const exampleService = 'hp';
 
-  const sampleURL = generateBannerURL({
+  const sampleURL = buildBannerURL({
     network: 'SOS',
     tier: appState.selectedCampaignTier,
     campaignName: campaignName,
@@ -831,8 +860,9 @@ function updateExportPreview() {
     format: exampleFormat,
     service: exampleService,
     anchor: '',
-    isZbozi: zboziToggle
-  });
+    isZbozi: zboziToggle,
+    dateRange: getCampaignDateRange()
+  }, appState.utmProfile, appState.utmConflictMode);
 
   previewContent.innerHTML = `
     <div style="margin-bottom: 8px;"><strong>Příklad pro SOS ${appState.selectedCampaignTier} banner ${exampleDimensions}:</strong></div>
@@ -847,105 +877,18 @@ function updateExportPreview() {
 // UTM TAGGING HELPER FUNCTIONS
 // =============================================================================
 
-/**
- * Remove diacritics from Czech text
- * @param {string} text - Text with diacritics
- * @returns {string} Text without diacritics
- */
-function removeDiacritics(text) {
-  const diacriticsMap = {
-    'á': 'a', 'Á': 'A', 'č': 'c', 'Č': 'C', 'ď': 'd', 'Ď': 'D',
-    'é': 'e', 'É': 'E', 'ě': 'e', 'Ě': 'E', 'í': 'i', 'Í': 'I',
-    'ň': 'n', 'Ň': 'N', 'ó': 'o', 'Ó': 'O', 'ř': 'r', 'Ř': 'R',
-    'š': 's', 'Š': 'S', 'ť': 't', 'Ť': 'T', 'ú': 'u', 'Ú': 'U',
-    'ů': 'u', 'Ů': 'U', 'ý': 'y', 'Ý': 'Y', 'ž': 'z', 'Ž': 'Z'
-  };
-
-  return text.replace(/[áÁčČďĎéÉěĚíÍňŇóÓřŘšŠťŤúÚůŮýÝžŽ]/g, match => diacriticsMap[match] || match);
-}
-
-/**
- * Normalize text for UTM parameters according to Seznam rules:
- * - Remove diacritics
- * - Convert to lowercase
- * - Replace spaces with hyphens
- * @param {string} text - Text to normalize
- * @returns {string} Normalized text
- */
-function normalizeUTMText(text) {
-  if (!text) return '';
-
-  return removeDiacritics(text)
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '-');  // Replace spaces with hyphens
-}
-
-/**
- * Build utm_campaign parameter according to Seznam tagging rules:
- * Rule 2: service_campaign-name (e.g., televizeseznam_revir-jaro-2023)
- * Rule 4: If service name already in campaign, omit service prefix (e.g., seznammenu-podzim-2023)
- *
- * @param {string} service - Service name (already normalized, e.g., "televizeseznam", "hp")
- * @param {string} campaignName - Campaign name (may contain diacritics, spaces)
- * @returns {string} utm_campaign value
- */
-function buildUTMCampaign(service, campaignName) {
-  const normalizedCampaign = normalizeUTMText(campaignName);
-  const normalizedService = service ? service.toLowerCase() : '';
-
-  // Rule 4: Check if service name is already in the campaign name
-  if (normalizedService && normalizedCampaign.includes(normalizedService)) {
-    // Service already in campaign name, return just the campaign
-    return normalizedCampaign;
-  }
-
-  // Rule 2: service_campaign-name format
-  if (normalizedService && normalizedCampaign) {
-    return `${normalizedService}_${normalizedCampaign}`;
-  }
-
-  // Fallback: just return normalized campaign
-  return normalizedCampaign;
-}
-
-// dimensionToPosition() moved to specs-rules.js as getDimensionPosition()
-
-/**
- * Format date range for zbozi HIGH tier campaigns
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {string} Formatted date range (e.g., "1.1.-31.1.2026")
- */
-function formatDateRange(startDate, endDate) {
-  if (!startDate || !endDate) return '';
-
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-
-  const startDay = start.getDate();
-  const startMonth = start.getMonth() + 1;
-  const endDay = end.getDate();
-  const endMonth = end.getMonth() + 1;
-  const year = end.getFullYear();
-
-  return `${startDay}.${startMonth}.-${endDay}.${endMonth}.${year}`;
-}
+// removeDiacritics(), normalizeUTMText(), buildUTMCampaign(), formatDateRange() and extractYear()
+// moved to specs-rules.js next to UTM_RULES
 
 /**
- * Extract year from campaign name or use current year
- * @param {string} campaignName - Campaign name (may contain year)
- * @returns {string} Year (4 digits)
+ * Get the Zboží campaign date range from the step 3 date fields
+ * @returns {string} Formatted date range (e.g., "1.1.-31.1.2026") or empty string
  */
-function extractYear(campaignName) {
-  // Try to find 4-digit year in campaign name
-  const yearMatch = campaignName.match(/20\d{2}/);
-  if (yearMatch) {
-    return yearMatch[0];
-  }
-
-  // Fallback to current year
-  return new Date().getFullYear().toString();
+function getCampaignDateRange() {
+  return formatDateRange(
+    document.getElementById('campaignStartDate')?.value,
+    document.getElementById('campaignEndDate')?.value
+  );
 }
 
 /**
@@ -956,6 +899,7 @@ function saveCampaignSettingsToStorage() {
     campaignName: document.getElementById('campaignName')?.value || '',
     contentName: document.getElementById('contentName')?.value || '',
     landingURL: document.getElementById('landingURL')?.value || '',
+    utmConflictMode: getUTMConflictMode(),
     zboziToggle: document.getElementById('zboziToggle')?.checked || false,
     campaignStartDate: document.getElementById('campaignStartDate')?.value || '',
     campaignEndDate: document.getElementById('campaignEndDate')?.value || ''
@@ -998,6 +942,11 @@ function loadCampaignSettingsFromStorage() {
       landingURLInput.value = settings.landingURL;
     }
 
+    const conflictModeSelect = document.getElementById('utmConflictMode');
+    if (conflictModeSelect && UTM_CONFLICT_MODES.includes(settings.utmConflictMode)) {
+      conflictModeSelect.value = settings.utmConflictMode;
+    }
+
     if (zboziToggleInput && settings.zboziToggle !== undefined) {
       zboziToggleInput.checked = settings.zboziToggle;
 
@@ -1021,6 +970,7 @@ function loadCampaignSettingsFromStorage() {
     appState.contentName = settings.contentName || '';
     appState.landingURL = settings.landingURL || '';
     appState.isZboziCampaign = settings.zboziToggle || false;
+    appState.utmConflictMode = getUTMConflictMode();
 
     // Update preview if on step 3
     if (appState.currentStep === 3) {
@@ -1032,309 +982,431 @@ function loadCampaignSettingsFromStorage() {
   }
 }
 
+// =============================================================================
+// UTM TEMPLATE PROFILE (Step 5 editor)
+// =============================================================================
+
+const UTM_PROFILE_STORAGE_KEY = 'utmProfile';
+const UTM_PROFILE_PREVIEW_LIMIT = 30; // Rows shown in the profile preview
+
 /**
- * Generate banner URL based on system and parameters
- * @param {Object} params - URL parameters
- * @returns {string} Generated URL
+ * Load the saved UTM profile from localStorage (an invalid saved profile is ignored)
  */
-function generateBannerURL(params) {
-  const {
-    network,
-    tier,
-    campaignName,
-    contentName,
-    landingURL,
-    dimensions,
-    format,
-    service,
-    anchor,
-    isZbozi,
-    fileName = '',
-    placement = ''
-  } = params;
-
-  // Normalize campaign and content names according to Seznam tagging rules
-  const normalizedCampaign = normalizeUTMText(campaignName);
-  const normalizedContent = normalizeUTMText(contentName);
-
-  // Detect variant from filename (v1, v2, V1, V2, var1, var2, variant1, variant2)
-  const variantMatch = fileName.match(/[_-](v\d+|var\d+|variant\d+)/i);
-  const variant = variantMatch ? variantMatch[1].toLowerCase().replace('variant', 'var') : '';
-
-  let utm_source = '';
-  let utm_medium = '';
-  let utm_campaign = '';
-  let utm_content = '';
-  let utm_term = '';
-
-  // Determine source and medium based on network
-  if (network === 'SOS') {
-    utm_source = 'seznam_sos';
-
-    // ========== ZBOZI CAMPAIGN LOGIC ==========
-    if (isZbozi) {
-      const position = getDimensionPosition(dimensions);
-
-      // utm_campaign: Different for LOW vs HIGH
-      if (tier === 'HIGH') {
-        const dateRange = formatDateRange(
-          document.getElementById('campaignStartDate')?.value,
-          document.getElementById('campaignEndDate')?.value
-        );
-        utm_campaign = `${normalizedCampaign}_${service}_${position}${dateRange ? '_' + dateRange : ''}`;
-      } else {
-        const year = extractYear(campaignName);
-        utm_campaign = `zbozi_low_${year}`;
-      }
+function loadUTMProfileFromStorage() {
+  try {
+    const savedProfile = localStorage.getItem(UTM_PROFILE_STORAGE_KEY);
+    if (!savedProfile) return;
 
-      // utm_content: ALL HYPHENS (not underscore before dimensions!)
-      utm_content = `${normalizedCampaign}-${normalizedContent}-${dimensions}`;
-
-      // utm_term: Position-based
-      utm_term = tier === 'HIGH' ? `${service}_${position}` : position;
-
-      // utm_medium: Keep SOS medium rules
-      if (format === 'kombi') {
-        utm_medium = 'kombi_selfpromo';
-      } else if (format === 'video') {
-        utm_medium = tier === 'HIGH' ? 'video_selfpromo_high' : 'video_selfpromo_low';
-      } else if (format === 'in-article') {
-        utm_medium = 'inarticle_selfpromo';
-      } else if (format === 'exclusive') {
-        utm_medium = 'exclusive_selfpromo';
-      } else if (format === 'audio') {
-        utm_medium = tier === 'HIGH' ? 'audio_selfpromo_high' : 'audio_selfpromo_low';
-      } else {
-        utm_medium = tier === 'HIGH' ? 'banner_selfpromo_high' : 'banner_selfpromo_low';
-      }
+    const { profile, errors } = parseUTMProfile(savedProfile);
+    if (profile) {
+      appState.utmProfile = profile;
+    } else {
+      console.warn('Saved UTM profile is invalid:', errors);
     }
-    // ========== REGULAR SOS LOGIC ==========
-    else {
-      // Build utm_campaign with service prefix (or without if service already in campaign name)
-      utm_campaign = buildUTMCampaign(service, campaignName);
-
-      // Determine medium based on format and tier
-      if (format === 'in-article') {
-        utm_medium = 'inarticle_selfpromo';
-      } else if (format === 'banner') {
-        utm_medium = tier === 'HIGH' ? 'banner_selfpromo_high' : 'banner_selfpromo_low';
-      } else if (format === 'video') {
-        utm_medium = tier === 'HIGH' ? 'video_selfpromo_high' : 'video_selfpromo_low';
-      } else if (format === 'exclusive') {
-        utm_medium = 'exclusive_selfpromo';
-      } else if (format === 'audio') {
-        utm_medium = tier === 'HIGH' ? 'audio_selfpromo_high' : 'audio_selfpromo_low';
-      } else {
-        utm_medium = 'banner_selfpromo_high';
-      }
+  } catch (e) {
+    console.warn('Failed to load UTM profile from localStorage:', e);
+  }
+}
 
-      // utm_content: campaign-content_format[_placement][_variant]
-      // utm_term: just format name (no placement)
-      const formatName = normalizeUTMText(format);
+/**
+ * Fill the profile editor with the active profile and list the template variables and filters
+ */
+function renderUTMProfileEditor() {
+  const editor = document.getElementById('utmProfileEditor');
+  const nameLabel = document.getElementById('utmProfileName');
+  const help = document.getElementById('utmProfileHelp');
+  const profile = appState.utmProfile || DEFAULT_UTM_PROFILE;
+
+  if (editor) editor.value = JSON.stringify(profile, null, 2);
+  if (nameLabel) nameLabel.textContent = profile.name || 'bez názvu';
+  if (help) {
+    const variables = Object.entries(UTM_TEMPLATE_VARIABLES)
+      .map(([name, description]) => `<code>{${name}}</code> ${escapeHTML(description)}`)
+      .join(' • ');
+    const filters = Object.keys(UTM_TEMPLATE_FILTERS).map(name => `<code>|${name}</code>`).join(', ');
+    help.innerHTML = `
+      <div><strong>Proměnné:</strong> ${variables}</div>
+      <div style="margin-top: 4px;"><strong>Filtry:</strong> ${filters} (např. <code>{campaign|normalize}</code>), <code>{_placement}</code> přidá „_hodnota“ jen když je vyplněná</div>
+    `;
+  }
+}
 
-      if (format === 'in-article') {
-        utm_content = `${normalizedCampaign}-${normalizedContent}_${format}_${service}`;
-        if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-        if (variant) utm_content += `_${variant}`;
-        utm_term = format;
-      } else {
-        utm_content = `${normalizedCampaign}-${normalizedContent}_${formatName}`;
-        if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-        if (variant) utm_content += `_${variant}`;
-        utm_term = formatName;
-      }
+/**
+ * Collect one sample banner per file and compatible placement from the current upload
+ * @returns {Array<Object>} Rows { fileName, network, tier, context } - context for buildBannerURL()
+ */
+function collectUTMPreviewRows() {
+  const rows = [];
+
+  for (const [fileName, validation] of Object.entries(appState.validationResults)) {
+    if (!validation.file) continue;
+
+    for (const placement of validation.compatible) {
+      if (rows.some(row => row.fileName === fileName && row.network === placement.network && row.tier === placement.tier)) continue;
+
+      rows.push({
+        fileName,
+        network: placement.network,
+        tier: placement.tier,
+        context: {
+          network: placement.network,
+          tier: placement.tier,
+          campaignName: appState.campaignName || 'kampan',
+          contentName: appState.contentName || 'content',
+          landingURL: resolveBannerLandingURL(placement.network, fileName, validation.file.dimensions).url || 'https://www.seznam.cz/',
+          dimensions: validation.file.dimensions,
+          format: getFormatDisplayName(validation.file.dimensions, placement.format),
+          service: 'hp',
+          anchor: '',
+          isZbozi: appState.isZboziCampaign,
+          dateRange: getCampaignDateRange(),
+          fileName
+        }
+      });
     }
+  }
 
-  } else if (network === 'ONEGAR') {
-    utm_source = 'seznam_onegar';
+  return rows;
+}
 
-    // Check if it's through ADFORM
-    const isAdform = false; // Will be determined by user selection later
+/**
+ * Validate the edited profile and preview its URLs against the current upload
+ * Rows whose URL differs from the active profile are highlighted.
+ * @returns {Object|null} Parsed profile, or null when it has errors
+ */
+function previewUTMProfile() {
+  const editor = document.getElementById('utmProfileEditor');
+  const errorsDiv = document.getElementById('utmProfileErrors');
+  const previewDiv = document.getElementById('utmProfilePreview');
+  if (!editor || !errorsDiv || !previewDiv) return null;
+
+  const { profile, errors } = parseUTMProfile(editor.value);
+  if (!profile) {
+    errorsDiv.innerHTML = `
+      <div style="padding: 10px 12px; background: #fef2f2; border: 1px solid #fecaca; border-radius: 6px; color: #991b1b; font-size: 13px;">
+        <strong>❌ Profil obsahuje chyby (${errors.length}):</strong>
+        <ul style="margin: 6px 0 0 18px; padding: 0;">${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>
+      </div>
+    `;
+    previewDiv.innerHTML = '';
+    return null;
+  }
 
-    // ========== ZBOZI CAMPAIGN LOGIC ==========
-    if (isZbozi) {
-      const position = getDimensionPosition(dimensions);
+  errorsDiv.innerHTML = `
+    <div style="padding: 10px 12px; background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; color: #166534; font-size: 13px;">
+      ✅ Profil „${escapeHTML(profile.name || 'bez názvu')}“ je platný
+    </div>
+  `;
 
-      // utm_campaign: Different for LOW vs HIGH
-      if (tier === 'HIGH') {
-        const dateRange = formatDateRange(
-          document.getElementById('campaignStartDate')?.value,
-          document.getElementById('campaignEndDate')?.value
-        );
-        utm_campaign = `${normalizedCampaign}_${service}_${position}${dateRange ? '_' + dateRange : ''}`;
-      } else {
-        const year = extractYear(campaignName);
-        utm_campaign = `zbozi_low_${year}`;
-      }
+  const rows = collectUTMPreviewRows();
+  if (rows.length === 0) {
+    previewDiv.innerHTML = '<div style="color: #6b7280; font-size: 13px;">Náhled se zobrazí po nahrání a validaci bannerů.</div>';
+    return profile;
+  }
 
-      // utm_content: ALL HYPHENS (not underscore before dimensions!)
-      utm_content = `${normalizedCampaign}-${normalizedContent}-${dimensions}`;
+  const shownRows = rows.slice(0, UTM_PROFILE_PREVIEW_LIMIT);
+  let changedCount = 0;
+  const tableRows = shownRows.map(row => {
+    const url = buildBannerURL(row.context, profile, appState.utmConflictMode);
+    const changed = url !== buildBannerURL(row.context, appState.utmProfile, appState.utmConflictMode);
+    if (changed) changedCount++;
+    return `
+      <tr style="${changed ? 'background: #fef3c7;' : ''}" title="${changed ? 'Liší se od aktuálního profilu' : ''}">
+        <td style="white-space: nowrap;">${row.network}${row.tier ? ' ' + row.tier : ''}</td>
+        <td>${escapeHTML(row.fileName)}</td>
+        <td style="font-family: 'Courier New', monospace; font-size: 12px; word-break: break-all;">${escapeHTML(url)}</td>
+      </tr>
+    `;
+  }).join('');
 
-      // utm_term: Position-based
-      utm_term = tier === 'HIGH' ? `${service}_${position}` : position;
+  previewDiv.innerHTML = `
+    <div style="font-size: 13px; color: #4b5563; margin-bottom: 6px;">
+      Náhled pro ${shownRows.length} z ${rows.length} umístění • změněno oproti aktuálnímu profilu: <strong>${changedCount}</strong>
+    </div>
+    <table class="results-table" style="width: 100%;">
+      <thead><tr><th style="width: 120px;">Systém</th><th style="width: 200px;">Banner</th><th>URL</th></tr></thead>
+      <tbody>${tableRows}</tbody>
+    </table>
+  `;
 
-      // utm_medium: Keep ONEGAR medium rules
-      if (format === 'kombi') {
-        utm_medium = 'kombi_selfpromo';
-      } else if (format === 'video') {
-        utm_medium = tier === 'HIGH' ? 'video_selfpromo_high' : 'video_selfpromo_low';
-      } else {
-        utm_medium = tier === 'HIGH' ? 'banner_selfpromo_high' : 'banner_selfpromo_low';
-      }
-    }
-    // ========== REGULAR ONEGAR LOGIC ==========
-    else {
-      // Build utm_campaign with service prefix
-      utm_campaign = buildUTMCampaign(service, campaignName);
-
-      const formatName = normalizeUTMText(format);
-
-      if (format === 'kombi') {
-        utm_medium = 'kombi_selfpromo';
-        utm_content = `${normalizedCampaign}-${normalizedContent}_kombi`;
-        if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-        if (variant) utm_content += `_${variant}`;
-        utm_term = 'kombi';
-      } else if (format === 'banner') {
-        if (tier === 'HIGH') {
-          utm_medium = isAdform ? 'banner_selfpromo_high_adform' : 'banner_selfpromo_high';
-        } else {
-          utm_medium = isAdform ? 'banner_selfpromo_low_adform' : 'banner_selfpromo_low';
-        }
-        utm_content = `${normalizedCampaign}-${normalizedContent}_${formatName}`;
-        if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-        if (variant) utm_content += `_${variant}`;
-        utm_term = 'banner';
-      } else if (format === 'video') {
-        utm_medium = tier === 'HIGH' ? 'video_selfpromo_high' : 'video_selfpromo_low';
-        utm_content = `${normalizedCampaign}-${normalizedContent}_${formatName}`;
-        if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-        if (variant) utm_content += `_${variant}`;
-        utm_term = 'video';
-      }
-    }
+  return profile;
+}
 
-  } else if (network === 'SKLIK') {
-    utm_source = 'seznam';
+/**
+ * Validate the edited profile and use it for all URLs and exports
+ */
+function applyUTMProfile() {
+  const profile = previewUTMProfile();
+  if (!profile) return;
 
-    // ========== ZBOZI CAMPAIGN LOGIC ==========
-    if (isZbozi) {
-      const position = getDimensionPosition(dimensions);
+  appState.utmProfile = profile;
+  try {
+    localStorage.setItem(UTM_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    console.warn('Failed to save UTM profile to localStorage:', e);
+  }
 
-      // utm_campaign: Different for LOW vs HIGH
-      if (tier === 'HIGH') {
-        const dateRange = formatDateRange(
-          document.getElementById('campaignStartDate')?.value,
-          document.getElementById('campaignEndDate')?.value
-        );
-        utm_campaign = `${normalizedCampaign}_${service}_${position}${dateRange ? '_' + dateRange : ''}`;
-      } else {
-        const year = extractYear(campaignName);
-        utm_campaign = `zbozi_low_${year}`;
-      }
+  renderUTMProfileEditor();
+  displayExportSettings();
+  previewUTMProfile();
+}
+
+/**
+ * Go back to the built-in profile
+ */
+function resetUTMProfile() {
+  appState.utmProfile = null;
+  try {
+    localStorage.removeItem(UTM_PROFILE_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Failed to remove UTM profile from localStorage:', e);
+  }
 
-      // utm_content: ALL HYPHENS (not underscore before dimensions!)
-      utm_content = `${normalizedCampaign}-${normalizedContent}-${dimensions}`;
+  renderUTMProfileEditor();
+  document.getElementById('utmProfileErrors').innerHTML = '';
+  document.getElementById('utmProfilePreview').innerHTML = '';
+  displayExportSettings();
+}
+
+/**
+ * Load a profile JSON file into the editor and preview it (it is used only after applyUTMProfile)
+ * @param {HTMLInputElement} input - File input
+ */
+async function loadUTMProfileFile(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
 
-      // utm_term: Position-based
-      utm_term = tier === 'HIGH' ? `${service}_${position}` : position;
+  document.getElementById('utmProfileEditor').value = await file.text();
+  input.value = '';
+  previewUTMProfile();
+}
 
-      // utm_medium: SKLIK uses 'cpc'
-      utm_medium = 'cpc';
-    }
-    // ========== REGULAR SKLIK LOGIC ==========
-    else {
-      utm_medium = 'cpc';
+/**
+ * Download the profile from the editor as JSON
+ */
+function downloadUTMProfile() {
+  const text = document.getElementById('utmProfileEditor')?.value || JSON.stringify(DEFAULT_UTM_PROFILE, null, 2);
+  downloadBlob(new Blob([text], { type: 'application/json' }), 'utm-profil.json');
+}
+
+// =============================================================================
+// UTM LINT (Step 5 row results and export gate)
+// =============================================================================
 
-      // Determine format type: kombi vs banner
-      const isKombi = format.includes('kombi') || format.includes('nativni');
-      const formatType = isKombi ? 'kombi' : 'banner';
-      const formatName = normalizeUTMText(format);
+const UTM_LINT_ALERT_LIMIT = 8; // Problems listed in the blocked export alert
 
-      // Build campaign name: display_{campaignName}_banner or display_{campaignName}_kombi
-      utm_campaign = `display_${normalizedCampaign}_${formatType}`;
+/**
+ * Render lint findings of one URL for the step 5 table
+ * @param {Array<Object>} findings - Result of lintBannerURL()
+ * @returns {string} HTML
+ */
+function renderUTMLintHTML(findings) {
+  if (findings.length === 0) {
+    return '<div style="margin-top: 4px; font-size: 11px; color: #10b981;">✓ UTM v pořádku</div>';
+  }
 
-      // Build utm_content: format[_placement][_variant]
-      utm_content = formatName;
-      if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-      if (variant) utm_content += `_${variant}`;
+  return findings.map(finding => {
+    const isError = finding.severity === 'error';
+    return `<div style="margin-top: 4px; font-size: 11px; color: ${isError ? '#dc2626' : '#d97706'};">${isError ? '❌' : '⚠️'} ${escapeHTML(finding.message)}</div>`;
+  }).join('');
+}
 
-      utm_term = '';
+/**
+ * Block export when some exported URL has lint errors
+ * Warnings never block; errors block unless the step 5 override checkbox is checked.
+ * @param {Array<Object>} lintedURLs - { label, findings } for every exported URL
+ * @returns {boolean} True when the export may continue
+ */
+function checkUTMLintBeforeExport(lintedURLs) {
+  const problems = [];
+  for (const { label, findings } of lintedURLs) {
+    for (const finding of findings) {
+      if (finding.severity === 'error') problems.push(`${label}: ${finding.message}`);
     }
+  }
 
-  } else if (network === 'ADFORM' || network === 'HP_EXCLUSIVE') {
-    // Set utm_source based on network
-    // ADFORM routes through ONEGAR, so uses 'seznam_onegar' source
-    utm_source = network === 'HP_EXCLUSIVE' ? 'homepage_exclusive' : 'seznam_onegar';
-
-    // ========== ZBOZI CAMPAIGN LOGIC ==========
-    if (isZbozi) {
-      const position = getDimensionPosition(dimensions);
-
-      // utm_campaign: Different for LOW vs HIGH
-      if (tier === 'HIGH') {
-        const dateRange = formatDateRange(
-          document.getElementById('campaignStartDate')?.value,
-          document.getElementById('campaignEndDate')?.value
-        );
-        utm_campaign = `${normalizedCampaign}_${service}_${position}${dateRange ? '_' + dateRange : ''}`;
-      } else {
-        const year = extractYear(campaignName);
-        utm_campaign = `zbozi_low_${year}`;
-      }
+  if (problems.length === 0) return true;
 
-      // utm_content: ALL HYPHENS (not underscore before dimensions!)
-      utm_content = `${normalizedCampaign}-${normalizedContent}-${dimensions}`;
+  if (document.getElementById('utmLintOverride')?.checked) {
+    console.warn(`Export with ${problems.length} UTM lint errors (override enabled)`);
+    return true;
+  }
 
-      // utm_term: Position-based
-      utm_term = tier === 'HIGH' ? `${service}_${position}` : position;
+  const listed = problems.slice(0, UTM_LINT_ALERT_LIMIT).map(problem => `- ${problem}`).join('\n');
+  const more = problems.length > UTM_LINT_ALERT_LIMIT ? `\n... a dalších ${problems.length - UTM_LINT_ALERT_LIMIT}` : '';
+  alert(`❌ Export zablokován – chyby v UTM parametrech (${problems.length}):\n\n${listed}${more}\n\nOpravte URL v kroku 5, nebo zaškrtněte „Exportovat i s chybami UTM“.`);
+  return false;
+}
 
-      // utm_medium
-      if (format === 'kombi') {
-        utm_medium = 'kombi_selfpromo';
-      } else if (format === 'video') {
-        utm_medium = tier === 'HIGH' ? 'video_selfpromo_high' : 'video_selfpromo_low';
-      } else {
-        utm_medium = tier === 'HIGH' ? 'banner_selfpromo_high' : 'banner_selfpromo_low';
-      }
+// =============================================================================
+// LANDING URL OVERRIDES (Step 5: global → network → dimension → file → multi-file role)
+// =============================================================================
+
+const LANDING_URL_LEVEL_LABELS = {
+  global: 'globální',
+  network: 'systém',
+  dimension: 'rozměr',
+  file: 'soubor',
+  role: 'role'
+};
+
+/**
+ * Get the multi-file role key of a file ('spinner:side2'), used for the role level
+ * @param {string} fileName - File name
+ * @returns {string|null} Role key or null when the file is not part of a multi-file format
+ */
+function getMultiFileRoleKey(fileName) {
+  for (const group of appState.multiFileGroups || []) {
+    const index = group.files.findIndex(file => file.name === fileName);
+    if (index !== -1 && group.roles && group.roles[index]) {
+      return `${group.format}:${group.roles[index]}`;
     }
-    // ========== REGULAR ADFORM/HP LOGIC ==========
-    else {
-      // Build utm_campaign with service prefix
-      utm_campaign = buildUTMCampaign(service, campaignName);
-
-      const formatName = normalizeUTMText(format);
-      utm_medium = tier === 'HIGH' ? 'banner_selfpromo_high_adform' : 'banner_selfpromo_low_adform';
-      utm_content = `${normalizedCampaign}-${normalizedContent}_${formatName}`;
-      if (placement) utm_content += `_${normalizeUTMText(placement)}`;
-      if (variant) utm_content += `_${variant}`;
-      utm_term = 'banner';
+  }
+  return null;
+}
+
+/**
+ * Resolve the landing URL of one banner from appState
+ * The dimension level starts from targetUrl of the campaign table, manual dimension overrides replace it.
+ * @param {string} network - Network name
+ * @param {string} fileName - File name
+ * @param {string} dimensions - File dimensions ('300x600')
+ * @returns {Object} { url, level } - see resolveLandingURL()
+ */
+function resolveBannerLandingURL(network, fileName, dimensions) {
+  const overrides = appState.landingURLOverrides;
+  const tableTargets = {};
+  for (const [dim, data] of Object.entries(appState.campaignTableData || {})) {
+    if (data.targetUrl) tableTargets[dim] = data.targetUrl;
+  }
+
+  return resolveLandingURL({
+    global: appState.landingURL,
+    networks: overrides.networks,
+    dimensions: { ...tableTargets, ...overrides.dimensions },
+    files: overrides.files,
+    roles: overrides.roles
+  }, { network, dimensions, fileName, role: getMultiFileRoleKey(fileName) });
+}
+
+/**
+ * Render where the landing URL of a step 5 row comes from
+ * @param {Object} resolved - Result of resolveBannerLandingURL()
+ * @returns {string} HTML
+ */
+function renderLandingLevelHTML(resolved) {
+  if (!resolved.level) {
+    return '<span style="color: #dc2626;">landing URL není nastavena</span>';
+  }
+  return `z úrovně: ${LANDING_URL_LEVEL_LABELS[resolved.level]}`;
+}
+
+/**
+ * Store a landing URL override and refresh the step 5 URLs
+ * @param {string} level - 'networks', 'dimensions', 'files' or 'roles'
+ * @param {string} key - Network name, dimensions, file name or role key
+ * @param {string} value - Landing URL ('' removes the override)
+ */
+function setLandingURLOverride(level, key, value) {
+  const overrides = appState.landingURLOverrides[level];
+  if (!overrides) return;
+
+  const url = (value || '').trim();
+  if (url) {
+    overrides[key] = url;
+  } else {
+    delete overrides[key];
+  }
+
+  refreshAllBannerURLs();
+}
+
+/**
+ * Store the per-file landing URL typed into a step 5 row
+ * The override belongs to the file, so it also applies to its rows in other networks and tiers.
+ * @param {string} fileId - Row ID (`${network}_${tier}_${index}`)
+ * @param {string} network - Network name
+ * @param {string} tier - Tier
+ * @param {number} fileIndex - Row index in the tier table
+ */
+function setFileLandingURL(fileId, network, tier, fileIndex) {
+  const fileData = getTierExportFiles(network, tier)[fileIndex];
+  const input = document.getElementById(`landing_${fileId}`);
+  if (!fileData || !input) return;
+
+  setLandingURLOverride('files', fileData.fileName, input.value);
+}
+
+/**
+ * Recompute URLs of all step 5 rows, keeping the format, service and anchor chosen in them
+ */
+function refreshAllBannerURLs() {
+  for (const selection of appState.selectedNetworks) {
+    for (const tier of selection.tiers || ['LOW']) {
+      getTierExportFiles(selection.network, tier).forEach((fileData, idx) => {
+        updateBannerURL(`${selection.network}_${tier}_${idx}`, selection.network, tier, idx);
+      });
     }
   }
+}
 
-  // Build URL
-  let url = landingURL;
-  const params_array = [];
+/**
+ * Render the network, dimension and role override inputs in the step 5 settings panel
+ */
+function renderLandingURLOverrides() {
+  const container = document.getElementById('landingOverridesEditor');
+  if (!container) return;
 
-  if (utm_source) params_array.push(`utm_source=${encodeURIComponent(utm_source)}`);
-  if (utm_medium) params_array.push(`utm_medium=${encodeURIComponent(utm_medium)}`);
-  if (utm_campaign) params_array.push(`utm_campaign=${encodeURIComponent(utm_campaign)}`);
-  if (utm_content) params_array.push(`utm_content=${encodeURIComponent(utm_content)}`);
-  if (utm_term) params_array.push(`utm_term=${encodeURIComponent(utm_term)}`);
+  const overrides = appState.landingURLOverrides;
 
-  if (params_array.length > 0) {
-    url += '?' + params_array.join('&');
+  const dimensions = new Set();
+  for (const validation of Object.values(appState.validationResults)) {
+    if (validation.file && validation.file.dimensions && !validation.file.backupFor) {
+      dimensions.add(validation.file.dimensions);
+    }
   }
 
-  // Add anchor (also normalized according to rules)
-  if (anchor) {
-    const normalizedAnchor = normalizeUTMText(anchor);
-    url += '#' + normalizedAnchor;
+  const roleKeys = new Set();
+  for (const group of appState.multiFileGroups || []) {
+    if (!group.complete) continue;
+    (group.roles || []).forEach(role => roleKeys.add(`${group.format}:${role}`));
   }
 
-  return url;
+  const inputRow = (level, key, label, placeholder) => `
+    <tr>
+      <td style="white-space: nowrap;">${escapeHTML(label)}</td>
+      <td>
+        <input type="text" value="${escapeHTML(overrides[level][key] || '')}" placeholder="${escapeHTML(placeholder)}"
+          onchange="setLandingURLOverride('${level}', '${key}', this.value)"
+          style="width: 100%; padding: 4px; font-size: 12px; border: 1px solid #d1d5db; border-radius: 3px;">
+      </td>
+    </tr>
+  `;
+
+  const table = (title, rows) => rows.length === 0 ? '' : `
+    <div style="margin-top: 10px;">
+      <strong style="font-size: 13px; color: #1f2937;">${title}</strong>
+      <table class="results-table" style="width: 100%; margin-top: 4px;"><tbody>${rows.join('')}</tbody></table>
+    </div>
+  `;
+
+  const networkRows = appState.selectedNetworks.map(selection =>
+    inputRow('networks', selection.network, selection.network.replace('_', ' '), 'globální landing URL'));
+
+  const dimensionRows = Array.from(dimensions).sort().map(dim => {
+    const tableTarget = appState.campaignTableData[dim]?.targetUrl;
+    return inputRow('dimensions', dim, dim, tableTarget ? `z tabulky: ${tableTarget}` : 'podle systému');
+  });
+
+  const roleRows = Array.from(roleKeys).sort().map(roleKey =>
+    inputRow('roles', roleKey, roleKey.replace(':', ' – '), 'podle souboru'));
+
+  const html = table('Systémy', networkRows) + table('Rozměry', dimensionRows) + table('Role vícesouborových formátů', roleRows);
+  container.innerHTML = html || '<div style="color: #6b7280; font-size: 13px;">Žádné bannery k nastavení.</div>';
 }
 
+// generateBannerURL() replaced by buildBannerURL() and the UTM_RULES table in specs-rules.js
+
 // detectSystemFromPath() and detectFormatFromPath() moved to specs-rules.js
 
 // =============================================================================
@@ -1606,104 +1678,14 @@ function toggleTableInput() {
 // FILE UPLOAD & ANALYSIS
 // =============================================================================
 
+// Abort controllers of running upload analyses (a second drop can start before the first finishes)
+const uploadAbortControllers = new Set();
+
 /**
- * Extract image files from a ZIP archive
- * @param {File} zipFile - ZIP file
- * @returns {Promise<Array<File>>} Array of image File objects with folderPath property
- */
-/**
- * Extract images from ZIP file, handling nested ZIPs and HTML5 banners
- * @param {File} zipFile - ZIP file to extract
- * @param {number} depth - Current recursion depth (for limiting)
- * @param {string} parentPath - Parent folder path for nested files
- * @returns {Promise<Array>} Array of extracted files
+ * Cancel running upload analyses - files analyzed so far are discarded
  */
-async function extractImagesFromZIP(zipFile, depth = 0, parentPath = '') {
-  // Limit recursion depth to prevent infinite loops (allows up to 4 levels: 0, 1, 2, 3)
-  const MAX_DEPTH = 3;
-  if (depth > MAX_DEPTH) {
-    console.warn(`Max ZIP nesting depth (${MAX_DEPTH}) reached at ${parentPath || 'root'}, skipping deeper extraction`);
-    return [];
-  }
-
-  console.log(`Extracting ZIP at depth ${depth}, path: ${parentPath || 'root'}`);
-
-  try {
-    const zip = new JSZip();
-    const contents = await zip.loadAsync(zipFile);
-    const imageFiles = [];
-
-    for (const [filename, zipEntry] of Object.entries(contents.files)) {
-      // Skip directories and hidden files
-      if (zipEntry.dir || filename.startsWith('__MACOSX') || filename.startsWith('.')) {
-        if (zipEntry.dir) {
-          console.log(`Skipping directory: ${filename}`);
-        }
-        continue;
-      }
-
-      const extension = filename.split('.').pop().toLowerCase();
-      const baseName = filename.split('/').pop();
-      const pathParts = filename.split('/');
-      const folderPath = parentPath
-        ? `${parentPath}/${pathParts.slice(0, -1).join('/')}`
-        : (pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '');
-
-      // Check if this is a nested ZIP file
-      if (extension === 'zip') {
-        const blob = await zipEntry.async('blob');
-        const nestedZipFile = new File([blob], baseName, { type: 'application/zip' });
-
-        // Check if nested ZIP is HTML5 banner
-        const isHTML5 = typeof HTML5Validator !== 'undefined' &&
-          (HTML5Validator.isHTML5BannerByName(baseName) || await HTML5Validator.isHTML5ZIP(nestedZipFile));
-
-        if (isHTML5) {
-          // Keep HTML5 banner as whole ZIP file
-          nestedZipFile.folderPath = folderPath;
-          imageFiles.push(nestedZipFile);
-          console.log(`Found nested HTML5 banner: ${baseName} in ${folderPath}`);
-        } else {
-          // Regular nested ZIP - extract recursively
-          console.log(`Extracting nested ZIP: ${baseName} at depth ${depth + 1}`);
-          const nestedFiles = await extractImagesFromZIP(nestedZipFile, depth + 1, folderPath);
-          imageFiles.push(...nestedFiles);
-        }
-      }
-      // Check if it's a supported file (use centralized helper)
-      else if (FileTypeHelpers.isSupportedExtension(extension)) {
-        // Extract file as blob
-        const blob = await zipEntry.async('blob');
-
-        // Determine correct MIME type based on extension
-        let mimeType = 'application/octet-stream';
-        if (FileTypeHelpers.isImageExtension(extension)) {
-          mimeType = `image/${extension === 'jpg' ? 'jpeg' : extension}`;
-        } else if (FileTypeHelpers.isHTMLExtension(extension)) {
-          mimeType = 'text/html';
-        }
-
-        // Create a File object from the blob
-        const file = new File([blob], baseName, { type: mimeType });
-
-        // Store folder path for system detection
-        file.folderPath = folderPath;
-
-        imageFiles.push(file);
-        console.log(`Extracted ${extension.toUpperCase()} file: ${baseName} from ${folderPath || 'root'}`);
-      }
-      else {
-        // Skip unsupported files
-        console.log(`Skipping unsupported file: ${filename}`);
-      }
-    }
-
-    console.log(`Total images extracted at depth ${depth}: ${imageFiles.length}`);
-    return imageFiles;
-  } catch (error) {
-    console.warn('Error extracting ZIP file:', error);
-    return []; // Return empty array instead of throwing
-  }
+function cancelFileUpload() {
+  uploadAbortControllers.forEach(controller => controller.abort());
 }
 
 async function handleFileUpload(files) {
@@ -1713,10 +1695,16 @@ async function handleFileUpload(files) {
   const uploadedFilesSection = document.getElementById('uploadedFiles');
   const analyzeBtn = document.getElementById('analyzeBtn');
 
+  const abortController = new AbortController();
+  uploadAbortControllers.add(abortController);
+
   // Show progress
   if (progressSection) {
     progressSection.style.display = 'block';
   }
+  if (progressFill) {
+    progressFill.style.width = '0%';
+  }
 
   // Process files - handle images and ZIP files
   const filesToAnalyze = [];
@@ -1724,6 +1712,7 @@ async function handleFileUpload(files) {
   let zipCount = 0;
 
   for (const file of files) {
+    if (abortController.signal.aborted) break;
     const fileType = getFileFormat(file);
 
     if (fileType === FILE_TYPES.TYPES.IMAGE) {
@@ -1777,19 +1766,47 @@ async function handleFileUpload(files) {
     progressText.textContent = message;
   }
 
-  // Analyze files
-  if (filesToAnalyze.length > 0) {
-    const analyzed = await analyzeFiles(filesToAnalyze, (progress) => {
-      if (progressFill) {
-        progressFill.style.width = `${progress.percentage}%`;
-      }
-      if (progressText) {
-        progressText.textContent = `Analyzing ${progress.current}/${progress.total}: ${progress.file}`;
-      }
-    });
+  // Analyze files (in parallel workers when available)
+  // Cached thumbnails stay pinned until the results are acquired, the run may wait behind others
+  const pinnedHashes = ThumbnailCache.pinCachedHashes();
+  let analyzed = [];
+  try {
+    if (filesToAnalyze.length > 0 && !abortController.signal.aborted) {
+      analyzed = await AnalysisWorkerPool.analyzeFiles(filesToAnalyze, {
+        signal: abortController.signal,
+        cachedThumbnailHashes: pinnedHashes,
+        onProgress: (progress) => {
+          if (progressFill) {
+            progressFill.style.width = `${progress.percentage}%`;
+          }
+          if (progressText) {
+            const activeNames = progress.active.length > 0 ? progress.active.join(', ') : progress.file;
+            progressText.textContent = `Analyzing ${progress.current}/${progress.total}: ${activeNames}`;
+          }
+        }
+      });
+    }
+  } catch (error) {
+    analyzed = [];
+    if (error.name !== 'AbortError') {
+      console.warn('File analysis failed:', error.message);
+      alert('Nepodařilo se analyzovat soubory: ' + error.message);
+    }
+  } finally {
+    // Hide progress once no other upload is running
+    uploadAbortControllers.delete(abortController);
+    if (progressSection && uploadAbortControllers.size === 0) {
+      progressSection.style.display = 'none';
+    }
+  }
 
+  if (abortController.signal.aborted) {
+    console.log('File analysis cancelled');
+  } else if (analyzed.length > 0) {
     // Detect assigned system and format from folder path for each file
     for (const fileData of analyzed) {
+      ThumbnailCache.acquire(fileData);
+
       const folderPath = fileData.file?.folderPath || '';
       fileData.assignedSystem = detectSystemFromPath(folderPath);
       fileData.assignedFormat = detectFormatFromPath(folderPath);
@@ -1819,10 +1836,7 @@ async function handleFileUpload(files) {
     });
   }
 
-  // Hide progress
-  if (progressSection) {
-    progressSection.style.display = 'none';
-  }
+  ThumbnailCache.unpinHashes(pinnedHashes);
 
   // Show uploaded files list
   displayUploadedFiles();
@@ -1854,6 +1868,21 @@ function groupFilesByFolder(files) {
   return grouped;
 }
 
+/**
+ * Format GIF animation info for display
+ * @param {Object} file - Analyzed file with frameCount, durationMs, loopCount
+ * @returns {string} e.g. "snímků: 12 • 3.2 s • smyčka ∞"
+ */
+function formatAnimationInfo(file) {
+  let text = `snímků: ${file.frameCount} • ${(file.durationMs / 1000).toFixed(1)} s`;
+  if (file.loopCount === 0) {
+    text += ' • smyčka ∞';
+  } else if (file.loopCount) {
+    text += ` • smyčka ${file.loopCount}×`;
+  }
+  return text;
+}
+
 /**
  * Generate thumbnail HTML for a file
  * @param {Object} file - File object
@@ -1869,10 +1898,10 @@ function generateThumbnailHTML(file, size = 40) {
     return `
       <div class="file-thumbnail-placeholder" style="width: ${size}px; height: ${size}px; background: #dbeafe; border-radius: 4px; border: 1px solid #93c5fd; flex-shrink: 0; display: flex; align-items: center; justify-content: center; font-size: ${iconSize}px;">🗜️</div>
     `;
-  } else if (file.fileType === 'image' && file.preview) {
+  } else if (file.fileType === 'image' && file.thumbnails) {
     // Show image thumbnail for images
     return `
-      <img class="file-thumbnail" src="${file.preview}" alt="${file.name}"
+      <img class="file-thumbnail" src="${file.thumbnails.list}" alt="${file.name}"
         style="width: ${size}px; height: ${size}px; object-fit: cover; border-radius: 4px; border: 1px solid #e5e7eb; flex-shrink: 0;">
     `;
   } else {
@@ -1982,14 +2011,24 @@ function displayUploadedFiles() {
                           ${file.dimensions ? `<span class="file-dimensions" style="color: #6b7280; margin-left: 10px;">${escapeHTML(file.dimensions)}</span>` : ''}
                           <span class="file-size" style="color: #6b7280; margin-left: 10px;">${escapeHTML(String(file.sizeKB))} KB</span>
                           ${file.fileType === 'image' && !file.colorSpaceValid ? '<span class="file-warning" style="color: #ef4444; margin-left: 10px;">⚠️ CMYK</span>' : ''}
+                          ${file.colorProfile && !CORRECTLY_RENDERED_PROFILES.includes(file.colorProfile) ? `<span class="file-color-profile" style="color: #f59e0b; margin-left: 10px;" title="${escapeHTML(file.colorProfileDescription || '')}">🎨 ${escapeHTML(file.colorProfile)}</span>` : ''}
+                          ${file.isAnimated ? `<span class="file-animation" style="color: #6b7280; margin-left: 10px;">🎞️ ${escapeHTML(formatAnimationInfo(file))}</span>` : ''}
+                          ${file.hasTransparentPixels === true ? '<span class="file-transparency" style="color: #6b7280; margin-left: 10px;" title="Obrázek obsahuje průhledné pixely">◐ Průhlednost</span>' : ''}
+                          ${file.backupFor ? `<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="Záložní obrázek HTML5 banneru">🔗 Záloha pro ${escapeHTML(file.backupFor)}</span>` : ''}
+                          ${file.backupImage ? `<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="${escapeHTML(file.backupImage.name)}">🔗 Záložní obrázek</span>` : ''}
+                          ${file.originalFile ? '<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="Původní verze je uložena pro vrácení">🛠️ Opraveno</span>' : ''}
                         </div>
                         ${isZIP ? `
                           <button class="btn-link" onclick="toggleZIPContents('${safeFileName}', ${index})" style="background: none; border: none; color: #3b82f6; cursor: pointer; padding: 4px 0; margin-top: 4px; font-size: 13px;">
                             <span id="zip-toggle-${index}">▶ Zobrazit obsah</span>
                           </button>
                         ` : ''}
+                        ${file.isHTML5 ? `
+                          <button class="btn-link" onclick="showFileDetails(${index})" style="background: none; border: none; color: #3b82f6; cursor: pointer; padding: 4px 0; margin: 4px 0 0 12px; font-size: 13px;">🎬 Náhled banneru</button>
+                        ` : ''}
                       </div>
                     </div>
+                    <button class="file-details-btn" onclick="showFileDetails(${index})" title="Detail a bezpečná zóna" style="background: #f3f4f6; color: #374151; border: 1px solid #e5e7eb; padding: 5px 10px; border-radius: 4px; cursor: pointer; flex-shrink: 0; margin-right: 6px;">🔍</button>
                     <button class="remove-file-btn" onclick="removeFile(${index})" style="background: #ef4444; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; flex-shrink: 0;">✕</button>
                   </div>
                   ${isZIP ? `<div id="zip-contents-${index}" style="display: none;"></div>` : ''}
@@ -2028,14 +2067,24 @@ function displayUploadedFiles() {
                         ${file.dimensions ? `<span class="file-dimensions" style="color: #6b7280; margin-left: 10px;">${escapeHTML(file.dimensions)}</span>` : ''}
                         <span class="file-size" style="color: #6b7280; margin-left: 10px;">${escapeHTML(String(file.sizeKB))} KB</span>
                         ${file.fileType === 'image' && !file.colorSpaceValid ? '<span class="file-warning" style="color: #ef4444; margin-left: 10px;">⚠️ CMYK</span>' : ''}
+                        ${file.colorProfile && !CORRECTLY_RENDERED_PROFILES.includes(file.colorProfile) ? `<span class="file-color-profile" style="color: #f59e0b; margin-left: 10px;" title="${escapeHTML(file.colorProfileDescription || '')}">🎨 ${escapeHTML(file.colorProfile)}</span>` : ''}
+                        ${file.isAnimated ? `<span class="file-animation" style="color: #6b7280; margin-left: 10px;">🎞️ ${escapeHTML(formatAnimationInfo(file))}</span>` : ''}
+                        ${file.hasTransparentPixels === true ? '<span class="file-transparency" style="color: #6b7280; margin-left: 10px;" title="Obrázek obsahuje průhledné pixely">◐ Průhlednost</span>' : ''}
+                        ${file.backupFor ? `<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="Záložní obrázek HTML5 banneru">🔗 Záloha pro ${escapeHTML(file.backupFor)}</span>` : ''}
+                        ${file.backupImage ? `<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="${escapeHTML(file.backupImage.name)}">🔗 Záložní obrázek</span>` : ''}
+                        ${file.originalFile ? '<span class="file-backup" style="color: #6b7280; margin-left: 10px;" title="Původní verze je uložena pro vrácení">🛠️ Opraveno</span>' : ''}
                       </div>
                       ${isZIP ? `
                         <button class="btn-link" onclick="toggleZIPContents('${safeFileName}', ${index})" style="background: none; border: none; color: #3b82f6; cursor: pointer; padding: 4px 0; margin-top: 4px; font-size: 13px;">
                           <span id="zip-toggle-${index}">▶ Zobrazit obsah</span>
                         </button>
                       ` : ''}
+                      ${file.isHTML5 ? `
+                        <button class="btn-link" onclick="showFileDetails(${index})" style="background: none; border: none; color: #3b82f6; cursor: pointer; padding: 4px 0; margin: 4px 0 0 12px; font-size: 13px;">🎬 Náhled banneru</button>
+                      ` : ''}
                     </div>
                   </div>
+                  <button class="file-details-btn" onclick="showFileDetails(${index})" title="Detail a bezpečná zóna" style="background: #f3f4f6; color: #374151; border: 1px solid #e5e7eb; padding: 5px 10px; border-radius: 4px; cursor: pointer; flex-shrink: 0; margin-right: 6px;">🔍</button>
                   <button class="remove-file-btn" onclick="removeFile(${index})" style="background: #ef4444; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; flex-shrink: 0;">✕</button>
                 </div>
                 ${isZIP ? `<div id="zip-contents-${index}" style="display: none;"></div>` : ''}
@@ -2077,7 +2126,18 @@ function toggleFolder(header) {
 }
 
 function removeFile(index) {
-  appState.uploadedFiles.splice(index, 1);
+  const [removed] = appState.uploadedFiles.splice(index, 1);
+  if (removed) ThumbnailCache.release(removed);
+  if (removed && removed.originalFile) ThumbnailCache.release(removed.originalFile);
+
+  // Keep HTML5 banner <-> backup image links consistent
+  if (removed && removed.backupImage) {
+    delete removed.backupImage.backupFor;
+  }
+  if (removed && removed.backupFor) {
+    const banner = appState.uploadedFiles.find(f => f.backupImage === removed);
+    if (banner) banner.backupImage = null;
+  }
   displayUploadedFiles();
 
   // Disable analyze button (both top and bottom) when no files
@@ -2167,33 +2227,17 @@ async function toggleZIPContents(fileName, fileIndex) {
 // =============================================================================
 
 /**
- * Build membership map for multi-file format groups
- * Identifies which files are "active" (needed) vs "excess" (extra)
- * @param {Array} multiFileGroups - Detected multi-file format groups
- * @returns {Map} fileName -> { isInGroup, isActive, isExcess, format, groupIndex }
+ * Collect dimensions required by the campaign table
+ * @returns {Set<string>} Dimensions ("300x250"), empty without a campaign table
  */
-function buildMultiFileGroupMembership(multiFileGroups) {
-  const membership = new Map();
-
-  multiFileGroups.forEach((group, groupIndex) => {
-    const requiredCount = group.requiredCount || group.fileCount;
-
-    group.files.forEach((file, fileIndex) => {
-      const fileName = file.name;
-      const isActive = fileIndex < requiredCount; // First N files are active
-
-      membership.set(fileName, {
-        isInGroup: true,
-        isActive: isActive,
-        isExcess: !isActive,
-        format: group.format,
-        groupIndex: groupIndex,
-        complete: group.complete
-      });
-    });
-  });
-
-  return membership;
+function getCampaignRequiredDimensions() {
+  const requiredDimensions = new Set();
+  for (const requirement of appState.campaignRequirements || []) {
+    for (const dimension of requirement.dimensions) {
+      requiredDimensions.add(dimension);
+    }
+  }
+  return requiredDimensions;
 }
 
 async function validateCompatibility() {
@@ -2209,13 +2253,8 @@ async function validateCompatibility() {
   const groupMembership = buildMultiFileGroupMembership(appState.multiFileGroups);
 
   // If campaign table exists, extract required dimensions for filtering
-  const requiredDimensions = new Set();
-  if (appState.campaignRequirements && appState.campaignRequirements.length > 0) {
-    for (const requirement of appState.campaignRequirements) {
-      for (const dimension of requirement.dimensions) {
-        requiredDimensions.add(dimension);
-      }
-    }
+  const requiredDimensions = getCampaignRequiredDimensions();
+  if (requiredDimensions.size > 0) {
     console.log('Campaign table filter active. Only validating dimensions:', Array.from(requiredDimensions));
   }
 
@@ -2224,9 +2263,6 @@ async function validateCompatibility() {
   appState.networkStats = {};
 
   for (const fileData of appState.uploadedFiles) {
-    const compatible = [];
-    const incompatible = [];
-
     // Skip social media files - they don't validate against ad systems
     if (fileData.isSocialMedia) {
       appState.validationResults[fileData.name] = {
@@ -2255,62 +2291,7 @@ async function validateCompatibility() {
     }
 
     // Check against all networks and tiers (using centralized helpers from specs-rules.js)
-    const networks = getAllNetworks();
-
-    for (const network of networks) {
-      // Check if format is allowed for this system (use assignedFormat from folder as fallback)
-      const effectiveFormat = fileData.assignedFormat || fileData.detectedFormat;
-      if (effectiveFormat && !isFormatAllowedForSystem(effectiveFormat, network)) {
-        continue; // Skip validation for disallowed systems
-      }
-
-      // Determine tiers based on network capabilities
-      let tiers;
-      if (!networkHasTiers(network)) {
-        // Networks without tiers (HP_EXCLUSIVE, SKLIK, GOOGLE_ADS)
-        tiers = [null];
-      } else if (network === 'SOS') {
-        // SOS only has HIGH tier
-        tiers = ['HIGH'];
-      } else {
-        // Other tiered networks have HIGH and LOW
-        tiers = ['HIGH', 'LOW'];
-      }
-
-      for (const tier of tiers) {
-        const matches = findMatchingFormats(fileData, network, tier);
-
-        for (const match of matches) {
-          // If campaign table exists, only validate dimensions that are in the requirements
-          if (requiredDimensions.size > 0 && fileData.dimensions && !requiredDimensions.has(fileData.dimensions)) {
-            continue; // Skip this file - dimensions not in campaign table
-          }
-
-          const validation = validateFileForFormat(fileData, match.spec);
-
-          // Size violations are warnings, not blocking errors - only check validation.valid
-          if (validation.valid) {
-            compatible.push({
-              network: network,
-              tier: tier,
-              format: match.specKey,
-              formatDisplay: match.formatDisplay,
-              spec: match.spec,
-              warnings: validation.warnings || [] // Includes size warnings if present
-            });
-          } else {
-            // Only add to incompatible if format is allowed for this system
-            incompatible.push({
-              network: network,
-              tier: tier,
-              format: match.specKey,
-              formatDisplay: match.formatDisplay,
-              reason: validation.issues.join(', ')
-            });
-          }
-        }
-      }
-    }
+    const { compatible, incompatible } = validateFileAcrossNetworks(fileData, { requiredDimensions });
 
     appState.validationResults[fileData.name] = {
       file: fileData,
@@ -2500,7 +2481,7 @@ function buildAssignableFilesHTML(dimension, requirementName) {
 
     return `
       <li style="display: flex; align-items: center; gap: 10px; padding: 8px 12px; background: white; border-radius: 6px; border: 1px solid #fde68a; margin-bottom: 6px;">
-        ${file.preview ? `<img src="${file.preview}" class="assignment-thumbnail">` : ''}
+        ${file.thumbnails ? `<img src="${file.thumbnails.list}" class="assignment-thumbnail">` : ''}
         <div style="flex: 1; min-width: 0;">
           <div style="font-weight: 500; color: #1f2937; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${file.name}${folderInfo}</div>
           <div style="font-size: 11px; color: #6b7280;">${file.sizeKB}KB${file.assignedFormat ? ` • aktuálně: ${file.assignedFormat}` : ''}</div>
@@ -3998,35 +3979,885 @@ function toggleNetworkErrors(key) {
   }
 }
 
+// =============================================================================
+// FILE DETAILS MODAL
+// =============================================================================
+
+/**
+ * Open the file details modal with validation results and safe-area preview
+ * @param {number} fileIndex - Index in appState.uploadedFiles
+ */
 function showFileDetails(fileIndex) {
   const file = appState.uploadedFiles[fileIndex];
+  if (!file) return;
+
+  closeFileDetails();
+
+  const safeAreaSpecs = findSafeAreaSpecs(file);
+  appState.fileDetails = {
+    fileIndex: fileIndex,
+    specKey: safeAreaSpecs.length > 0 ? safeAreaSpecs[0].specKey : null,
+    dimOutside: false,
+    preview: file.isHTML5 ? { handle: null, error: null, paused: false, clicks: [], capturing: false, captureError: null, captureTime: 0 } : null,
+    repair: file.isHTML5 ? { fixes: Object.keys(HTML5Validator.REPAIR_FIXES), running: false, error: null, result: null } : null
+  };
+
+  renderFileDetails();
+  if (file.isHTML5) loadHTML5Preview();
+}
+
+/**
+ * Close the file details modal
+ */
+function closeFileDetails() {
+  const preview = appState.fileDetails && appState.fileDetails.preview;
+  if (preview && preview.handle) preview.handle.revoke();
+
+  appState.fileDetails = null;
+  const modal = document.getElementById('fileDetailsModal');
+  if (modal) modal.remove();
+  document.removeEventListener('keydown', handleFileDetailsKeydown);
+  window.removeEventListener('message', handleHTML5PreviewMessage);
+}
+
+/**
+ * Close the modal on Escape
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleFileDetailsKeydown(event) {
+  if (event.key === 'Escape') closeFileDetails();
+}
+
+/**
+ * Switch the safe-area overlay to another matching spec
+ * @param {string} specKey - Spec key from findSafeAreaSpecs()
+ */
+function selectSafeAreaSpec(specKey) {
+  if (!appState.fileDetails) return;
+  appState.fileDetails.specKey = specKey;
+  renderFileDetails();
+}
+
+/**
+ * Toggle dimming of everything outside the safe area
+ * @param {boolean} enabled - Dim outside the safe area
+ */
+function toggleSafeAreaDim(enabled) {
+  if (!appState.fileDetails) return;
+  appState.fileDetails.dimOutside = enabled;
+  const stage = document.getElementById('safeAreaStage');
+  if (stage) stage.classList.toggle('dim-outside', enabled);
+}
+
+/**
+ * Generate the creative preview with safe-area zones drawn on top
+ * Zones are positioned in percent of the creative size, so they scale with the preview
+ * @param {Object} file - Analyzed file object with thumbnails, width and height
+ * @param {Object} safeAreaSpec - Entry from findSafeAreaSpecs()
+ * @param {boolean} dimOutside - Dim everything outside the safe zone
+ * @returns {string} HTML string
+ */
+function generateSafeAreaPreviewHTML(file, safeAreaSpec, dimOutside) {
+  const toPercent = (value, total) => `${(value / total * 100).toFixed(3)}%`;
+
+  const zonesHTML = safeAreaSpec.zones.map(zone => `
+    <div class="safe-area-zone ${zone.type}" title="${escapeHTML(zone.label)}"
+      style="left: ${toPercent(zone.x, file.width)}; top: ${toPercent(zone.y, file.height)}; width: ${toPercent(zone.width, file.width)}; height: ${toPercent(zone.height, file.height)};"></div>
+  `).join('');
+
+  const legendHTML = safeAreaSpec.zones.map(zone => `
+    <span style="display: inline-flex; align-items: center; gap: 6px; margin-right: 15px;">
+      <span style="display: inline-block; width: 14px; height: 10px; border: 2px ${zone.type === 'margin' ? 'dashed #f59e0b' : 'solid #22c55e'};"></span>
+      ${escapeHTML(zone.label)}
+    </span>
+  `).join('');
+
+  return `
+    <div id="safeAreaStage" class="safe-area-stage${dimOutside ? ' dim-outside' : ''}">
+      <img src="${file.thumbnails.details}" alt="${escapeHTML(file.name)}">
+      ${zonesHTML}
+    </div>
+    <div style="margin-top: 8px; font-size: 12px; color: #6b7280;">${legendHTML}</div>
+  `;
+}
+
+/**
+ * Render an edge-density grid as a heatmap image (one pixel per cell, scaled up by CSS)
+ * @param {Object} edgeMap - Edge-density grid from computeEdgeDensityMap()
+ * @param {Array<number>} hotCells - Cell indices to highlight
+ * @returns {string} PNG data URL
+ */
+function renderEdgeHeatmapURL(edgeMap, hotCells) {
+  const canvas = document.createElement('canvas');
+  canvas.width = edgeMap.columns;
+  canvas.height = edgeMap.rows;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(edgeMap.columns, edgeMap.rows);
+  const hot = new Set(hotCells);
+
+  edgeMap.cells.forEach((density, index) => {
+    const p = index * 4;
+    if (hot.has(index)) {
+      imageData.data.set([239, 68, 68, 200], p); // Red - detail outside the zone
+    } else {
+      imageData.data.set([245, 158, 11, Math.round(Math.min(1, density * 3) * 140)], p); // Amber by density
+    }
+  });
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Generate a heatmap thumbnail for one safe-area violation
+ * @param {Object} file - Analyzed file object with thumbnails and edgeMap
+ * @param {Object} violation - Entry from findSafeAreaViolations()
+ * @returns {string} HTML string
+ */
+function generateSafeAreaViolationHTML(file, violation) {
+  const zone = violation.zone;
+  const toPercent = (value, total) => `${(value / total * 100).toFixed(3)}%`;
+
+  return `
+    <div style="display: flex; gap: 12px; align-items: flex-start; margin-top: 10px;">
+      <div class="safe-area-stage" style="width: 240px; flex-shrink: 0;">
+        <img src="${file.thumbnails.details}" alt="" style="width: 100%;">
+        <img class="edge-heatmap" src="${renderEdgeHeatmapURL(file.edgeMap, violation.hotCells)}" alt="">
+        <div class="safe-area-zone ${zone.type}"
+          style="left: ${toPercent(zone.x, file.width)}; top: ${toPercent(zone.y, file.height)}; width: ${toPercent(zone.width, file.width)}; height: ${toPercent(zone.height, file.height)};"></div>
+      </div>
+      <div style="font-size: 13px; color: #92400e;">⚠️ ${escapeHTML(violation.message)}</div>
+    </div>
+  `;
+}
+
+/**
+ * Build the HTML5 inspection findings table for the file details modal
+ * Network-specific findings are listed per rule profile of the networks the banner was validated for.
+ * @param {Object} html5Validation - Result of HTML5Validator.validateHTML5Banner()
+ * @param {Array<string>} networks - Networks the banner matched (empty = default profile)
+ * @returns {string} HTML table (empty when there are no findings)
+ */
+function generateHTML5FindingsHTML(html5Validation, networks = []) {
+  if (!html5Validation) return '';
+
+  const sourceLabel = HTML5Validator.DIMENSION_SOURCES[html5Validation.dimensionSource];
+  const dimensionsHTML = html5Validation.dimensions
+    ? `<div style="margin-top: 15px; font-size: 12px; color: #6b7280;">Rozměr banneru: <strong>${escapeHTML(html5Validation.dimensions)}</strong>${sourceLabel ? ` (zdroj: ${escapeHTML(sourceLabel)})` : ''}</div>`
+    : '';
+  const tool = html5Validation.authoringTool;
+  const toolHTML = tool
+    ? `<div style="margin-top: 5px; font-size: 12px; color: #6b7280;">Nástroj: <strong>${escapeHTML(tool.name)}</strong>${tool.evidence.length > 0 ? ` (${escapeHTML(tool.evidence.slice(0, 3).map(item => item.reason).join(', '))})` : ''}</div>`
+    : '';
+
+  // Networks sharing a profile (Sklik, Onegar...) get one set of rows
+  const baseFindings = html5Validation.baseFindings || [];
+  const profileRows = new Map();
+  for (const network of networks.length > 0 ? networks : [null]) {
+    const profile = HTML5Validator.getRuleProfile(network);
+    if (!profileRows.has(profile)) {
+      const networkFindings = HTML5Validator.validateForNetwork(html5Validation, network).findings
+        .filter(finding => !baseFindings.includes(finding));
+      profileRows.set(profile, networkFindings);
+    }
+  }
+
+  const findings = [
+    ...baseFindings.map(finding => ({ finding, system: 'vše' })),
+    ...[...profileRows].flatMap(([profile, networkFindings]) => networkFindings.map(finding => ({ finding, system: profile.name })))
+  ];
+  const profileNames = [...profileRows.keys()].map(profile => profile.name).join(', ');
+
+  if (findings.length === 0) {
+    return `${dimensionsHTML}${toolHTML}<div style="margin-top: 15px; color: #10b981;">✅ Kontrola HTML5 banneru bez nálezů (pravidla: ${escapeHTML(profileNames)})</div>`;
+  }
+
+  const rows = findings.map(({ finding, system }) => `
+    <tr>
+      <td style="padding: 4px 8px;">${finding.severity === 'error' ? '❌' : '⚠️'}</td>
+      <td style="padding: 4px 8px; white-space: nowrap;">${escapeHTML(system)}</td>
+      <td style="padding: 4px 8px; font-family: monospace; white-space: nowrap;">${escapeHTML(finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : '—')}</td>
+      <td style="padding: 4px 8px;">${escapeHTML(finding.message)}</td>
+      <td style="padding: 4px 8px; font-family: monospace; color: #6b7280;">${escapeHTML(finding.ruleId)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    ${dimensionsHTML}
+    ${toolHTML}
+    <div style="margin-top: 15px;"><strong>Kontrola HTML5 banneru (${findings.length})</strong>
+      <span style="font-size: 12px; color: #6b7280;">pravidla: ${escapeHTML(profileNames)}</span>
+    </div>
+    <table style="width: 100%; margin-top: 5px; font-size: 12px; border-collapse: collapse;">
+      <thead>
+        <tr style="text-align: left; color: #6b7280;">
+          <th style="padding: 4px 8px;"></th><th style="padding: 4px 8px;">Systém</th><th style="padding: 4px 8px;">Soubor</th><th style="padding: 4px 8px;">Nález</th><th style="padding: 4px 8px;">Pravidlo</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Asset type labels for the HTML5 weight breakdown (keys of the validator's asset types)
+const HTML5_ASSET_TYPE_LABELS = {
+  document: 'HTML',
+  script: 'JavaScript',
+  stylesheet: 'CSS',
+  image: 'Obrázky',
+  font: 'Fonty',
+  media: 'Audio a video',
+  data: 'Data',
+  other: 'Ostatní'
+};
+
+/**
+ * Build the uncompressed weight breakdown of an HTML5 banner for the file details modal
+ * Limits shown are the strictest budgets among the specs the banner is compatible with.
+ * @param {Object} html5Validation - Result of HTML5Validator.validateHTML5Banner()
+ * @param {Array<Object>} specs - Specs of the compatible placements
+ * @returns {string} HTML (empty when the weight couldn't be measured)
+ */
+function generateHTML5WeightHTML(html5Validation, specs = []) {
+  const weight = html5Validation && html5Validation.weight;
+  if (!weight) return '';
+
+  const budgets = specs.map(spec => getHTML5Budget(spec));
+  const strictest = (key) => budgets.length > 0 ? Math.min(...budgets.map(budget => budget[key])) : null;
+
+  const typeRows = Object.entries(weight.byType).map(([type, group]) => `
+    <tr>
+      <td style="padding: 4px 8px;">${escapeHTML(HTML5_ASSET_TYPE_LABELS[type] || type)}</td>
+      <td style="padding: 4px 8px; text-align: right;">${group.count}</td>
+      <td style="padding: 4px 8px; text-align: right;">${group.sizeKB} KB</td>
+    </tr>
+  `).join('');
+
+  const budgetRow = (label, valueKB, limitKB, detail = '') => `
+    <tr>
+      <td style="padding: 4px 8px;">${limitKB === null ? '' : valueKB > limitKB ? '⚠️' : '✅'}</td>
+      <td style="padding: 4px 8px;">${escapeHTML(label)}${detail ? ` <span style="font-family: monospace; color: #6b7280;">${escapeHTML(detail)}</span>` : ''}</td>
+      <td style="padding: 4px 8px; text-align: right;">${valueKB} KB</td>
+      <td style="padding: 4px 8px; text-align: right; color: #6b7280;">${limitKB === null ? '—' : `${limitKB} KB`}</td>
+    </tr>
+  `;
+
+  return `
+    <div style="margin-top: 15px;"><strong>Velikost HTML5 banneru (rozbaleno)</strong></div>
+    <div style="display: flex; gap: 20px; flex-wrap: wrap; align-items: flex-start;">
+      <table style="margin-top: 5px; font-size: 12px; border-collapse: collapse;">
+        <thead>
+          <tr style="text-align: left; color: #6b7280;">
+            <th style="padding: 4px 8px;">Typ</th><th style="padding: 4px 8px; text-align: right;">Souborů</th><th style="padding: 4px 8px; text-align: right;">Velikost</th>
+          </tr>
+        </thead>
+        <tbody>${typeRows}</tbody>
+      </table>
+      <table style="margin-top: 5px; font-size: 12px; border-collapse: collapse;">
+        <thead>
+          <tr style="text-align: left; color: #6b7280;">
+            <th style="padding: 4px 8px;"></th><th style="padding: 4px 8px;">Kontrola</th><th style="padding: 4px 8px; text-align: right;">Velikost</th><th style="padding: 4px 8px; text-align: right;">Limit</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${budgetRow('Celkem', weight.totalKB, strictest('maxUncompressedKB'))}
+          ${budgetRow('Úvodní načtení (initial load)', weight.initialKB, strictest('maxInitialKB'))}
+          ${budgetRow('Dodatečné načtení (polite load)', weight.politeKB, null)}
+          ${weight.largest ? budgetRow('Největší soubor', weight.largest.sizeKB, strictest('maxAssetKB'), weight.largest.path) : ''}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render the file details modal from appState.fileDetails
+ */
+function renderFileDetails() {
+  const state = appState.fileDetails;
+  if (!state) return;
+
+  const file = appState.uploadedFiles[state.fileIndex];
   const validation = appState.validationResults[file.name];
+  const safeAreaSpecs = findSafeAreaSpecs(file);
+  const activeSpec = safeAreaSpecs.find(spec => spec.specKey === state.specKey) || null;
+
+  // Safe-area preview (images only - HTML5 banners have no static preview)
+  let previewHTML = '';
+  if (file.fileType === 'image' && file.thumbnails && file.width && file.height) {
+    if (activeSpec) {
+      const specButtons = safeAreaSpecs.length > 1 ? safeAreaSpecs.map(spec => `
+        <button class="${spec.specKey === activeSpec.specKey ? 'btn-primary' : 'btn-secondary'}"
+          onclick="selectSafeAreaSpec('${escapeHTML(spec.specKey)}')" style="padding: 4px 12px; font-size: 12px;">
+          ${escapeHTML(spec.name)}
+        </button>
+      `).join('') : '';
+
+      previewHTML = `
+        <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+          <strong>Bezpečná zóna: ${escapeHTML(activeSpec.name)}</strong>
+          <span style="font-size: 12px; color: #6b7280;">(${escapeHTML(activeSpec.networks.join(', '))})</span>
+          ${specButtons}
+          <label style="margin-left: auto; display: inline-flex; align-items: center; gap: 6px; font-weight: normal; cursor: pointer;">
+            <input type="checkbox" ${state.dimOutside ? 'checked' : ''} onchange="toggleSafeAreaDim(this.checked)">
+            Ztmavit mimo bezpečnou zónu
+          </label>
+        </div>
+        ${generateSafeAreaPreviewHTML(file, activeSpec, state.dimOutside)}
+      `;
 
-  let details = `File: ${file.name}\n\n`;
+      // Heuristic detail check - edge map is missing when the browser couldn't decode the image
+      const violations = findSafeAreaViolations(file.edgeMap, activeSpec.spec);
+      if (violations.length > 0) {
+        previewHTML += `
+          <div style="margin-top: 15px;"><strong>Detaily mimo bezpečnou zónu</strong>
+            <span style="font-size: 12px; color: #6b7280;">(červeně oblasti s textem nebo logem mimo zónu)</span>
+          </div>
+          ${violations.map(violation => generateSafeAreaViolationHTML(file, violation)).join('')}
+        `;
+      }
+    } else {
+      previewHTML = `
+        <div class="safe-area-stage"><img src="${file.thumbnails.details}" alt="${escapeHTML(file.name)}"></div>
+        <div style="margin-top: 8px; font-size: 12px; color: #6b7280;">Formát nemá definovanou bezpečnou zónu.</div>
+      `;
+    }
+  }
 
+  let validationHTML = '';
   if (validation) {
     if (validation.compatible.length > 0) {
-      details += `✅ Compatible Networks (${validation.compatible.length}):\n`;
-      validation.compatible.forEach(c => {
-        details += `  - ${c.network} ${c.tier || ''} (${c.formatDisplay})\n`;
-      });
-      details += '\n';
+      validationHTML += `
+        <div style="margin-top: 15px;"><strong>✅ Compatible Networks (${validation.compatible.length})</strong></div>
+        <ul style="margin: 5px 0 0 20px; font-size: 13px;">
+          ${validation.compatible.map(c => `
+            <li>${escapeHTML(c.network)} ${escapeHTML(c.tier || '')} (${escapeHTML(c.formatDisplay)})
+              ${(c.warnings || []).length > 0 ? `<div style="color: #92400e; font-size: 12px;">⚠️ ${c.warnings.map(escapeHTML).join('<br>⚠️ ')}</div>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      `;
     }
 
     if (validation.incompatible.length > 0) {
-      details += `❌ Incompatible Networks (${validation.incompatible.length}):\n`;
-      validation.incompatible.forEach(c => {
-        details += `  - ${c.network} ${c.tier || ''}: ${c.reason}\n`;
-      });
-      details += '\n';
+      validationHTML += `
+        <div style="margin-top: 15px;"><strong>❌ Incompatible Networks (${validation.incompatible.length})</strong></div>
+        <ul style="margin: 5px 0 0 20px; font-size: 13px;">
+          ${validation.incompatible.map(c => `<li>${escapeHTML(c.network)} ${escapeHTML(c.tier || '')}: ${escapeHTML(c.reason)}</li>`).join('')}
+        </ul>
+      `;
     }
   }
 
+  // HTML5 rules differ per network - show findings for every network the banner was matched to
+  const html5Networks = validation
+    ? [...new Set([...validation.compatible, ...validation.incompatible].map(placement => placement.network))]
+    : [];
+
   if (!file.colorSpaceValid) {
-    details += `⚠️ Warning: ${file.colorSpace} color space detected. Please convert to RGB.\n`;
+    validationHTML += `<div style="margin-top: 15px; color: #ef4444;">⚠️ Warning: ${escapeHTML(file.colorSpace)} color space detected. Please convert to RGB.</div>`;
+  }
+
+  let modal = document.getElementById('fileDetailsModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'fileDetailsModal';
+    modal.className = 'modal-overlay';
+    // Close when clicking the backdrop, not the dialog
+    modal.addEventListener('click', event => {
+      if (event.target === modal) closeFileDetails();
+    });
+    document.body.appendChild(modal);
+    document.addEventListener('keydown', handleFileDetailsKeydown);
+    window.addEventListener('message', handleHTML5PreviewMessage);
   }
 
-  alert(details);
+  modal.innerHTML = `
+    <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="fileDetailsTitle">
+      <div class="modal-header">
+        <div>
+          <h3 id="fileDetailsTitle" style="margin: 0;">${escapeHTML(file.name)}</h3>
+          <div style="font-size: 12px; color: #6b7280;">${escapeHTML(file.dimensions || '')} • ${escapeHTML(String(file.sizeKB))} KB${file.colorProfile ? ` • ${escapeHTML(file.colorProfile)}${file.bitDepth ? ` ${file.bitDepth} bit` : ''}` : ''}${file.folderPath ? ` • 📁 ${escapeHTML(file.folderPath)}` : ''}</div>
+        </div>
+        <button class="modal-close" onclick="closeFileDetails()" title="Zavřít">✕</button>
+      </div>
+      ${previewHTML}
+      ${file.isHTML5 ? generateHTML5PreviewHTML(file, state.preview) : ''}
+      ${file.isHTML5 ? generateHTML5FindingsHTML(file.html5Validation, html5Networks) : ''}
+      ${file.isHTML5 ? generateHTML5WeightHTML(file.html5Validation, validation ? validation.compatible.map(c => c.spec) : []) : ''}
+      ${file.isHTML5 ? generateHTML5RepairHTML(file, state.repair) : ''}
+      ${validationHTML}
+    </div>
+  `;
+
+  // srcdoc is set from script - the rewritten banner HTML is too large to inline in the template
+  const frame = document.getElementById('html5PreviewFrame');
+  if (frame && state.preview && state.preview.handle) {
+    frame.srcdoc = state.preview.handle.html;
+  }
+}
+
+// =============================================================================
+// HTML5 BANNER PREVIEW
+// =============================================================================
+
+/**
+ * Get the URL substituted for __CLICKTHRU__ in the preview
+ * Uses the generated banner URL for the first compatible network when campaign settings are filled in,
+ * otherwise the plain landing URL (resolved for that network and file).
+ * @param {Object} file - Analyzed HTML5 file
+ * @returns {string} Click URL ('' when no landing URL is set)
+ */
+function getPreviewClickURL(file) {
+  const validation = appState.validationResults[file.name];
+  const target = validation && validation.compatible.length > 0 ? validation.compatible[0] : null;
+  const landingURL = target
+    ? resolveBannerLandingURL(target.network, file.name, file.dimensions).url
+    : appState.landingURL || document.getElementById('landingURL')?.value || '';
+  if (!landingURL) return '';
+
+  if (!target || !appState.campaignName || !appState.contentName) return landingURL;
+
+  return buildBannerURL({
+    network: target.network,
+    tier: target.tier,
+    campaignName: appState.campaignName,
+    contentName: appState.contentName,
+    landingURL: landingURL,
+    dimensions: file.dimensions,
+    format: 'banner',
+    service: 'hp',
+    anchor: '',
+    isZbozi: appState.isZboziCampaign,
+    dateRange: getCampaignDateRange(),
+    fileName: file.name
+  }, appState.utmProfile, appState.utmConflictMode);
+}
+
+/**
+ * Build the preview for the HTML5 banner shown in the file details modal
+ */
+async function loadHTML5Preview() {
+  const state = appState.fileDetails;
+  if (!state || !state.preview) return;
+
+  const file = appState.uploadedFiles[state.fileIndex];
+  try {
+    const handle = await HTML5Preview.createPreview(file.file, { clickURL: getPreviewClickURL(file) });
+    // The modal may have been closed or switched to another file meanwhile
+    if (appState.fileDetails !== state) {
+      handle.revoke();
+      return;
+    }
+    state.preview.handle = handle;
+  } catch (error) {
+    console.warn('Could not build HTML5 preview:', error.message);
+    if (appState.fileDetails !== state) return;
+    state.preview.error = error.message;
+  }
+  renderFileDetails();
+}
+
+/**
+ * Generate the preview section (sandboxed iframe, controls, click log) for the file details modal
+ * @param {Object} file - Analyzed HTML5 file
+ * @param {Object} preview - appState.fileDetails.preview
+ * @returns {string} HTML string
+ */
+function generateHTML5PreviewHTML(file, preview) {
+  if (preview.error) {
+    return `<div style="margin-top: 15px; color: #f59e0b;">⚠️ Náhled nelze vytvořit: ${escapeHTML(preview.error)}</div>`;
+  }
+  if (!preview.handle) {
+    return '<div style="margin-top: 15px; color: #6b7280;">⏳ Připravuji náhled banneru...</div>';
+  }
+
+  const width = file.width || 300;
+  const height = file.height || 250;
+  // Scale large banners (branding) down to the dialog width
+  const scale = Math.min(1, 1000 / width);
+
+  return `
+    <div style="display: flex; align-items: center; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+      <strong>Náhled banneru</strong>
+      <span style="font-size: 12px; color: #6b7280;">${width}×${height}${scale < 1 ? ` (zmenšeno na ${Math.round(scale * 100)} %)` : ''}</span>
+      <button id="html5PreviewPauseBtn" class="btn-secondary" onclick="toggleHTML5PreviewPause()" style="padding: 4px 12px; font-size: 12px;">${preview.paused ? '▶ Pokračovat' : '⏸ Pozastavit'}</button>
+      <button class="btn-secondary" onclick="replayHTML5Preview()" style="padding: 4px 12px; font-size: 12px;">↻ Přehrát znovu</button>
+    </div>
+    <div class="html5-preview-stage" style="width: ${Math.round(width * scale)}px; height: ${Math.round(height * scale)}px;">
+      <iframe id="html5PreviewFrame" sandbox="allow-scripts" title="Náhled ${escapeHTML(file.name)}"
+        style="width: ${width}px; height: ${height}px; transform: scale(${scale});"></iframe>
+    </div>
+    <div style="margin-top: 10px; font-size: 12px;"><strong>Kliknutí</strong>
+      <span style="color: #6b7280;">(proklik se neotevře, jen zaznamená)</span>
+    </div>
+    <div id="html5PreviewLog" class="html5-preview-log">${generateHTML5ClickLogHTML(preview.clicks)}</div>
+    ${generateHTML5BackupHTML(file, preview)}
+  `;
+}
+
+/**
+ * Generate the backup image section (capture controls, linked image and its validation)
+ * @param {Object} file - Analyzed HTML5 file
+ * @param {Object} preview - appState.fileDetails.preview
+ * @returns {string} HTML string
+ */
+function generateHTML5BackupHTML(file, preview) {
+  const backup = file.backupImage;
+  let backupHTML = '<div style="font-size: 12px; color: #6b7280;">Záložní obrázek zatím není připojen.</div>';
+
+  if (backup) {
+    const { compatible, incompatible } = validateFileAcrossNetworks(backup);
+    const networks = [...new Set(compatible.map(entry => entry.network))];
+    backupHTML = `
+      <div style="display: flex; align-items: center; gap: 10px;">
+        ${generateThumbnailHTML(backup, 40)}
+        <div style="font-size: 12px;">
+          <div><strong>${escapeHTML(backup.name)}</strong> • ${escapeHTML(backup.dimensions || '')} • ${escapeHTML(String(backup.sizeKB))} KB</div>
+          ${networks.length > 0
+            ? `<div style="color: #10b981;">✅ Odpovídá statickému formátu: ${escapeHTML(networks.join(', '))}</div>`
+            : '<div style="color: #ef4444;">❌ Neodpovídá žádnému statickému formátu</div>'}
+          ${incompatible.length > 0 ? `<div style="color: #92400e;">⚠️ ${escapeHTML([...new Set(incompatible.map(entry => entry.reason))].join('; '))}</div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  return `
+    <div style="margin-top: 15px;"><strong>Záložní obrázek (backup)</strong></div>
+    <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin: 5px 0 8px;">
+      <label style="font-size: 12px;">Čas (s)
+        <input id="html5CaptureTime" type="number" min="0" max="30" step="0.5" value="${preview.captureTime}" style="width: 70px; padding: 3px 6px;">
+      </label>
+      <button class="btn-secondary" onclick="captureHTML5Backup(false)" ${preview.capturing ? 'disabled' : ''} style="padding: 4px 12px; font-size: 12px;">📸 Zachytit v čase</button>
+      <button class="btn-secondary" onclick="captureHTML5Backup(true)" ${preview.capturing ? 'disabled' : ''} style="padding: 4px 12px; font-size: 12px;">📸 Zachytit konec animace</button>
+      ${preview.capturing ? '<span style="font-size: 12px; color: #6b7280;">⏳ Zachytávám snímek...</span>' : ''}
+      ${preview.captureError ? `<span style="font-size: 12px; color: #ef4444;">⚠️ ${escapeHTML(preview.captureError)}</span>` : ''}
+    </div>
+    ${backupHTML}
+  `;
+}
+
+/**
+ * Capture a frame of the previewed banner and link it as the banner's backup image
+ * @param {boolean} atEnd - True = end of the animation, false = time from the input
+ */
+async function captureHTML5Backup(atEnd) {
+  const state = appState.fileDetails;
+  if (!state || !state.preview || !state.preview.handle || state.preview.capturing) return;
+
+  const zipFile = appState.uploadedFiles[state.fileIndex];
+  const seconds = parseFloat(document.getElementById('html5CaptureTime')?.value) || 0;
+
+  state.preview.capturing = true;
+  state.preview.captureError = null;
+  state.preview.captureTime = seconds;
+  renderFileDetails();
+
+  try {
+    const frame = document.getElementById('html5PreviewFrame');
+    const blob = await HTML5Preview.captureFrame(frame, state.preview.handle.html, { at: atEnd ? null : seconds });
+    const backupName = `${zipFile.name.replace(/\.zip$/i, '')}_backup.png`;
+    const backupData = await analyzeFile(new File([blob], backupName, { type: 'image/png' }), zipFile.folderPath || '');
+    linkBackupImage(zipFile, backupData);
+    displayUploadedFiles();
+  } catch (error) {
+    console.warn('Backup capture failed:', error.message);
+    state.preview.captureError = error.message;
+  }
+
+  state.preview.capturing = false;
+  state.preview.paused = false;
+  // The modal may have been closed meanwhile
+  if (appState.fileDetails === state) {
+    state.fileIndex = appState.uploadedFiles.indexOf(zipFile);
+    renderFileDetails();
+  }
+}
+
+/**
+ * Add an analyzed backup image to the upload list and link it to its HTML5 banner
+ * Replaces a previously captured backup of the same banner.
+ * @param {Object} zipFile - Analyzed HTML5 file
+ * @param {Object} backupData - Analyzed backup image
+ */
+function linkBackupImage(zipFile, backupData) {
+  if (zipFile.backupImage) {
+    const oldIndex = appState.uploadedFiles.indexOf(zipFile.backupImage);
+    if (oldIndex !== -1) appState.uploadedFiles.splice(oldIndex, 1);
+    ThumbnailCache.release(zipFile.backupImage);
+  }
+
+  ThumbnailCache.acquire(backupData);
+  backupData.folderPath = zipFile.folderPath || '';
+  backupData.assignedSystem = zipFile.assignedSystem || null;
+  backupData.assignedFormat = null; // Validated against the static spec of its dimensions
+  backupData.backupFor = zipFile.name;
+
+  zipFile.backupImage = backupData;
+  appState.uploadedFiles.push(backupData);
+}
+
+/**
+ * Generate the click log entries
+ * @param {Array<Object>} clicks - Logged clicks { time, url, target, method }
+ * @returns {string} HTML string
+ */
+function generateHTML5ClickLogHTML(clicks) {
+  if (clicks.length === 0) {
+    return '<div style="color: #9ca3af;">Zatím žádné kliknutí</div>';
+  }
+  return clicks.map(click => `
+    <div>
+      <span style="color: #6b7280;">${escapeHTML(click.time)}</span>
+      ${escapeHTML(click.method)}${click.target ? ` target="${escapeHTML(click.target)}"` : ''} →
+      <span style="font-family: monospace; word-break: break-all;">${escapeHTML(click.url || '(prázdná URL)')}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Log click attempts reported by the preview iframe
+ * @param {MessageEvent} event - Message from the bootstrap script
+ */
+function handleHTML5PreviewMessage(event) {
+  const state = appState.fileDetails;
+  const frame = document.getElementById('html5PreviewFrame');
+  if (!state || !state.preview || !frame || event.source !== frame.contentWindow) return;
+  if (!HTML5Preview.isPreviewMessage(event) || event.data.type !== 'click') return;
+
+  state.preview.clicks.unshift({
+    time: new Date().toLocaleTimeString('cs-CZ'),
+    url: String(event.data.url || ''),
+    target: String(event.data.target || ''),
+    method: String(event.data.method || '')
+  });
+
+  // Update only the log - re-rendering the modal would restart the banner
+  const log = document.getElementById('html5PreviewLog');
+  if (log) log.innerHTML = generateHTML5ClickLogHTML(state.preview.clicks);
+}
+
+/**
+ * Pause or resume the banner animation
+ */
+function toggleHTML5PreviewPause() {
+  const state = appState.fileDetails;
+  if (!state || !state.preview) return;
+
+  state.preview.paused = !state.preview.paused;
+  HTML5Preview.setPaused(document.getElementById('html5PreviewFrame'), state.preview.paused);
+
+  const button = document.getElementById('html5PreviewPauseBtn');
+  if (button) button.textContent = state.preview.paused ? '▶ Pokračovat' : '⏸ Pozastavit';
+}
+
+/**
+ * Restart the banner from the beginning
+ */
+function replayHTML5Preview() {
+  const state = appState.fileDetails;
+  const frame = document.getElementById('html5PreviewFrame');
+  if (!state || !state.preview || !state.preview.handle || !frame) return;
+
+  state.preview.paused = false;
+  frame.srcdoc = state.preview.handle.html;
+
+  const button = document.getElementById('html5PreviewPauseBtn');
+  if (button) button.textContent = '⏸ Pozastavit';
+}
+
+// =============================================================================
+// HTML5 BANNER REPAIR
+// =============================================================================
+
+/**
+ * Generate the fix-and-repackage section of the file details modal
+ * @param {Object} file - Analyzed HTML5 file
+ * @param {Object} repair - appState.fileDetails.repair
+ * @returns {string} HTML string
+ */
+function generateHTML5RepairHTML(file, repair) {
+  const rollbackHTML = file.originalFile ? `
+    <div style="display: flex; align-items: center; gap: 8px; margin: 5px 0 8px; font-size: 12px; color: #6b7280;">
+      🛠️ Soubor je opravená verze, původní je uložen.
+      <button class="btn-secondary" onclick="rollbackHTML5Repair()" style="padding: 4px 12px; font-size: 12px;">↩️ Vrátit původní</button>
+    </div>
+  ` : '';
+
+  const fixesHTML = Object.entries(HTML5Validator.REPAIR_FIXES).map(([key, label]) => `
+    <label style="display: block; font-size: 12px; font-weight: normal; cursor: pointer;">
+      <input type="checkbox" ${repair.fixes.includes(key) ? 'checked' : ''} onchange="toggleHTML5RepairFix('${key}', this.checked)">
+      ${escapeHTML(label)}
+    </label>
+  `).join('');
+
+  let resultHTML = '';
+  if (repair.error) {
+    resultHTML = `<div style="font-size: 12px; color: #ef4444;">⚠️ Opravu se nepodařilo provést: ${escapeHTML(repair.error)}</div>`;
+  } else if (repair.result && repair.result.changes.length === 0) {
+    resultHTML = '<div style="font-size: 12px; color: #6b7280;">Vybrané opravy nic nezměnily.</div>';
+  } else if (repair.result) {
+    const { changes, validation } = repair.result;
+    const icons = { removed: '🗑️', moved: '📁', modified: '✏️' };
+    const changesHTML = changes.map(change => `
+      <div style="margin-top: 4px;">
+        ${icons[change.action]} <span style="font-family: monospace;">${escapeHTML(change.from ? `${change.from} → ${change.path}` : change.path)}</span>
+        ${(change.diff || []).map(line => `
+          <div style="font-family: monospace; font-size: 11px; margin-left: 20px; word-break: break-all;">
+            <div style="color: #b91c1c;">- ${line.line}: ${escapeHTML(line.before)}</div>
+            <div style="color: #15803d;">+ ${line.line}: ${escapeHTML(line.after)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+
+    const before = file.html5Validation || { issues: [], warnings: [] };
+    resultHTML = `
+      <div style="font-size: 12px;">${changesHTML}</div>
+      <div style="margin-top: 8px; font-size: 12px;">
+        Chyby: ${before.issues.length} → <strong>${validation.issues.length}</strong>,
+        varování: ${before.warnings.length} → <strong>${validation.warnings.length}</strong>
+        ${validation.issues.length > 0 ? `<div style="color: #92400e;">⚠️ ${validation.issues.map(escapeHTML).join('<br>⚠️ ')}</div>` : ''}
+      </div>
+      <div style="display: flex; gap: 8px; margin-top: 8px;">
+        <button class="btn-primary" onclick="applyHTML5Repair()" style="padding: 4px 12px; font-size: 12px;">✅ Nahradit opraveným souborem</button>
+        <button class="btn-secondary" onclick="discardHTML5Repair()" style="padding: 4px 12px; font-size: 12px;">Zahodit</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div style="margin-top: 15px;"><strong>Opravit a přebalit</strong></div>
+    ${rollbackHTML}
+    <div style="margin: 5px 0 8px;">${fixesHTML}</div>
+    <button class="btn-secondary" onclick="runHTML5Repair()" ${repair.running || repair.fixes.length === 0 ? 'disabled' : ''} style="padding: 4px 12px; font-size: 12px;">
+      ${repair.running ? '⏳ Opravuji...' : '🛠️ Opravit a přebalit'}
+    </button>
+    <div style="margin-top: 8px;">${resultHTML}</div>
+  `;
+}
+
+/**
+ * Select or deselect one repair transformation
+ * @param {string} fix - Key of HTML5Validator.REPAIR_FIXES
+ * @param {boolean} enabled - Checkbox state
+ */
+function toggleHTML5RepairFix(fix, enabled) {
+  const repair = appState.fileDetails && appState.fileDetails.repair;
+  if (!repair) return;
+
+  repair.fixes = enabled ? [...new Set([...repair.fixes, fix])] : repair.fixes.filter(key => key !== fix);
+  repair.result = null;
+  renderFileDetails();
+}
+
+/**
+ * Repackage the banner with the selected fixes and show the diff (the upload list is not changed yet)
+ */
+async function runHTML5Repair() {
+  const state = appState.fileDetails;
+  if (!state || !state.repair || state.repair.running) return;
+
+  const zipFile = appState.uploadedFiles[state.fileIndex];
+  state.repair.running = true;
+  state.repair.error = null;
+  state.repair.result = null;
+  renderFileDetails();
+
+  try {
+    state.repair.result = await HTML5Validator.repairBanner(zipFile.file, state.repair.fixes);
+  } catch (error) {
+    console.warn('HTML5 repair failed:', error.message);
+    state.repair.error = error.message;
+  }
+
+  state.repair.running = false;
+  if (appState.fileDetails === state) renderFileDetails();
+}
+
+/**
+ * Drop the repaired ZIP without using it
+ */
+function discardHTML5Repair() {
+  const repair = appState.fileDetails && appState.fileDetails.repair;
+  if (!repair) return;
+
+  repair.result = null;
+  renderFileDetails();
+}
+
+/**
+ * Put another version of a file in place of an uploaded one
+ * Keeps folder assignments and the backup image link, and refreshes the file's validation if it was analyzed.
+ * @param {Object} oldData - Analyzed file currently in appState.uploadedFiles
+ * @param {Object} newData - Analyzed file to put in its place
+ */
+function replaceUploadedFile(oldData, newData) {
+  const index = appState.uploadedFiles.indexOf(oldData);
+  if (index === -1) return;
+
+  newData.folderPath = oldData.folderPath || '';
+  newData.assignedSystem = oldData.assignedSystem || null;
+  newData.assignedFormat = oldData.assignedFormat || null;
+  if (oldData.backupImage) {
+    newData.backupImage = oldData.backupImage;
+    oldData.backupImage = null;
+  }
+
+  appState.uploadedFiles[index] = newData;
+
+  if (appState.validationResults[newData.name]) {
+    const { compatible, incompatible } = validateFileAcrossNetworks(newData, { requiredDimensions: getCampaignRequiredDimensions() });
+    appState.validationResults[newData.name] = { file: newData, compatible, incompatible };
+    calculateNetworkStats();
+  }
+
+  displayUploadedFiles();
+}
+
+/**
+ * Replace the uploaded banner with the repaired ZIP, keeping the original for rollback
+ */
+async function applyHTML5Repair() {
+  const state = appState.fileDetails;
+  if (!state || !state.repair || !state.repair.result) return;
+
+  const original = appState.uploadedFiles[state.fileIndex];
+  let repairedData;
+  try {
+    repairedData = await analyzeFile(state.repair.result.file, original.folderPath || '');
+  } catch (error) {
+    console.warn('Analysis of the repaired banner failed:', error.message);
+    state.repair.error = error.message;
+    if (appState.fileDetails === state) renderFileDetails();
+    return;
+  }
+
+  ThumbnailCache.acquire(repairedData);
+  // Repeated repairs still roll back to the uploaded file
+  repairedData.originalFile = original.originalFile || original;
+
+  replaceUploadedFile(original, repairedData);
+  // An earlier repaired version is dropped for good (the uploaded file stays referenced for rollback)
+  if (original.originalFile) ThumbnailCache.release(original);
+  showFileDetails(appState.uploadedFiles.indexOf(repairedData));
+}
+
+/**
+ * Put the originally uploaded banner back in place of its repaired version
+ */
+function rollbackHTML5Repair() {
+  const state = appState.fileDetails;
+  if (!state) return;
+
+  const repairedData = appState.uploadedFiles[state.fileIndex];
+  const original = repairedData && repairedData.originalFile;
+  if (!original) return;
+
+  replaceUploadedFile(repairedData, original);
+  ThumbnailCache.release(repairedData);
+  showFileDetails(appState.uploadedFiles.indexOf(original));
 }
 
 // =============================================================================
@@ -4039,28 +4870,23 @@ function updateCampaignTier(tier) {
 }
 
 /**
- * Build HTML for a single network tier section
- * @param {string} network - Network name (e.g., 'ADFORM', 'SOS')
- * @param {string} tier - Tier level ('LOW' or 'HIGH')
- * @param {Object} selection - Selection object with network and selectedBanners
- * @param {string} campaignName - Campaign name
- * @param {string} contentName - Content name
- * @param {string} landingURL - Landing page URL
- * @returns {string} HTML for the tier section
+ * Get the files exported for a network and tier, in step 5 row order
+ * @param {string} network - Network name
+ * @param {string} tier - Tier level
+ * @param {Object} selection - Selection with selectedBanners (optional, looked up in appState.selectedNetworks)
+ * @returns {Array<Object>} Files { fileName, file, placements }
  */
-function buildNetworkTierSection(network, tier, selection, campaignName, contentName, landingURL) {
-  const tierKey = (network === 'HP_EXCLUSIVE' || network === 'SKLIK') ? 'NONE' : tier;
-  const stats = appState.networkStats[network][tierKey];
-
-  if (!stats) return '';
-
-  // Get eligible files for this network and tier, filtered by selected banners
+function getTierExportFiles(network, tier, selection = appState.selectedNetworks.find(s => s.network === network)) {
   const eligibleFiles = [];
+  if (!selection) return eligibleFiles;
+
   for (const [fileName, validation] of Object.entries(appState.validationResults)) {
     // Only include files that were selected in step 4
     if (!selection.selectedBanners || !selection.selectedBanners.includes(fileName)) {
       continue;
     }
+    // Backup images are exported next to their HTML5 banner
+    if (validation.file.backupFor) continue;
 
     const matches = validation.compatible.filter(c =>
       c.network === network && (c.tier === tier || ((network === 'HP_EXCLUSIVE' || network === 'SKLIK') && !c.tier))
@@ -4075,6 +4901,26 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
     }
   }
 
+  return eligibleFiles;
+}
+
+/**
+ * Build HTML for a single network tier section
+ * @param {string} network - Network name (e.g., 'ADFORM', 'SOS')
+ * @param {string} tier - Tier level ('LOW' or 'HIGH')
+ * @param {Object} selection - Selection object with network and selectedBanners
+ * @param {string} campaignName - Campaign name
+ * @param {string} contentName - Content name
+ * @returns {string} HTML for the tier section
+ */
+function buildNetworkTierSection(network, tier, selection, campaignName, contentName) {
+  const tierKey = (network === 'HP_EXCLUSIVE' || network === 'SKLIK') ? 'NONE' : tier;
+  const stats = appState.networkStats[network][tierKey];
+
+  if (!stats) return '';
+
+  const eligibleFiles = getTierExportFiles(network, tier, selection);
+
   // Build and return the HTML for this tier section
   return `
     <div class="network-card" style="border: 2px solid #10b981; border-radius: 12px; padding: 20px; margin: 20px 0; background: #f0fdf4;">
@@ -4097,7 +4943,7 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
         <div style="margin-bottom: 15px;">
           <strong style="display: block; margin-bottom: 8px; color: #1f2937;">Bannery k exportu:</strong>
           <div style="overflow-x: auto; background: white; border-radius: 6px;">
-            <table class="results-table" style="width: 100%; min-width: 1050px;">
+            <table class="results-table" style="width: 100%; min-width: 1230px;">
               <thead>
                 <tr>
                   <th style="width: 50px;">Náhled</th>
@@ -4106,6 +4952,7 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
                   <th style="width: 120px;">Formát</th>
                   <th style="width: 120px;">Umístění</th>
                   <th style="width: 120px;">Ukotvení</th>
+                  <th style="width: 180px;">Landing URL</th>
                   <th>Finální URL</th>
                   <th style="width: 80px;">Akce</th>
                 </tr>
@@ -4158,18 +5005,22 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
                   formatOptions = formatOptions.replace(`value="${defaultFormat}"`, `value="${defaultFormat}" selected`);
 
                   // Generate URL with current values
-                  const generatedURL = generateBannerURL({
+                  const landing = resolveBannerLandingURL(network, f.fileName, f.file.dimensions);
+                  const urlDetails = buildBannerURLDetails({
                     network: network,
                     tier: tier,
                     campaignName: campaignName,
                     contentName: contentName,
-                    landingURL: landingURL,
+                    landingURL: landing.url,
                     dimensions: f.file.dimensions,
                     format: defaultFormat,
                     service: defaultService,
                     anchor: '',
-                    isZbozi: appState.isZboziCampaign
-                  });
+                    isZbozi: appState.isZboziCampaign,
+                    dateRange: getCampaignDateRange(),
+                    fileName: f.fileName
+                  }, appState.utmProfile, appState.utmConflictMode);
+                  const generatedURL = urlDetails.url;
 
                   const finalName = generateFinalFilename(f.fileName, f.file.dimensions, campaignName, network);
 
@@ -4179,6 +5030,9 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
                       <td>
                         <div style="font-weight: 600;">${f.fileName}</div>
                         <div style="font-size: 11px; color: #10b981; margin-top: 2px;">→ ${finalName}</div>
+                        ${f.file.backupImage && !isBackupImageExportable(f.file.backupImage, network, tier)
+                          ? `<div style="font-size: 11px; color: #d97706; margin-top: 2px;" title="${escapeHTML(f.file.backupImage.name)}">⚠️ Záložní obrázek neodpovídá statické specifikaci, do exportu se nepřidá</div>`
+                          : ''}
                       </td>
                       <td>${f.file.dimensions}</td>
                       <td>
@@ -4204,8 +5058,13 @@ function buildNetworkTierSection(network, tier, selection, campaignName, content
                       <td>
                         <input type="text" id="anchor_${fileId}" onchange="updateBannerURL('${fileId}', '${network}', '${tier}', ${idx})" placeholder="např. at-ziji-duchove" style="width: 100%; padding: 4px; font-size: 12px;">
                       </td>
+                      <td>
+                        <input type="text" id="landing_${fileId}" value="${escapeHTML(appState.landingURLOverrides.files[f.fileName] || '')}" placeholder="${escapeHTML(landing.url)}" onchange="setFileLandingURL('${fileId}', '${network}', '${tier}', ${idx})" style="width: 100%; padding: 4px; font-size: 12px;">
+                        <div id="landingLevel_${fileId}" style="font-size: 10px; color: #6b7280; margin-top: 2px;">${renderLandingLevelHTML(landing)}</div>
+                      </td>
                       <td>
                         <div id="url_${fileId}" style="font-size: 11px; color: #3b82f6; word-break: break-all; font-family: monospace;">${generatedURL}</div>
+                        <div id="lint_${fileId}">${renderUTMLintHTML(lintBannerURL(generatedURL, appState.utmProfile, urlDetails))}</div>
                       </td>
                       <td style="text-align: center;">
                         <button onclick="copyURL('${fileId}')" style="padding: 4px 8px; font-size: 11px; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer;">
@@ -4239,7 +5098,6 @@ function displayExportSettings() {
   // Use values from appState (set in step 3)
   const campaignName = appState.campaignName || '';
   const contentName = appState.contentName || '';
-  const landingURL = appState.landingURL || '';
 
   let html = '';
 
@@ -4256,7 +5114,7 @@ function displayExportSettings() {
       const marginTop = i > 0 ? 'margin-top: 20px;' : '';
 
       html += `<div id="tierSection_${network}_${tier}" style="${marginTop}">`;
-      html += buildNetworkTierSection(network, tier, selection, campaignName, contentName, landingURL);
+      html += buildNetworkTierSection(network, tier, selection, campaignName, contentName);
       html += `</div>`;
     }
 
@@ -4268,6 +5126,7 @@ function displayExportSettings() {
   }
 
   exportNetworksSection.innerHTML = html;
+  renderLandingURLOverrides();
 }
 
 /**
@@ -4279,6 +5138,7 @@ function updateAllExportPreviews() {
   appState.campaignName = document.getElementById('campaignName')?.value || '';
   appState.landingURL = document.getElementById('landingURL')?.value || '';
   appState.contentName = document.getElementById('utmContent')?.value || '';
+  appState.utmConflictMode = getUTMConflictMode();
 
   // Update Zbozi state
   const zboziToggle = document.getElementById('zboziToggle')?.checked || false;
@@ -4327,38 +5187,36 @@ function updateBannerURL(fileId, network, tier, fileIndex) {
     serviceValue = serviceCustomInput.value.trim();
   }
 
-  // Get eligible files for this network/tier
-  const eligibleFiles = [];
-  for (const [fileName, validation] of Object.entries(appState.validationResults)) {
-    const matches = validation.compatible.filter(c =>
-      c.network === network && (c.tier === tier || ((network === 'HP_EXCLUSIVE' || network === 'SKLIK') && !c.tier))
-    );
-    if (matches.length > 0) {
-      eligibleFiles.push({
-        fileName,
-        file: validation.file
-      });
-    }
-  }
-
-  const fileData = eligibleFiles[fileIndex];
+  const fileData = getTierExportFiles(network, tier)[fileIndex];
   if (!fileData) return;
 
+  const landing = resolveBannerLandingURL(network, fileData.fileName, fileData.file.dimensions);
+  const landingInput = document.getElementById(`landing_${fileId}`);
+  const landingLevelDiv = document.getElementById(`landingLevel_${fileId}`);
+  if (landingInput) landingInput.placeholder = landing.url;
+  if (landingLevelDiv) landingLevelDiv.innerHTML = renderLandingLevelHTML(landing);
+
   // Generate new URL
-  const newURL = generateBannerURL({
+  const urlDetails = buildBannerURLDetails({
     network: network,
     tier: tier,
     campaignName: appState.campaignName,
     contentName: appState.contentName,
-    landingURL: appState.landingURL,
+    landingURL: landing.url,
     dimensions: fileData.file.dimensions,
     format: formatSelect.value,
     service: serviceValue,
     anchor: anchorInput ? anchorInput.value : '',
-    isZbozi: appState.isZboziCampaign
-  });
+    isZbozi: appState.isZboziCampaign,
+    dateRange: getCampaignDateRange(),
+    fileName: fileData.fileName
+  }, appState.utmProfile, appState.utmConflictMode);
+  const newURL = urlDetails.url;
 
   urlDiv.textContent = newURL;
+
+  const lintDiv = document.getElementById(`lint_${fileId}`);
+  if (lintDiv) lintDiv.innerHTML = renderUTMLintHTML(lintBannerURL(newURL, appState.utmProfile, urlDetails));
 }
 
 /**
@@ -4390,6 +5248,51 @@ function generateFinalFilename(originalName, dimensions, campaignName, network)
 // EXPORT FUNCTIONALITY
 // =============================================================================
 
+/**
+ * Check whether a backup image passes a static spec of the network/tier
+ * @param {Object} backup - Analyzed backup image
+ * @param {string} network - Network name
+ * @param {string} tier - Tier ('LOW', 'HIGH' or 'NONE')
+ * @returns {boolean} True if the backup can be exported with its banner
+ */
+function isBackupImageExportable(backup, network, tier) {
+  const { compatible } = validateFileAcrossNetworks(backup, {
+    networks: [network],
+    tier: networkHasTiers(network) ? tier : null
+  });
+  return compatible.length > 0;
+}
+
+/**
+ * Add the linked backup image of an HTML5 banner next to its ZIP
+ * The backup is added only when it passes the static spec of the network/tier.
+ * @param {Object} zipFolder - JSZip object or folder to add to
+ * @param {Object} fileData - Analyzed HTML5 file
+ * @param {string} finalName - Export name of the banner ZIP
+ * @param {string} network - Network name
+ * @param {string} tier - Tier ('LOW', 'HIGH' or 'NONE')
+ * @returns {boolean|null} True if added, false if the backup was left out, null without a backup
+ */
+function addBackupImageToZIP(zipFolder, fileData, finalName, network, tier) {
+  const backup = fileData.backupImage;
+  if (!backup) return null;
+  if (!isBackupImageExportable(backup, network, tier)) return false;
+
+  const extension = backup.name.split('.').pop();
+  zipFolder.file(finalName.replace(/\.zip$/i, `_backup.${extension}`), backup.file);
+  return true;
+}
+
+/**
+ * Format the export summary note about backups left out of the package
+ * @param {Array<string>} bannerNames - Export names of banners whose backup was left out
+ * @returns {string} Note for the export alert (empty when nothing is missing)
+ */
+function formatMissingBackupsNote(bannerNames) {
+  if (bannerNames.length === 0) return '';
+  return `\n\n⚠️ Záložní obrázek neodpovídá statické specifikaci a není v balíčku (${bannerNames.length}):\n- ${bannerNames.join('\n- ')}`;
+}
+
 async function exportNetworkZIP(network, tier) {
   try {
     // Find the selection for this network (tier is no longer in selection)
@@ -4399,26 +5302,8 @@ async function exportNetworkZIP(network, tier) {
       return;
     }
 
-    // Get eligible files for this network and tier, filtered by selected banners
-    const eligibleFiles = [];
-    for (const [fileName, validation] of Object.entries(appState.validationResults)) {
-      // Only include files that were selected in step 4
-      if (!selection.selectedBanners || !selection.selectedBanners.includes(fileName)) {
-        continue;
-      }
-
-      const matches = validation.compatible.filter(c =>
-        c.network === network && (c.tier === tier || ((network === 'HP_EXCLUSIVE' || network === 'SKLIK') && !c.tier))
-      );
-
-      if (matches.length > 0) {
-        eligibleFiles.push({
-          fileName,
-          file: validation.file,
-          placements: matches
-        });
-      }
-    }
+    // Same files and order as the step 5 rows, whose inputs are read by index below
+    const eligibleFiles = getTierExportFiles(network, tier, selection);
 
     if (eligibleFiles.length === 0) {
       alert('Žádné bannery k exportu pro tento systém.');
@@ -4427,15 +5312,18 @@ async function exportNetworkZIP(network, tier) {
 
     const campaignName = appState.campaignName || '';
     const contentName = appState.contentName || '';
-    const landingURL = appState.landingURL || '';
 
     // Create ZIP file
     const zip = new JSZip();
 
     // Add all eligible banner files with renamed filenames
+    const missingBackups = [];
     for (const fileData of eligibleFiles) {
       const finalName = generateFinalFilename(fileData.fileName, fileData.file.dimensions, campaignName, network);
       zip.file(finalName, fileData.file.file);
+      if (addBackupImageToZIP(zip, fileData.file, finalName, network, tier) === false) {
+        missingBackups.push(finalName);
+      }
     }
 
     // === Generate XLS file ===
@@ -4445,6 +5333,7 @@ async function exportNetworkZIP(network, tier) {
     const wsData = [
       ['Campaign', 'Content', 'Formát', 'Rozměr', 'Stopáž', 'Služba', 'Source', 'Medium', 'Landing page', 'Ukotvení', 'Název banneru', 'URL']
     ];
+    const lintedURLs = [];
 
     // For each banner, read form values and add row
     for (let idx = 0; idx < eligibleFiles.length; idx++) {
@@ -4459,27 +5348,31 @@ async function exportNetworkZIP(network, tier) {
       const format = formatSelect?.value || 'banner';
       const service = serviceSelect?.value || 'hp';
       const anchor = anchorInput?.value || '';
+      const fileLandingURL = resolveBannerLandingURL(network, fileData.fileName, fileData.file.dimensions).url;
 
       // Generate URL with current values
-      const url = generateBannerURL({
+      const urlDetails = buildBannerURLDetails({
         network: network,
         tier: tier,
         campaignName: campaignName,
         contentName: contentName,
-        landingURL: landingURL,
+        landingURL: fileLandingURL,
         dimensions: fileData.file.dimensions,
         format: format,
         service: service,
         anchor: anchor,
-        isZbozi: appState.isZboziCampaign
-      });
+        isZbozi: appState.isZboziCampaign,
+        dateRange: getCampaignDateRange(),
+        fileName: fileData.fileName
+      }, appState.utmProfile, appState.utmConflictMode);
+      const url = urlDetails.url;
 
       // Extract UTM parameters from generated URL
       let source = '';
       let medium = '';
 
-      // Only parse URL if landingURL is valid
-      if (landingURL && landingURL.trim() !== '') {
+      // Only parse URL if the landing URL is set
+      if (fileLandingURL) {
         try {
           const urlObj = new URL(url);
           source = urlObj.searchParams.get('utm_source') || '';
@@ -4491,6 +5384,7 @@ async function exportNetworkZIP(network, tier) {
 
       // Generate final renamed filename
       const finalName = generateFinalFilename(fileData.fileName, fileData.file.dimensions, campaignName, network);
+      lintedURLs.push({ label: finalName, findings: lintBannerURL(url, appState.utmProfile, urlDetails) });
 
       // Add row to worksheet
       wsData.push([
@@ -4502,13 +5396,15 @@ async function exportNetworkZIP(network, tier) {
         service,                   // Služba
         source,                    // Source (utm_source)
         medium,                    // Medium (utm_medium)
-        landingURL,                // Landing page
+        fileLandingURL,            // Landing page
         anchor,                    // Ukotvení
         finalName,                 // Název banneru
         url                        // URL (complete with UTM params)
       ]);
     }
 
+    if (!checkUTMLintBeforeExport(lintedURLs)) return;
+
     // Create worksheet from array of arrays
     const ws = XLSX.utils.aoa_to_sheet(wsData);
 
@@ -4542,7 +5438,7 @@ async function exportNetworkZIP(network, tier) {
     const filename = `${network}_${(network === 'HP_EXCLUSIVE' || network === 'SKLIK') ? 'Package' : tier + '_Tier'}_${Date.now()}.zip`;
     downloadBlob(blob, filename);
 
-    alert(`✅ Balíček úspěšně vyexportován!\n\nObsah:\n- ${eligibleFiles.length} bannerů\n- export.xlsx s URL detaily`);
+    alert(`✅ Balíček úspěšně vyexportován!\n\nObsah:\n- ${eligibleFiles.length} bannerů\n- export.xlsx s URL detaily${formatMissingBackupsNote(missingBackups)}`);
   } catch (error) {
     console.warn('Export failed:', error.message);
     alert('Nepodařilo se vytvořit balíček: ' + error.message);
@@ -4562,12 +5458,13 @@ async function exportAllNetworksZIP() {
 
     const campaignName = appState.campaignName || 'campaign';
     const contentName = appState.contentName || '';
-    const landingURL = appState.landingURL || '';
 
     // Create master ZIP file
     const masterZip = new JSZip();
     let totalBanners = 0;
     let totalNetworks = 0;
+    const lintedURLs = [];
+    const missingBackups = [];
 
     // Process each selected network
     for (const selection of appState.selectedNetworks) {
@@ -4575,25 +5472,8 @@ async function exportAllNetworksZIP() {
       const tiers = (network === 'HP_EXCLUSIVE' || network === 'SKLIK') ? ['NONE'] : ['LOW', 'HIGH'];
 
       for (const tier of tiers) {
-        // Get eligible files for this network and tier
-        const eligibleFiles = [];
-        for (const [fileName, validation] of Object.entries(appState.validationResults)) {
-          if (!selection.selectedBanners || !selection.selectedBanners.includes(fileName)) {
-            continue;
-          }
-
-          const matches = validation.compatible.filter(c =>
-            c.network === network && (c.tier === tier || ((network === 'HP_EXCLUSIVE' || network === 'SKLIK') && !c.tier))
-          );
-
-          if (matches.length > 0) {
-            eligibleFiles.push({
-              fileName,
-              file: validation.file,
-              placements: matches
-            });
-          }
-        }
+        // Same files and order as the step 5 rows, whose inputs are read by index below
+        const eligibleFiles = getTierExportFiles(network, tier, selection);
 
         if (eligibleFiles.length === 0) continue;
 
@@ -4605,6 +5485,9 @@ async function exportAllNetworksZIP() {
         for (const fileData of eligibleFiles) {
           const finalName = generateFinalFilename(fileData.fileName, fileData.file.dimensions, campaignName, network);
           networkFolder.file(finalName, fileData.file.file);
+          if (addBackupImageToZIP(networkFolder, fileData.file, finalName, network, tier) === false) {
+            missingBackups.push(`${folderName}/${finalName}`);
+          }
         }
 
         // === Generate XLS file for this network/tier ===
@@ -4626,27 +5509,31 @@ async function exportAllNetworksZIP() {
           const format = formatSelect?.value || 'banner';
           const service = serviceSelect?.value || 'hp';
           const anchor = anchorInput?.value || '';
+          const fileLandingURL = resolveBannerLandingURL(network, fileData.fileName, fileData.file.dimensions).url;
 
           // Generate URL with current values
-          const url = generateBannerURL({
+          const urlDetails = buildBannerURLDetails({
             network: network,
             tier: tier,
             campaignName: campaignName,
             contentName: contentName,
-            landingURL: landingURL,
+            landingURL: fileLandingURL,
             dimensions: fileData.file.dimensions,
             format: format,
             service: service,
             anchor: anchor,
-            isZbozi: appState.isZboziCampaign
-          });
+            isZbozi: appState.isZboziCampaign,
+            dateRange: getCampaignDateRange(),
+            fileName: fileData.fileName
+          }, appState.utmProfile, appState.utmConflictMode);
+          const url = urlDetails.url;
 
           // Extract UTM parameters from generated URL
           let source = '';
           let medium = '';
 
-          // Only parse URL if landingURL is valid
-          if (landingURL && landingURL.trim() !== '') {
+          // Only parse URL if the landing URL is set
+          if (fileLandingURL) {
             try {
               const urlObj = new URL(url);
               source = urlObj.searchParams.get('utm_source') || '';
@@ -4658,6 +5545,7 @@ async function exportAllNetworksZIP() {
 
           // Generate final renamed filename
           const finalName = generateFinalFilename(fileData.fileName, fileData.file.dimensions, campaignName, network);
+          lintedURLs.push({ label: `${network}/${finalName}`, findings: lintBannerURL(url, appState.utmProfile, urlDetails) });
 
           // Add row to worksheet
           wsData.push([
@@ -4669,7 +5557,7 @@ async function exportAllNetworksZIP() {
             service,
             source,
             medium,
-            landingURL,
+            fileLandingURL,
             anchor,
             finalName,
             url
@@ -4701,13 +5589,15 @@ async function exportAllNetworksZIP() {
       return;
     }
 
+    if (!checkUTMLintBeforeExport(lintedURLs)) return;
+
     // Generate master ZIP and download
     const blob = await masterZip.generateAsync({ type: 'blob' });
     const safeCampaignName = campaignName.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
     const filename = `${safeCampaignName}_all_networks_${Date.now()}.zip`;
     downloadBlob(blob, filename);
 
-    alert(`✅ Všechny balíčky úspěšně vyexportovány!\n\nObsah:\n- ${totalNetworks} systémů\n- ${totalBanners} celkem bannerů\n\nKaždý systém má vlastní složku s bannery a export.xlsx souborem.`);
+    alert(`✅ Všechny balíčky úspěšně vyexportovány!\n\nObsah:\n- ${totalNetworks} systémů\n- ${totalBanners} celkem bannerů\n\nKaždý systém má vlastní složku s bannery a export.xlsx souborem.${formatMissingBackupsNote(missingBackups)}`);
   } catch (error) {
     console.warn('Export all networks failed:', error.message);
     alert('Nepodařilo se vytvořit balíček: ' + error.message);
@@ -4721,7 +5611,6 @@ async function exportAllNetworksConsolidatedXLSX() {
   try {
     const campaignName = appState.campaignName || 'campaign';
     const contentName = appState.contentName || 'content';
-    const landingURL = appState.landingURL || '';
     const isZbozi = appState.isZboziCampaign || false;
 
     // Build all rows
@@ -4735,6 +5624,7 @@ async function exportAllNetworksConsolidatedXLSX() {
     ]);
 
     let totalRows = 0;
+    const lintedURLs = [];
 
     // Iterate through all selected networks
     for (const selection of appState.selectedNetworks) {
@@ -4744,47 +5634,36 @@ async function exportAllNetworksConsolidatedXLSX() {
       const tiers = selection.tiers || ['LOW'];
 
       for (const tier of tiers) {
-        // Get valid files for this network/tier
-        const eligibleFiles = [];
-
-        for (const [fileName, validation] of Object.entries(appState.validationResults)) {
-          const matchingPlacement = validation.compatible.find(c =>
-            c.network === network && c.tier === tier
-          );
-
-          if (matchingPlacement && validation.file) {
-            eligibleFiles.push({
-              fileName: fileName,
-              file: validation.file,
-              placement: matchingPlacement
-            });
-          }
-        }
+        // Same files as the step 5 rows and the ZIP exports
+        const eligibleFiles = getTierExportFiles(network, tier, selection);
 
         // Generate rows for each file
         for (const fileInfo of eligibleFiles) {
           const file = fileInfo.file;
           const dimensions = file.dimensions || '';
-          const format = getFormatDisplayName(dimensions, fileInfo.placement.format);
+          const format = getFormatDisplayName(dimensions, fileInfo.placements[0].format);
 
           // Get service selection for this file (if available in export state)
           const service = 'hp'; // Default - would need to get from UI state in real implementation
 
           // Generate final URL
-          const finalURL = generateBannerURL({
+          const fileLandingURL = resolveBannerLandingURL(network, fileInfo.fileName, dimensions).url;
+          const urlDetails = buildBannerURLDetails({
             network: network,
             tier: tier,
             campaignName: campaignName,
             contentName: contentName,
-            landingURL: landingURL,
+            landingURL: fileLandingURL,
             dimensions: dimensions,
             format: format,
             service: service,
             anchor: '',
             isZbozi: isZbozi,
-            fileName: file.fileName || '',
+            dateRange: getCampaignDateRange(),
+            fileName: fileInfo.fileName,
             placement: ''
-          });
+          }, appState.utmProfile, appState.utmConflictMode);
+          const finalURL = urlDetails.url;
 
           // Parse URL to extract UTM params
           let utm_source = '', utm_medium = '', utm_campaign = '', utm_content = '';
@@ -4798,6 +5677,8 @@ async function exportAllNetworksConsolidatedXLSX() {
             console.warn('Failed to parse URL:', finalURL);
           }
 
+          lintedURLs.push({ label: `${network}/${file.fileName || file.name}`, findings: lintBannerURL(finalURL, appState.utmProfile, urlDetails) });
+
           allRows.push([
             network,
             tier,
@@ -4811,7 +5692,7 @@ async function exportAllNetworksConsolidatedXLSX() {
             utm_medium,
             utm_campaign,
             utm_content,
-            landingURL,
+            fileLandingURL,
             '', // Ukotvení (anchor) - empty by default
             file.fileName || file.name,
             finalURL
@@ -4827,6 +5708,8 @@ async function exportAllNetworksConsolidatedXLSX() {
       return;
     }
 
+    if (!checkUTMLintBeforeExport(lintedURLs)) return;
+
     // Create XLSX using SheetJS library
     const wb = XLSX.utils.book_new();
     const ws = XLSX.utils.aoa_to_sheet(allRows);
@@ -0,0 +1,330 @@
+// Color Profile Analysis for Creative Validator
+// Identifies the color space of JPEG and PNG files from embedded ICC profiles (APP2 / iCCP),
+// PNG sRGB, cHRM and gAMA chunks and JPEG component counts.
+// Pure ArrayBuffer code - runs in the browser, in a Worker and in Node (iCCP needs DecompressionStream).
+// Depends on readASCII() from image-header-parser.js.
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const COLOR_PROFILES = {
+  SRGB: 'sRGB',
+  DISPLAY_P3: 'Display P3',
+  ADOBE_RGB: 'Adobe RGB',
+  CMYK: 'CMYK',
+  GRAYSCALE: 'Grayscale',
+  UNKNOWN: 'Unknown'
+};
+
+// Profiles that get no "shifted colors" warning: sRGB and grayscale render correctly on Seznam pages,
+// CMYK is rejected by its own color space check. Shared by validateFileForFormat() and the 🎨 badge.
+const CORRECTLY_RENDERED_PROFILES = [COLOR_PROFILES.SRGB, COLOR_PROFILES.GRAYSCALE, COLOR_PROFILES.CMYK];
+
+// Red and green primaries of known RGB spaces
+// ICC colorants are D50-adapted XYZ (rXYZ/gXYZ tags), PNG cHRM uses CIE xy chromaticities
+const KNOWN_RGB_SPACES = [
+  {
+    profile: COLOR_PROFILES.SRGB,
+    iccRed: [0.4361, 0.2225, 0.0139], iccGreen: [0.3851, 0.7169, 0.0971],
+    xyRed: [0.64, 0.33], xyGreen: [0.30, 0.60]
+  },
+  {
+    profile: COLOR_PROFILES.DISPLAY_P3,
+    iccRed: [0.5151, 0.2412, -0.0011], iccGreen: [0.2920, 0.6922, 0.0419],
+    xyRed: [0.68, 0.32], xyGreen: [0.265, 0.69]
+  },
+  {
+    profile: COLOR_PROFILES.ADOBE_RGB,
+    iccRed: [0.6097, 0.3111, 0.0195], iccGreen: [0.1852, 0.6274, 0.0786],
+    xyRed: [0.64, 0.33], xyGreen: [0.21, 0.71]
+  }
+];
+
+const PRIMARY_TOLERANCE = 0.02;
+const SRGB_PNG_GAMMA = 45455; // gAMA value for 1/2.2 (scaled by 100000)
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check if two numeric vectors match within the primary tolerance
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {boolean} True if all components are close
+ */
+function primariesMatch(a, b) {
+  return a.every((value, i) => Math.abs(value - b[i]) <= PRIMARY_TOLERANCE);
+}
+
+/**
+ * Inflate zlib-compressed data (PNG iCCP)
+ * @param {Uint8Array} bytes - zlib stream
+ * @returns {Promise<Uint8Array|null>} Inflated data, or null without DecompressionStream
+ */
+async function inflateZlib(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    return null;
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Guess the color space from a profile description (fallback when colorants don't match)
+ * @param {string} description - ICC profile description
+ * @returns {string|null} Color profile or null if not recognized
+ */
+function profileFromDescription(description) {
+  const text = description.toLowerCase();
+  if (text.includes('srgb')) return COLOR_PROFILES.SRGB;
+  if (text.includes('p3')) return COLOR_PROFILES.DISPLAY_P3;
+  if (text.includes('adobe rgb') || text.includes('adobergb')) return COLOR_PROFILES.ADOBE_RGB;
+  return null;
+}
+
+// =============================================================================
+// ICC PROFILE
+// =============================================================================
+
+/**
+ * Read the profile description tag ('desc' in ICC v2, 'mluc' in ICC v4)
+ * @param {DataView} view - ICC profile data
+ * @param {number} offset - Tag data offset
+ * @param {number} size - Tag data size
+ * @returns {string|null} Description
+ */
+function readICCDescription(view, offset, size) {
+  const type = readASCII(view, offset, 4);
+
+  if (type === 'desc') {
+    // ASCII count (including the terminating NUL), then the string
+    const length = view.getUint32(offset + 8);
+    return readASCII(view, offset + 12, Math.max(0, Math.min(length, size - 12) - 1));
+  }
+
+  if (type === 'mluc') {
+    // First localized record: language, country, length, offset - UTF-16BE text
+    const recordCount = view.getUint32(offset + 8);
+    if (recordCount === 0) return null;
+    const length = view.getUint32(offset + 20);
+    const textOffset = offset + view.getUint32(offset + 24);
+    let text = '';
+    for (let i = 0; i + 1 < length; i += 2) {
+      text += String.fromCharCode(view.getUint16(textOffset + i));
+    }
+    return text;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an ICC profile header, description and RGB colorants
+ * @param {Uint8Array} bytes - ICC profile data
+ * @returns {{profile: string, description: string|null}} Identified color profile
+ */
+function parseICCProfile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.byteLength < 132 || readASCII(view, 36, 4) !== 'acsp') {
+    return { profile: COLOR_PROFILES.UNKNOWN, description: null };
+  }
+
+  const dataColorSpace = readASCII(view, 16, 4);
+  const tags = {};
+  const tagCount = view.getUint32(128);
+  for (let i = 0; i < tagCount && 132 + i * 12 + 12 <= view.byteLength; i++) {
+    const entry = 132 + i * 12;
+    tags[readASCII(view, entry, 4)] = { offset: view.getUint32(entry + 4), size: view.getUint32(entry + 8) };
+  }
+
+  const description = tags.desc ? readICCDescription(view, tags.desc.offset, tags.desc.size) : null;
+
+  if (dataColorSpace === 'CMYK') return { profile: COLOR_PROFILES.CMYK, description };
+  if (dataColorSpace === 'GRAY') return { profile: COLOR_PROFILES.GRAYSCALE, description };
+  if (dataColorSpace !== 'RGB ') return { profile: COLOR_PROFILES.UNKNOWN, description };
+
+  // Matrix-based RGB profiles: compare red and green colorants (XYZType: s15Fixed16 X, Y, Z)
+  const readXYZ = (tag) => [0, 1, 2].map(i => view.getInt32(tag.offset + 8 + i * 4) / 65536);
+  if (tags.rXYZ && tags.gXYZ) {
+    const red = readXYZ(tags.rXYZ);
+    const green = readXYZ(tags.gXYZ);
+    const known = KNOWN_RGB_SPACES.find(space => primariesMatch(red, space.iccRed) && primariesMatch(green, space.iccGreen));
+    if (known) return { profile: known.profile, description };
+  }
+
+  return { profile: (description && profileFromDescription(description)) || COLOR_PROFILES.UNKNOWN, description };
+}
+
+// =============================================================================
+// FORMAT PARSERS
+// =============================================================================
+
+/**
+ * Collect color information from JPEG markers (APP2 ICC chunks and SOF components)
+ * @param {DataView} view - JPEG file data
+ * @returns {{icc: Uint8Array|null, components: number|null, bitDepth: number|null}}
+ */
+function readJPEGColorInfo(view) {
+  const iccChunks = [];
+  let components = null;
+  let bitDepth = null;
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+    const marker = view.getUint8(offset + 1);
+    if (marker === 0xFF) { offset += 1; continue; }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) { offset += 2; continue; }
+    if (marker === 0xD9 || marker === 0xDA) break;
+
+    const segmentLength = view.getUint16(offset + 2);
+
+    // APP2 "ICC_PROFILE\0", sequence number, chunk count - large profiles span several segments
+    if (marker === 0xE2 && readASCII(view, offset + 4, 11) === 'ICC_PROFILE') {
+      const sequence = view.getUint8(offset + 16);
+      const start = view.byteOffset + offset + 18;
+      const end = Math.min(view.byteOffset + offset + 2 + segmentLength, view.byteOffset + view.byteLength);
+      iccChunks.push({ sequence, bytes: new Uint8Array(view.buffer, start, Math.max(0, end - start)) });
+    }
+
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      bitDepth = view.getUint8(offset + 4);
+      components = view.getUint8(offset + 9);
+    }
+
+    offset += 2 + segmentLength;
+  }
+
+  let icc = null;
+  if (iccChunks.length > 0) {
+    iccChunks.sort((a, b) => a.sequence - b.sequence);
+    icc = new Uint8Array(iccChunks.reduce((total, chunk) => total + chunk.bytes.length, 0));
+    let position = 0;
+    for (const chunk of iccChunks) {
+      icc.set(chunk.bytes, position);
+      position += chunk.bytes.length;
+    }
+  }
+
+  return { icc, components, bitDepth };
+}
+
+/**
+ * Collect color chunks from a PNG (everything before the first IDAT)
+ * @param {DataView} view - PNG file data
+ * @returns {{iccp: Uint8Array|null, srgb: boolean, gamma: number|null, chrm: Array<number>|null, colorTypeCode: number, bitDepth: number}}
+ */
+function readPNGColorInfo(view) {
+  const info = {
+    iccp: null,
+    srgb: false,
+    gamma: null,
+    chrm: null,
+    colorTypeCode: view.getUint8(25),
+    bitDepth: view.getUint8(24)
+  };
+
+  let offset = 8;
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = readASCII(view, offset + 4, 4);
+    const dataStart = offset + 8;
+    if (type === 'IDAT' || type === 'IEND') break;
+
+    if (type === 'iCCP') {
+      // Profile name (1-79 bytes), NUL, compression method, zlib stream
+      let nameEnd = dataStart;
+      while (nameEnd < dataStart + length && view.getUint8(nameEnd) !== 0) nameEnd++;
+      const start = nameEnd + 2;
+      info.iccp = new Uint8Array(view.buffer, view.byteOffset + start, Math.max(0, dataStart + length - start));
+    } else if (type === 'sRGB') {
+      info.srgb = true;
+    } else if (type === 'gAMA') {
+      info.gamma = view.getUint32(dataStart);
+    } else if (type === 'cHRM' && length >= 32) {
+      // White x, y, red x, y, green x, y, blue x, y (scaled by 100000)
+      info.chrm = [0, 1, 2, 3, 4, 5, 6, 7].map(i => view.getUint32(dataStart + i * 4) / 100000);
+    }
+
+    offset += 12 + length;
+  }
+
+  return info;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Identify the color profile of a JPEG or PNG file
+ * Untagged RGB images are treated as sRGB, like browsers do
+ * @param {ArrayBuffer} arrayBuffer - Image file data
+ * @param {string} format - Header format from parseImageHeader() ('jpeg' or 'png')
+ * @returns {Promise<{profile: string, source: string, description: string|null, bitDepth: number|null}|null>}
+ *   profile: one of COLOR_PROFILES; source: 'icc', 'srgb-chunk', 'chrm', 'gama', 'components' or 'default';
+ *   null for other formats
+ */
+async function analyzeColorProfile(arrayBuffer, format) {
+  const view = new DataView(arrayBuffer);
+  const result = (profile, source, description, bitDepth) => ({ profile, source, description: description || null, bitDepth });
+
+  try {
+    if (format === 'jpeg') {
+      const info = readJPEGColorInfo(view);
+      if (info.icc) {
+        const icc = parseICCProfile(info.icc);
+        return result(icc.profile, 'icc', icc.description, info.bitDepth);
+      }
+      if (info.components === 4) return result(COLOR_PROFILES.CMYK, 'components', null, info.bitDepth);
+      if (info.components === 1) return result(COLOR_PROFILES.GRAYSCALE, 'components', null, info.bitDepth);
+      return result(COLOR_PROFILES.SRGB, 'default', null, info.bitDepth);
+    }
+
+    if (format === 'png') {
+      const info = readPNGColorInfo(view);
+      const isGray = info.colorTypeCode === 0 || info.colorTypeCode === 4;
+
+      // Chunk precedence per the PNG spec: iCCP, then sRGB, then cHRM/gAMA
+      if (info.iccp) {
+        const icc = await inflateZlib(info.iccp);
+        if (icc) {
+          const parsed = parseICCProfile(icc);
+          return result(parsed.profile, 'icc', parsed.description, info.bitDepth);
+        }
+      }
+      if (info.srgb) return result(isGray ? COLOR_PROFILES.GRAYSCALE : COLOR_PROFILES.SRGB, 'srgb-chunk', null, info.bitDepth);
+      if (isGray) return result(COLOR_PROFILES.GRAYSCALE, 'components', null, info.bitDepth);
+
+      if (info.chrm) {
+        const red = info.chrm.slice(2, 4);
+        const green = info.chrm.slice(4, 6);
+        const known = KNOWN_RGB_SPACES.find(space => primariesMatch(red, space.xyRed) && primariesMatch(green, space.xyGreen));
+        return result(known ? known.profile : COLOR_PROFILES.UNKNOWN, 'chrm', null, info.bitDepth);
+      }
+      if (info.gamma !== null) {
+        // Gamma other than 1/2.2 (e.g. 1/1.8 from old Mac tools) shifts tones
+        const isSRGBGamma = Math.abs(info.gamma - SRGB_PNG_GAMMA) <= 500;
+        return result(isSRGBGamma ? COLOR_PROFILES.SRGB : COLOR_PROFILES.UNKNOWN, 'gama',
+          isSRGBGamma ? null : `gAMA ${(info.gamma / 100000).toFixed(5)}`, info.bitDepth);
+      }
+      return result(COLOR_PROFILES.SRGB, 'default', null, info.bitDepth);
+    }
+  } catch (error) {
+    // Truncated or malformed color data
+    return result(COLOR_PROFILES.UNKNOWN, 'default', null, null);
+  }
+
+  return null;
+}
+
+// Export for Node (headless CLI)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COLOR_PROFILES,
+    CORRECTLY_RENDERED_PROFILES,
+    analyzeColorProfile,
+    parseICCProfile
+  };
+}
@@ -7,6 +7,12 @@
 if (typeof FILE_TYPES === 'undefined' || typeof FileTypeHelpers === 'undefined') {
   console.error('file-analyzer.js: FILE_TYPES or FileTypeHelpers not found. Ensure file-types.js is loaded before this module.');
 }
+if (typeof parseImageHeader === 'undefined') {
+  console.error('file-analyzer.js: parseImageHeader not found. Ensure image-header-parser.js is loaded before this module.');
+}
+if (typeof analyzeColorProfile === 'undefined') {
+  console.error('file-analyzer.js: analyzeColorProfile not found. Ensure color-profile.js is loaded before this module.');
+}
 
 /**
  * Read image dimensions using Image API
@@ -181,6 +187,143 @@ function checkJPEGColorSpace(arrayBuffer) {
   return false; // CMYK not detected
 }
 
+/**
+ * Create a 2D canvas context (OffscreenCanvas when available, DOM canvas otherwise)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} Context or null without canvas support
+ */
+function createCanvasContext(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height).getContext('2d');
+  }
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas.getContext('2d');
+  }
+  return null;
+}
+
+/**
+ * Check whether any pixel of a decoded image is not fully opaque
+ * A declared alpha channel (RGBA PNG, tRNS, GIF transparent index) is often unused,
+ * so the decision is made on pixel data. Animated GIFs are checked on the first frame.
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<boolean|null>} True if a non-opaque pixel exists, null if pixels can't be decoded here
+ */
+async function checkTransparentPixels(file) {
+  if (typeof createImageBitmap === 'undefined') {
+    return null; // No decoder (e.g. Node CLI)
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const width = bitmap.width;
+    const height = bitmap.height;
+    const ctx = createCanvasContext(width, height);
+    if (!ctx) return null;
+    ctx.drawImage(bitmap, 0, 0);
+
+    // Read in horizontal strips to keep memory bounded on large branding images
+    const stripHeight = Math.max(1, Math.floor(262144 / Math.max(1, width)));
+    for (let y = 0; y < height; y += stripHeight) {
+      const rows = Math.min(stripHeight, height - y);
+      const data = ctx.getImageData(0, y, width, rows).data;
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+      }
+    }
+    return false;
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Edge map sampling: the image is downscaled before the gradient pass, then edges are counted per cell
+const EDGE_SAMPLE_MAX_SIZE = 512; // px along the longer side
+const EDGE_MAP_MAX_CELLS = 32; // cells along the longer side
+const EDGE_GRADIENT_THRESHOLD = 96; // Sobel magnitude on 0-255 luminance that counts as an edge
+
+/**
+ * Compute an edge-density grid of the image (share of edge pixels per cell)
+ * Text, logos and other sharp detail produce dense edges, flat or blurred backgrounds don't.
+ * Used to find detail outside the safe area of branding and interscroller creatives.
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<{width: number, height: number, columns: number, rows: number, cells: Array<number>}|null>}
+ *   Grid in row-major order with densities 0-1, or null if pixels can't be decoded here
+ */
+async function computeEdgeDensityMap(file) {
+  if (typeof createImageBitmap === 'undefined') {
+    return null;
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const scale = Math.min(1, EDGE_SAMPLE_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+    const sampleWidth = Math.max(3, Math.round(bitmap.width * scale));
+    const sampleHeight = Math.max(3, Math.round(bitmap.height * scale));
+    const ctx = createCanvasContext(sampleWidth, sampleHeight);
+    if (!ctx) return null;
+
+    // Composite over white so transparent areas read as flat background
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, sampleWidth, sampleHeight);
+    ctx.drawImage(bitmap, 0, 0, sampleWidth, sampleHeight);
+    const data = ctx.getImageData(0, 0, sampleWidth, sampleHeight).data;
+
+    const luminance = new Float32Array(sampleWidth * sampleHeight);
+    for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+      luminance[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+
+    const longerSide = Math.max(bitmap.width, bitmap.height);
+    const columns = Math.max(1, Math.round(EDGE_MAP_MAX_CELLS * bitmap.width / longerSide));
+    const rows = Math.max(1, Math.round(EDGE_MAP_MAX_CELLS * bitmap.height / longerSide));
+    const edgeCounts = new Array(columns * rows).fill(0);
+    const pixelCounts = new Array(columns * rows).fill(0);
+
+    // Sobel operator on interior pixels
+    for (let y = 1; y < sampleHeight - 1; y++) {
+      const cellRow = Math.min(rows - 1, Math.floor(y * rows / sampleHeight));
+      for (let x = 1; x < sampleWidth - 1; x++) {
+        const i = y * sampleWidth + x;
+        const gx = luminance[i - sampleWidth + 1] + 2 * luminance[i + 1] + luminance[i + sampleWidth + 1] -
+                   luminance[i - sampleWidth - 1] - 2 * luminance[i - 1] - luminance[i + sampleWidth - 1];
+        const gy = luminance[i + sampleWidth - 1] + 2 * luminance[i + sampleWidth] + luminance[i + sampleWidth + 1] -
+                   luminance[i - sampleWidth - 1] - 2 * luminance[i - sampleWidth] - luminance[i - sampleWidth + 1];
+
+        const cell = cellRow * columns + Math.min(columns - 1, Math.floor(x * columns / sampleWidth));
+        pixelCounts[cell]++;
+        if (Math.sqrt(gx * gx + gy * gy) > EDGE_GRADIENT_THRESHOLD) edgeCounts[cell]++;
+      }
+    }
+
+    return {
+      width: bitmap.width,
+      height: bitmap.height,
+      columns: columns,
+      rows: rows,
+      cells: edgeCounts.map((count, i) => pixelCounts[i] ? Math.round(count / pixelCounts[i] * 1000) / 1000 : 0)
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
 
 /**
  * Determine file format type
@@ -209,6 +352,106 @@ function getFileFormat(file) {
   return FILE_TYPES.TYPES.UNKNOWN;
 }
 
+// =============================================================================
+// ZIP EXTRACTION
+// =============================================================================
+
+/**
+ * Extract images from ZIP file, handling nested ZIPs and HTML5 banners
+ * @param {File} zipFile - ZIP file to extract
+ * @param {number} depth - Current recursion depth (for limiting)
+ * @param {string} parentPath - Parent folder path for nested files
+ * @returns {Promise<Array>} Array of extracted files
+ */
+async function extractImagesFromZIP(zipFile, depth = 0, parentPath = '') {
+  // Limit recursion depth to prevent infinite loops (allows up to 4 levels: 0, 1, 2, 3)
+  const MAX_DEPTH = 3;
+  if (depth > MAX_DEPTH) {
+    console.warn(`Max ZIP nesting depth (${MAX_DEPTH}) reached at ${parentPath || 'root'}, skipping deeper extraction`);
+    return [];
+  }
+
+  console.log(`Extracting ZIP at depth ${depth}, path: ${parentPath || 'root'}`);
+
+  try {
+    const zip = new JSZip();
+    // Pass raw bytes - JSZip cannot read Blobs outside the browser (Node CLI)
+    const contents = await zip.loadAsync(await zipFile.arrayBuffer());
+    const imageFiles = [];
+
+    for (const [filename, zipEntry] of Object.entries(contents.files)) {
+      // Skip directories and hidden files
+      if (zipEntry.dir || filename.startsWith('__MACOSX') || filename.startsWith('.')) {
+        if (zipEntry.dir) {
+          console.log(`Skipping directory: ${filename}`);
+        }
+        continue;
+      }
+
+      const extension = filename.split('.').pop().toLowerCase();
+      const baseName = filename.split('/').pop();
+      const pathParts = filename.split('/');
+      const folderPath = parentPath
+        ? `${parentPath}/${pathParts.slice(0, -1).join('/')}`
+        : (pathParts.length > 1 ? pathParts.slice(0, -1).join('/') : '');
+
+      // Check if this is a nested ZIP file
+      if (extension === 'zip') {
+        const blob = await zipEntry.async('blob');
+        const nestedZipFile = new File([blob], baseName, { type: 'application/zip' });
+
+        // Check if nested ZIP is HTML5 banner
+        const isHTML5 = typeof HTML5Validator !== 'undefined' &&
+          (HTML5Validator.isHTML5BannerByName(baseName) || await HTML5Validator.isHTML5ZIP(nestedZipFile));
+
+        if (isHTML5) {
+          // Keep HTML5 banner as whole ZIP file
+          nestedZipFile.folderPath = folderPath;
+          imageFiles.push(nestedZipFile);
+          console.log(`Found nested HTML5 banner: ${baseName} in ${folderPath}`);
+        } else {
+          // Regular nested ZIP - extract recursively
+          console.log(`Extracting nested ZIP: ${baseName} at depth ${depth + 1}`);
+          const nestedFiles = await extractImagesFromZIP(nestedZipFile, depth + 1, folderPath);
+          imageFiles.push(...nestedFiles);
+        }
+      }
+      // Check if it's a supported file (use centralized helper)
+      else if (FileTypeHelpers.isSupportedExtension(extension)) {
+        // Extract file as blob
+        const blob = await zipEntry.async('blob');
+
+        // Determine correct MIME type based on extension
+        let mimeType = 'application/octet-stream';
+        if (FileTypeHelpers.isImageExtension(extension)) {
+          mimeType = `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+        } else if (FileTypeHelpers.isHTMLExtension(extension)) {
+          mimeType = 'text/html';
+        }
+
+        // Create a File object from the blob
+        const file = new File([blob], baseName, { type: mimeType });
+
+        // Store folder path for system detection
+        file.folderPath = folderPath;
+
+        imageFiles.push(file);
+        console.log(`Extracted ${extension.toUpperCase()} file: ${baseName} from ${folderPath || 'root'}`);
+      }
+      else {
+        // Skip unsupported files
+        console.log(`Skipping unsupported file: ${filename}`);
+      }
+    }
+
+    console.log(`Total images extracted at depth ${depth}: ${imageFiles.length}`);
+    return imageFiles;
+  } catch (error) {
+    console.warn('Error extracting ZIP file:', error);
+    return []; // Return empty array instead of throwing
+  }
+}
+
 // =============================================================================
 // FORMAT DETECTION PATTERNS
 // =============================================================================
@@ -272,33 +515,79 @@ function detectFormatFromName(filename, folderPath = '') {
   };
 }
 
+// Thumbnail sizes by use (longer side in CSS px), rendered at 2× for HiDPI screens
+const THUMBNAIL_SIZES = { list: 40, details: 400 };
+const THUMBNAIL_PIXEL_RATIO = 2;
+
 /**
- * Generate base64 preview/thumbnail for a file
- * @param {File} file - File object
- * @param {string} fileType - File type (image)
- * @returns {Promise<string>} Base64 data URL
+ * Compute SHA-256 content hash (key of the thumbnail cache)
+ * @param {ArrayBuffer} arrayBuffer - File data
+ * @returns {Promise<string|null>} Hex digest, or null without Web Crypto (insecure context)
  */
-async function generatePreview(file, fileType) {
-  if (fileType === 'image') {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
+async function computeContentHash(arrayBuffer) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
   }
+  const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-  // Unknown file type
-  return Promise.resolve('');
+/**
+ * Encode canvas content as a Blob (OffscreenCanvas and DOM canvas have different APIs)
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type
+ * @returns {Promise<Blob>} Encoded image
+ */
+function canvasToBlob(canvas, type) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: type, quality: 0.85 });
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, type, 0.85));
+}
+
+/**
+ * Generate downscaled thumbnails for all THUMBNAIL_SIZES from one decode
+ * Animated GIFs get a still of the first frame
+ * @param {File} file - Image file
+ * @returns {Promise<Object<string, Blob>|null>} Blob per size name, or null if the image can't be decoded here
+ */
+async function generateThumbnails(file) {
+  if (typeof createImageBitmap === 'undefined') {
+    return null; // No decoder (e.g. Node CLI)
+  }
+
+  const bitmap = await createImageBitmap(file);
+  try {
+    // JPEG keeps thumbnails small, PNG keeps transparency visible
+    const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    const thumbnails = {};
+
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+      const scale = Math.min(1, size * THUMBNAIL_PIXEL_RATIO / Math.max(bitmap.width, bitmap.height));
+      const ctx = createCanvasContext(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+      if (!ctx) return null;
+
+      ctx.drawImage(bitmap, 0, 0, ctx.canvas.width, ctx.canvas.height);
+      thumbnails[name] = await canvasToBlob(ctx.canvas, type);
+    }
+
+    return thumbnails;
+  } finally {
+    bitmap.close();
+  }
 }
 
 /**
  * Analyze a file completely
- * Detects dimensions, format, size, color space
+ * Detects dimensions, format, size, color space, bit depth, channels, alpha and GIF animation
  * @param {File} file - File to analyze
- * @returns {Promise<Object>} Analysis result object
+ * @param {string} folderPath - Folder path for format detection
+ * @param {Object} options - Options
+ * @param {Array<string>} options.cachedThumbnailHashes - Content hashes whose thumbnails already exist (skip generation)
+ * @returns {Promise<Object>} Analysis result object (thumbnailBlobs are turned into object URLs by ThumbnailCache)
  */
-async function analyzeFile(file, folderPath = '') {
+async function analyzeFile(file, folderPath = '', options = {}) {
+  const { cachedThumbnailHashes = [] } = options;
   const fileType = getFileFormat(file);
   const extension = file.name.split('.').pop().toLowerCase();
 
@@ -318,7 +607,22 @@ async function analyzeFile(file, folderPath = '') {
     height: null,
     colorSpace: 'Unknown',
     colorSpaceValid: true,
-    preview: null,
+    colorProfile: null, // sRGB, Display P3, Adobe RGB, CMYK, Grayscale or Unknown (JPEG and PNG)
+    colorProfileSource: null,
+    colorProfileDescription: null,
+    bitDepth: null,
+    channels: null,
+    colorType: null,
+    hasAlpha: false,
+    hasTransparentPixels: false, // null = alpha declared but pixels not checked
+    edgeMap: null, // Edge-density grid, only for formats with a safe area
+    // GIF animation (filled for GIF files only)
+    isAnimated: false,
+    frameCount: null,
+    durationMs: null,
+    loopCount: null,
+    contentHash: null,
+    thumbnailBlobs: null, // { list, details } Blobs, null if cached or not decodable
     isHTML5: false,
     html5Validation: null,
     // Format detection from name
@@ -357,28 +661,81 @@ async function analyzeFile(file, folderPath = '') {
           }
         }
 
-        // Mark as invalid if validation failed
-        if (!validation.valid) {
-          analysis.colorSpaceValid = false; // Use this flag to indicate validation errors
-          analysis.error = validation.issues.join('; ');
-        }
+        // Findings stay in analysis.html5Validation.findings (file, line, rule ID) -
+        // specs-rules reports them per format, analysis.error is reserved for analysis failures
       }
     }
 
     // Get dimensions and color space for images only
     if (fileType === 'image') {
-      const dims = await readImageDimensions(file);
-      analysis.width = dims.width;
-      analysis.height = dims.height;
-      analysis.dimensions = `${dims.width}x${dims.height}`;
-
-      // Check color space for images
-      const colorSpaceInfo = await checkColorSpace(file);
-      analysis.colorSpace = colorSpaceInfo.colorSpace;
-      analysis.colorSpaceValid = colorSpaceInfo.isValid;
-
-      // Generate preview
-      analysis.preview = await generatePreview(file, fileType);
+      // Read the file once and parse the header bytes (works in Workers and Node too)
+      const arrayBuffer = await file.arrayBuffer();
+      const header = parseImageHeader(arrayBuffer);
+      analysis.contentHash = await computeContentHash(arrayBuffer);
+
+      if (header) {
+        analysis.width = header.width;
+        analysis.height = header.height;
+        analysis.bitDepth = header.bitDepth;
+        analysis.channels = header.channels;
+        analysis.colorType = header.colorType;
+        analysis.hasAlpha = header.hasAlpha;
+        // Without a declared alpha channel every pixel is opaque - skip decoding
+        analysis.hasTransparentPixels = header.hasAlpha ? await checkTransparentPixels(file) : false;
+
+        // Color profile from ICC profiles, PNG color chunks and JPEG components (JPEG and PNG only)
+        const color = await analyzeColorProfile(arrayBuffer, header.format);
+        if (color) {
+          analysis.colorProfile = color.profile;
+          analysis.colorProfileSource = color.source;
+          analysis.colorProfileDescription = color.description;
+        }
+
+        // JPEG can carry CMYK data; the other supported formats are always RGB(A) or grayscale
+        const isCMYK = header.colorType === 'cmyk' || header.colorType === 'ycck' ||
+          (color !== null && color.profile === COLOR_PROFILES.CMYK);
+        const isGrayscale = color !== null && color.profile === COLOR_PROFILES.GRAYSCALE;
+        analysis.colorSpace = isCMYK ? 'CMYK' : (isGrayscale ? 'Grayscale' : 'RGB');
+        analysis.colorSpaceValid = !isCMYK;
+
+        // Count GIF frames so non-animated specs can reject animations
+        if (header.format === 'gif') {
+          const animation = inspectGIFAnimation(arrayBuffer);
+          if (animation) {
+            analysis.isAnimated = animation.isAnimated;
+            analysis.frameCount = animation.frameCount;
+            analysis.durationMs = animation.durationMs;
+            analysis.loopCount = animation.loopCount;
+          }
+        }
+      } else if (typeof Image !== 'undefined') {
+        // Unrecognized header - let the browser decoder try
+        const dims = await readImageDimensions(file);
+        analysis.width = dims.width;
+        analysis.height = dims.height;
+
+        const colorSpaceInfo = await checkColorSpace(file);
+        analysis.colorSpace = colorSpaceInfo.colorSpace;
+        analysis.colorSpaceValid = colorSpaceInfo.isValid;
+      } else {
+        throw new Error('Unrecognized or corrupted image header');
+      }
+
+      analysis.dimensions = `${analysis.width}x${analysis.height}`;
+
+      // Detail outside the safe area is only checked for formats that define one
+      if (findSafeAreaSpecs(analysis).length > 0) {
+        analysis.edgeMap = await computeEdgeDensityMap(file);
+      }
+
+      // Thumbnails are generated once per content - identical files reuse the cached ones
+      if (!analysis.contentHash || !cachedThumbnailHashes.includes(analysis.contentHash)) {
+        try {
+          analysis.thumbnailBlobs = await generateThumbnails(file);
+        } catch (error) {
+          console.warn(`Could not generate thumbnails for ${file.name}:`, error.message);
+        }
+      }
     }
   } catch (error) {
     console.warn(`Could not analyze file ${file.name}:`, error.message);
@@ -388,43 +745,19 @@ async function analyzeFile(file, folderPath = '') {
   return analysis;
 }
 
-/**
- * Analyze multiple files in parallel
- * @param {FileList|Array<File>} files - Files to analyze
- * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Array>} Array of analysis results
- */
-async function analyzeFiles(files, progressCallback = null) {
-  const fileArray = Array.from(files);
-  const results = [];
-
-  for (let i = 0; i < fileArray.length; i++) {
-    const analysis = await analyzeFile(fileArray[i]);
-    results.push(analysis);
-
-    if (progressCallback) {
-      progressCallback({
-        current: i + 1,
-        total: fileArray.length,
-        percentage: Math.round(((i + 1) / fileArray.length) * 100),
-        file: fileArray[i].name
-      });
-    }
-  }
-
-  return results;
-}
-
-
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     readImageDimensions,
     checkColorSpace,
+    checkJPEGColorSpace,
+    checkTransparentPixels,
+    computeEdgeDensityMap,
     getFileFormat,
+    extractImagesFromZIP,
     detectFormatFromName,
-    generatePreview,
-    analyzeFile,
-    analyzeFiles
+    computeContentHash,
+    generateThumbnails,
+    analyzeFile
   };
 }
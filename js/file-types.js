@@ -100,12 +100,22 @@ const FileTypeHelpers = {
 // =============================================================================
 
 // Make available globally for all modules
-window.FILE_TYPES = FILE_TYPES;
-window.FileTypeHelpers = FileTypeHelpers;
+if (typeof window !== 'undefined') {
+  window.FILE_TYPES = FILE_TYPES;
+  window.FileTypeHelpers = FileTypeHelpers;
 
-console.log('✅ File type definitions loaded:', {
-  imageFormats: FILE_TYPES.IMAGE_EXTENSIONS.length,
-  htmlFormats: FILE_TYPES.HTML_EXTENSIONS.length,
-  archiveFormats: FILE_TYPES.ARCHIVE_EXTENSIONS.length,
-  totalSupported: FILE_TYPES.SUPPORTED_EXTENSIONS.length
-});
+  console.log('✅ File type definitions loaded:', {
+    imageFormats: FILE_TYPES.IMAGE_EXTENSIONS.length,
+    htmlFormats: FILE_TYPES.HTML_EXTENSIONS.length,
+    archiveFormats: FILE_TYPES.ARCHIVE_EXTENSIONS.length,
+    totalSupported: FILE_TYPES.SUPPORTED_EXTENSIONS.length
+  });
+}
+
+// Export for Node (headless CLI)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FILE_TYPES,
+    FileTypeHelpers
+  };
+}
@@ -0,0 +1,447 @@
+/**
+ * HTML5 Banner Parser
+ * Small HTML tokenizer and JS/CSS scanning helpers used by the HTML5 validator.
+ * Works on plain strings, so the same code runs in the browser and in the Node CLI.
+ * DOMParser is not used: it reports no source lines and does not exist in Node.
+ */
+
+(function(window) {
+  'use strict';
+
+  // Elements whose content is raw text (not parsed as tags)
+  const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+  // Element attributes that reference other files
+  const REFERENCE_ATTRIBUTES = {
+    script: ['src'],
+    link: ['href'],
+    img: ['src', 'srcset'],
+    source: ['src', 'srcset'],
+    video: ['src', 'poster'],
+    audio: ['src'],
+    iframe: ['src'],
+    embed: ['src'],
+    object: ['data'],
+    image: ['href', 'xlink:href'],
+    use: ['href', 'xlink:href']
+  };
+
+  // ============================================================================
+  // LINE NUMBERS
+  // ============================================================================
+
+  /**
+   * Get start offsets of all lines in a text
+   * @param {string} text - Source text
+   * @returns {Array<number>} Offset of the first character of each line
+   */
+  function getLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * Convert a character offset to a 1-based line number
+   * @param {Array<number>} lineStarts - Result of getLineStarts()
+   * @param {number} offset - Character offset
+   * @returns {number} Line number
+   */
+  function lineAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  }
+
+  // ============================================================================
+  // HTML TOKENIZER
+  // ============================================================================
+
+  /**
+   * Parse the attributes of a start tag
+   * @param {string} html - HTML source
+   * @param {number} start - Offset right after the tag name
+   * @returns {Object} { attributes: Array<{name, value, offset}>, end, selfClosing }
+   */
+  function parseAttributes(html, start) {
+    const attributes = [];
+    let i = start;
+
+    while (i < html.length) {
+      while (i < html.length && /\s/.test(html[i])) i++;
+      if (html[i] === '>') return { attributes, end: i + 1, selfClosing: false };
+      if (html.startsWith('/>', i)) return { attributes, end: i + 2, selfClosing: true };
+      if (html[i] === '/') { i++; continue; }
+
+      const nameStart = i;
+      while (i < html.length && !/[\s/>=]/.test(html[i])) i++;
+      const name = html.slice(nameStart, i).toLowerCase();
+      if (!name) { i++; continue; }
+
+      while (i < html.length && /\s/.test(html[i])) i++;
+      let value = '';
+      let valueOffset = nameStart;
+      if (html[i] === '=') {
+        i++;
+        while (i < html.length && /\s/.test(html[i])) i++;
+        const quote = html[i];
+        if (quote === '"' || quote === "'") {
+          const close = html.indexOf(quote, i + 1);
+          const valueEnd = close === -1 ? html.length : close;
+          valueOffset = i + 1;
+          value = html.slice(i + 1, valueEnd);
+          i = valueEnd + 1;
+        } else {
+          valueOffset = i;
+          while (i < html.length && !/[\s>]/.test(html[i])) i++;
+          value = html.slice(valueOffset, i);
+        }
+      }
+
+      attributes.push({ name, value, offset: valueOffset });
+    }
+
+    return { attributes, end: html.length, selfClosing: false };
+  }
+
+  /**
+   * Tokenize HTML into tags, comments and text, with line numbers
+   * Script and style content is kept as raw text on the start tag token.
+   * @param {string} html - HTML source
+   * @returns {Array<Object>} Tokens { type: 'start'|'end'|'comment'|'text'|'doctype', tagName, attributes, line, offset, rawText, rawTextOffset }
+   */
+  function tokenizeHTML(html) {
+    const tokens = [];
+    const lineStarts = getLineStarts(html);
+    const at = (offset) => lineAt(lineStarts, offset);
+    let i = 0;
+
+    const pushText = (from, to) => {
+      if (to > from) tokens.push({ type: 'text', text: html.slice(from, to), offset: from, line: at(from) });
+    };
+
+    while (i < html.length) {
+      const lt = html.indexOf('<', i);
+      if (lt === -1) {
+        pushText(i, html.length);
+        break;
+      }
+      pushText(i, lt);
+
+      if (html.startsWith('<!--', lt)) {
+        const close = html.indexOf('-->', lt + 4);
+        const end = close === -1 ? html.length : close + 3;
+        tokens.push({ type: 'comment', text: html.slice(lt + 4, close === -1 ? end : close), offset: lt, line: at(lt) });
+        i = end;
+        continue;
+      }
+
+      if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+        const close = html.indexOf('>', lt);
+        const end = close === -1 ? html.length : close + 1;
+        tokens.push({ type: 'doctype', text: html.slice(lt, end), offset: lt, line: at(lt) });
+        i = end;
+        continue;
+      }
+
+      const endTag = /^<\/([a-zA-Z][^\s/>]*)[^>]*>?/.exec(html.slice(lt, lt + 256));
+      if (endTag) {
+        tokens.push({ type: 'end', tagName: endTag[1].toLowerCase(), offset: lt, line: at(lt) });
+        i = lt + endTag[0].length;
+        continue;
+      }
+
+      const startTag = /^<([a-zA-Z][^\s/>]*)/.exec(html.slice(lt, lt + 256));
+      if (!startTag) {
+        // Literal "<" in text
+        pushText(lt, lt + 1);
+        i = lt + 1;
+        continue;
+      }
+
+      const tagName = startTag[1].toLowerCase();
+      const parsed = parseAttributes(html, lt + startTag[0].length);
+      const token = {
+        type: 'start',
+        tagName,
+        attributes: parsed.attributes.map(attr => ({ ...attr, line: at(attr.offset) })),
+        selfClosing: parsed.selfClosing,
+        offset: lt,
+        line: at(lt)
+      };
+      tokens.push(token);
+      i = parsed.end;
+
+      if (RAW_TEXT_ELEMENTS.includes(tagName) && !parsed.selfClosing) {
+        const closePattern = new RegExp(`</${tagName}[\\s>]`, 'i');
+        const match = closePattern.exec(html.slice(i));
+        const rawEnd = match ? i + match.index : html.length;
+        token.rawText = html.slice(i, rawEnd);
+        token.rawTextOffset = i;
+        token.rawTextLine = at(i);
+        i = rawEnd;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Get attribute value of a start tag token
+   * @param {Object} token - Start tag token
+   * @param {string} name - Attribute name (lowercase)
+   * @returns {Object|null} Attribute { name, value, line } or null
+   */
+  function getAttribute(token, name) {
+    return (token.attributes || []).find(attr => attr.name === name) || null;
+  }
+
+  // ============================================================================
+  // COMMENT STRIPPING
+  // ============================================================================
+
+  // Keywords after which a slash starts a regex literal rather than a division
+  const REGEX_PREFIX_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+  ]);
+
+  /**
+   * Decide whether a slash starts a regex literal, from the code before it
+   * Same heuristic as most highlighters: a regex follows an operator, an opening
+   * bracket or a keyword; after an identifier, a number or ")" / "]" it's a division.
+   * @param {string} code - JavaScript source
+   * @param {number} end - Offset just past the last character outside comments and whitespace (0 = none)
+   * @returns {boolean} True when the slash opens a regex literal
+   */
+  function startsRegexLiteral(code, end) {
+    if (end === 0) return true;
+    const last = code[end - 1];
+    if (/[\w$]/.test(last)) {
+      let start = end - 1;
+      while (start > 0 && /[\w$]/.test(code[start - 1])) start--;
+      return REGEX_PREFIX_KEYWORDS.has(code.slice(start, end));
+    }
+    return !/[)\]]/.test(last);
+  }
+
+  /**
+   * Find the end of a regex literal starting at a slash
+   * @param {string} code - JavaScript source
+   * @param {number} start - Offset of the opening slash
+   * @returns {number} Offset just past the closing slash, or -1 when it isn't a regex literal
+   */
+  function findRegexLiteralEnd(code, start) {
+    let inClass = false;
+    for (let i = start + 1; i < code.length; i++) {
+      const ch = code[i];
+      if (ch === '\n') return -1;
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        return i + 1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Blank out JavaScript comments, keeping strings, regex literals, offsets and line breaks intact
+   * Commented-out code then can't trigger findings and line numbers still match the source.
+   * @param {string} code - JavaScript source
+   * @returns {string} Source with comments replaced by spaces
+   */
+  function stripJSComments(code) {
+    let out = '';
+    let i = 0;
+    let quote = null;
+    let significantEnd = 0; // Just past the last character outside comments and whitespace
+
+    while (i < code.length) {
+      const ch = code[i];
+
+      if (quote) {
+        out += ch;
+        if (ch === '\\' && i + 1 < code.length) {
+          out += code[i + 1];
+          i += 2;
+          continue;
+        }
+        if (ch === quote || (ch === '\n' && quote !== '`')) quote = null;
+        i++;
+        significantEnd = i;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'" || ch === '`') {
+        quote = ch;
+        out += ch;
+        i++;
+        continue;
+      }
+
+      if (ch === '/' && code[i + 1] === '/') {
+        const close = code.indexOf('\n', i);
+        const end = close === -1 ? code.length : close;
+        out += ' '.repeat(end - i);
+        i = end;
+        continue;
+      }
+
+      if (ch === '/' && code[i + 1] === '*') {
+        const close = code.indexOf('*/', i + 2);
+        const end = close === -1 ? code.length : close + 2;
+        out += code.slice(i, end).replace(/[^\n]/g, ' ');
+        i = end;
+        continue;
+      }
+
+      // Regex literal like /https?:\/\// - its slashes must not open a comment
+      if (ch === '/' && startsRegexLiteral(code, significantEnd)) {
+        const end = findRegexLiteralEnd(code, i);
+        if (end !== -1) {
+          out += code.slice(i, end);
+          i = end;
+          significantEnd = end;
+          continue;
+        }
+      }
+
+      out += ch;
+      i++;
+      if (!/\s/.test(ch)) significantEnd = i;
+    }
+
+    return out;
+  }
+
+  /**
+   * Blank out CSS comments, keeping offsets and line breaks intact
+   * @param {string} css - CSS source
+   * @returns {string} Source with comments replaced by spaces
+   */
+  function stripCSSComments(css) {
+    return css.replace(/\/\*[\s\S]*?(\*\/|$)/g, comment => comment.replace(/[^\n]/g, ' '));
+  }
+
+  // ============================================================================
+  // REFERENCES
+  // ============================================================================
+
+  /**
+   * Extract url() and @import references from CSS
+   * @param {string} css - CSS source
+   * @returns {Array<Object>} References { url, kind: 'url'|'import', offset }
+   */
+  function extractCSSReferences(css) {
+    const source = stripCSSComments(css);
+    const references = [];
+
+    const urlPattern = /url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi;
+    let match;
+    while ((match = urlPattern.exec(source)) !== null) {
+      references.push({ url: match[2].trim(), kind: 'url', offset: match.index });
+    }
+
+    // @import "file.css" (the url() form is already covered above)
+    const importPattern = /@import\s+(['"])([^'"]+)\1/gi;
+    while ((match = importPattern.exec(source)) !== null) {
+      references.push({ url: match[2].trim(), kind: 'import', offset: match.index });
+    }
+
+    return references.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Split a srcset attribute into URLs
+   * @param {string} srcset - srcset value ("a.png 1x, b.png 2x")
+   * @returns {Array<string>} URLs
+   */
+  function parseSrcset(srcset) {
+    return srcset.split(',')
+      .map(candidate => candidate.trim().split(/\s+/)[0])
+      .filter(Boolean);
+  }
+
+  /**
+   * Classify a referenced URL
+   * @param {string} url - URL as written in the source
+   * @returns {string} 'external' (http/https/protocol-relative), 'data', 'local' or 'ignored' (anchors, javascript:, mailto:, placeholders)
+   */
+  function classifyReference(url) {
+    const value = (url || '').trim();
+    if (!value || value.startsWith('#') || value.includes('__CLICKTHRU__')) return 'ignored';
+    if (/^(https?:)?\/\//i.test(value)) return 'external';
+    if (/^data:/i.test(value)) return 'data';
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return 'ignored';
+    return 'local';
+  }
+
+  /**
+   * Get directory part of a ZIP path
+   * @param {string} path - File path inside the ZIP
+   * @returns {string} Directory ('' for root)
+   */
+  function getDirectory(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+  }
+
+  /**
+   * Resolve a local reference against the referencing file's directory
+   * @param {string} baseDir - Directory of the referencing file ('' for root)
+   * @param {string} url - Local URL
+   * @returns {string|null} Normalized ZIP path, or null if it points outside the ZIP
+   */
+  function resolvePath(baseDir, url) {
+    let clean = url.trim().split(/[?#]/)[0];
+    try {
+      clean = decodeURIComponent(clean);
+    } catch (error) {
+      // Keep the raw value for malformed escapes
+    }
+
+    const parts = clean.startsWith('/') ? [] : baseDir.split('/').filter(Boolean);
+    for (const part of clean.split('/')) {
+      if (!part || part === '.') continue;
+      if (part === '..') {
+        if (parts.length === 0) return null;
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    }
+    return parts.join('/');
+  }
+
+  // Export functions
+  window.HTML5Parser = {
+    REFERENCE_ATTRIBUTES,
+    getLineStarts,
+    lineAt,
+    tokenizeHTML,
+    getAttribute,
+    stripJSComments,
+    stripCSSComments,
+    extractCSSReferences,
+    parseSrcset,
+    classifyReference,
+    getDirectory,
+    resolvePath
+  };
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,447 @@
+/**
+ * HTML5 Banner Preview
+ * Builds a self-contained preview of an HTML5 banner ZIP: every file becomes a blob or data URL,
+ * references in HTML, CSS and JS are rewritten to those URLs and __CLICKTHRU__ is replaced
+ * by the landing URL. The result is meant for a sandboxed iframe (srcdoc, allow-scripts only).
+ * An injected bootstrap script reports clicks to the parent instead of navigating
+ * and handles pause/resume and backup frame capture messages.
+ */
+
+(function(window) {
+  'use strict';
+
+  // Message source names (iframe -> app, app -> iframe)
+  const PREVIEW_SOURCE = 'html5-preview';
+  const HOST_SOURCE = 'html5-preview-host';
+
+  // MIME types for blob URLs - browsers refuse stylesheets and module scripts without them
+  const MIME_TYPES = {
+    html: 'text/html',
+    htm: 'text/html',
+    js: 'text/javascript',
+    mjs: 'text/javascript',
+    css: 'text/css',
+    json: 'application/json',
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    ttf: 'font/ttf',
+    otf: 'font/otf',
+    eot: 'application/vnd.ms-fontobject',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg'
+  };
+
+  // Fonts and fetch() load in CORS mode and images drawn to a canvas must not taint it (backup capture).
+  // The sandboxed page has an opaque origin, so these get data URLs instead of the app's blob URLs.
+  const DATA_URL_EXTENSIONS = ['woff', 'woff2', 'ttf', 'otf', 'eot', 'json', 'svg', ...FILE_TYPES.IMAGE_EXTENSIONS];
+
+  // "End of animation" capture waits at most this long (banner animations are limited to 30 s)
+  const ANIMATION_END_TIMEOUT_SECONDS = 30;
+
+  // Runs inside the banner before its own scripts
+  const BOOTSTRAP_SCRIPT = `
+(function() {
+  var send = function(type, data) {
+    var message = { source: '${PREVIEW_SOURCE}', type: type };
+    for (var key in data) message[key] = data[key];
+    parent.postMessage(message, '*');
+  };
+
+  // Clicks are logged, never followed
+  document.addEventListener('click', function(event) {
+    var link = event.target.closest ? event.target.closest('a') : null;
+    if (!link) return;
+    event.preventDefault();
+    send('click', { url: link.getAttribute('href') || '', target: link.getAttribute('target') || '', method: '<a>' });
+  }, true);
+  window.open = function(url) {
+    send('click', { url: String(url || ''), target: '', method: 'window.open()' });
+    return null;
+  };
+
+  // Pause: CSS animations, Web Animations, media, rAF loops and common animation libraries
+  var paused = false;
+  var queuedFrames = [];
+  var pausedAnimations = [];
+  var pausedMedia = [];
+  var pauseStyle = null;
+  var requestFrame = window.requestAnimationFrame.bind(window);
+  window.requestAnimationFrame = function(callback) {
+    return requestFrame(function(time) {
+      if (paused) queuedFrames.push(callback); else callback(time);
+    });
+  };
+
+  var setPaused = function(value) {
+    if (value === paused) return;
+    paused = value;
+    if (paused) {
+      pauseStyle = document.createElement('style');
+      pauseStyle.textContent = '*, *::before, *::after { animation-play-state: paused !important; }';
+      document.head.appendChild(pauseStyle);
+      pausedAnimations = document.getAnimations ? document.getAnimations().filter(function(a) { return a.playState === 'running'; }) : [];
+      pausedAnimations.forEach(function(a) { a.pause(); });
+      pausedMedia = Array.prototype.filter.call(document.querySelectorAll('video, audio'), function(m) { return !m.paused; });
+      pausedMedia.forEach(function(m) { m.pause(); });
+      if (window.gsap) window.gsap.globalTimeline.pause();
+      if (window.TweenMax && window.TweenMax.pauseAll) window.TweenMax.pauseAll();
+      if (window.createjs && window.createjs.Ticker) window.createjs.Ticker.paused = true;
+    } else {
+      if (pauseStyle) pauseStyle.remove();
+      pausedAnimations.forEach(function(a) { a.play(); });
+      pausedMedia.forEach(function(m) { m.play(); });
+      if (window.gsap) window.gsap.globalTimeline.resume();
+      if (window.TweenMax && window.TweenMax.resumeAll) window.TweenMax.resumeAll();
+      if (window.createjs && window.createjs.Ticker) window.createjs.Ticker.paused = false;
+      var frames = queuedFrames;
+      queuedFrames = [];
+      frames.forEach(function(callback) { requestFrame(callback); });
+    }
+  };
+
+  // Backup frame capture: freeze, copy computed styles into a clone and draw it through SVG foreignObject.
+  // Canvas banners are copied pixel by pixel. Pseudo-elements and web fonts are not carried over.
+  var startTime = performance.now();
+
+  var copyElement = function(source, target) {
+    if (source.nodeType !== 1) return;
+    var computed = getComputedStyle(source);
+    var style = '';
+    for (var i = 0; i < computed.length; i++) {
+      style += computed[i] + ':' + computed.getPropertyValue(computed[i]) + ';';
+    }
+    target.setAttribute('style', style);
+    if (source.tagName === 'CANVAS') {
+      var image = document.createElement('img');
+      image.setAttribute('style', style);
+      image.setAttribute('src', source.toDataURL('image/png'));
+      target.parentNode.replaceChild(image, target);
+      return;
+    }
+    for (var c = 0; c < source.childNodes.length; c++) copyElement(source.childNodes[c], target.childNodes[c]);
+  };
+
+  var captureFrame = function() {
+    setPaused(true);
+    var width = window.innerWidth;
+    var height = window.innerHeight;
+    try {
+      var clone = document.documentElement.cloneNode(true);
+      copyElement(document.documentElement, clone);
+      Array.prototype.forEach.call(clone.querySelectorAll('script'), function(script) { script.remove(); });
+      clone.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+      var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '">' +
+        '<foreignObject x="0" y="0" width="100%" height="100%">' + new XMLSerializer().serializeToString(clone) + '</foreignObject></svg>';
+
+      var frame = new Image();
+      frame.onload = function() {
+        try {
+          var canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
+          var context = canvas.getContext('2d');
+          context.fillStyle = '#ffffff';
+          context.fillRect(0, 0, width, height);
+          context.drawImage(frame, 0, 0);
+          canvas.toBlob(function(blob) {
+            if (blob) send('capture', { blob: blob }); else send('capture-error', { message: 'Prázdný snímek' });
+          }, 'image/png');
+        } catch (error) {
+          send('capture-error', { message: error.message });
+        }
+      };
+      frame.onerror = function() { send('capture-error', { message: 'Snímek se nepodařilo vykreslit' }); };
+      frame.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    } catch (error) {
+      send('capture-error', { message: error.message });
+    }
+  };
+
+  // End of animation = no finite CSS/Web Animation and no GSAP tween running any more
+  var isAnimating = function() {
+    var animations = document.getAnimations ? document.getAnimations() : [];
+    var running = animations.some(function(a) {
+      return a.playState === 'running' && isFinite(a.effect ? a.effect.getComputedTiming().endTime : Infinity);
+    });
+    var tweening = !!(window.gsap && window.gsap.globalTimeline.getChildren &&
+      window.gsap.globalTimeline.getChildren(true, true, false).some(function(t) { return t.isActive(); }));
+    return running || tweening;
+  };
+
+  var scheduleCapture = function(seconds) {
+    if (seconds !== null && seconds !== undefined) {
+      setTimeout(captureFrame, Math.max(0, seconds * 1000 - (performance.now() - startTime)));
+      return;
+    }
+    var deadline = startTime + ${ANIMATION_END_TIMEOUT_SECONDS} * 1000;
+    var check = function() {
+      var settled = performance.now() - startTime > 500 && !isAnimating();
+      if (settled || performance.now() >= deadline) captureFrame(); else setTimeout(check, 250);
+    };
+    check();
+  };
+
+  window.addEventListener('message', function(event) {
+    if (!event.data || event.data.source !== '${HOST_SOURCE}') return;
+    if (event.data.type === 'pause') setPaused(true);
+    if (event.data.type === 'resume') setPaused(false);
+    if (event.data.type === 'capture') scheduleCapture(event.data.at);
+  });
+})();
+`;
+
+  /**
+   * Get MIME type from a file path
+   * @param {string} path - File path
+   * @returns {string} MIME type
+   */
+  function getMimeType(path) {
+    const ext = path.split('.').pop().toLowerCase();
+    return MIME_TYPES[ext] || 'application/octet-stream';
+  }
+
+  /**
+   * Encode bytes as a data URL
+   * @param {string} path - File path (for the MIME type)
+   * @param {Uint8Array} bytes - File content
+   * @returns {string} data: URL
+   */
+  function toDataURL(path, bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return `data:${getMimeType(path)};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Make the landing URL safe to paste into HTML attributes and JS string literals
+   * @param {string} url - Landing URL
+   * @returns {string} URL with quotes, angle brackets and backslashes percent-encoded
+   */
+  function encodeClickURL(url) {
+    return url.replace(/["'<>\\`\s]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  /**
+   * Apply text replacements given as { start, end, text } (non-overlapping)
+   * @param {string} source - Original text
+   * @param {Array<Object>} replacements - Replacements with offsets into source
+   * @returns {string} Rewritten text
+   */
+  function applyReplacements(source, replacements) {
+    let result = source;
+    replacements
+      .sort((a, b) => b.start - a.start)
+      .forEach(({ start, end, text }) => {
+        result = result.slice(0, start) + text + result.slice(end);
+      });
+    return result;
+  }
+
+  /**
+   * Build a preview of an HTML5 banner
+   * @param {File|Blob} file - HTML5 banner ZIP
+   * @param {Object} options - Options
+   * @param {string} options.clickURL - URL substituted for __CLICKTHRU__ ('' keeps a '#' link)
+   * @returns {Promise<Object>} { html (for iframe srcdoc), htmlPath, revoke() }
+   */
+  async function createPreview(file, options = {}) {
+    const clickURL = encodeClickURL(options.clickURL || '#');
+    const zip = await JSZip.loadAsync(file);
+    const files = Object.keys(zip.files).filter(name => !zip.files[name].dir && !name.includes('__MACOSX'));
+    const htmlPath = files.find(name => !name.includes('/') && /\.html?$/i.test(name));
+    if (!htmlPath) throw new Error('Chybí HTML soubor v kořenovém adresáři');
+
+    const urls = new Map(); // ZIP path -> blob or data URL
+    const createdURLs = [];
+    const addBlob = (path, content) => {
+      const url = URL.createObjectURL(new Blob([content], { type: getMimeType(path) }));
+      urls.set(path, url);
+      createdURLs.push(url);
+      return url;
+    };
+
+    // Map a reference written in baseDir to a blob URL (null = leave as is)
+    const blobURLFor = (baseDir, ref) => {
+      if (HTML5Parser.classifyReference(ref) !== 'local') return null;
+      const path = HTML5Parser.resolvePath(baseDir, ref);
+      return path !== null && urls.has(path) ? urls.get(path) : null;
+    };
+
+    const rewriteCSS = (css, baseDir) => applyReplacements(css,
+      HTML5Parser.extractCSSReferences(css).map(ref => {
+        const url = blobURLFor(baseDir, ref.url);
+        if (!url) return null;
+        const start = css.indexOf(ref.url, ref.offset);
+        return { start, end: start + ref.url.length, text: url };
+      }).filter(replacement => replacement && replacement.start !== -1));
+
+    // JS runs in the page, so string literals with local paths resolve against the root HTML
+    const rewriteJS = (code) => code
+      .replace(/(['"`])([^'"`\n]+\.[a-z0-9]{2,5})\1/gi, (literal, quote, ref) => {
+        const url = blobURLFor('', ref);
+        return url ? `${quote}${url}${quote}` : literal;
+      })
+      .split('__CLICKTHRU__').join(clickURL);
+
+    // Binary assets first - text files reference them
+    const textFiles = files.filter(name => /\.(css|js|mjs)$/i.test(name));
+    for (const path of files.filter(name => name !== htmlPath && !textFiles.includes(name))) {
+      const bytes = await zip.file(path).async('uint8array');
+      if (DATA_URL_EXTENSIONS.includes(path.split('.').pop().toLowerCase())) {
+        urls.set(path, toDataURL(path, bytes));
+      } else {
+        addBlob(path, bytes);
+      }
+    }
+
+    // Stylesheets (imported stylesheets are rewritten before the ones importing them)
+    const cssFiles = textFiles.filter(name => /\.css$/i.test(name));
+    const cssSources = new Map();
+    for (const path of cssFiles) cssSources.set(path, await zip.file(path).async('string'));
+    const rewriteStylesheet = (path, visiting = new Set()) => {
+      if (urls.has(path) || visiting.has(path)) return;
+      visiting.add(path);
+      const css = cssSources.get(path);
+      HTML5Parser.extractCSSReferences(css)
+        .filter(ref => ref.kind === 'import' || /\.css(\?|#|$)/i.test(ref.url))
+        .map(ref => HTML5Parser.resolvePath(HTML5Parser.getDirectory(path), ref.url))
+        .filter(importPath => cssSources.has(importPath))
+        .forEach(importPath => rewriteStylesheet(importPath, visiting));
+      addBlob(path, rewriteCSS(css, HTML5Parser.getDirectory(path)));
+    };
+    cssFiles.forEach(path => rewriteStylesheet(path));
+
+    for (const path of textFiles.filter(name => !cssFiles.includes(name))) {
+      addBlob(path, rewriteJS(await zip.file(path).async('string')));
+    }
+
+    // Root HTML: attributes, inline styles and scripts
+    const html = await zip.file(htmlPath).async('string');
+    const replacements = [];
+    let headEnd = null;
+
+    for (const token of HTML5Parser.tokenizeHTML(html)) {
+      if (token.type !== 'start') continue;
+      if (token.tagName === 'head' && headEnd === null) {
+        headEnd = html.indexOf('>', token.offset) + 1;
+      }
+
+      const referenceAttributes = HTML5Parser.REFERENCE_ATTRIBUTES[token.tagName] || [];
+      for (const attr of token.attributes) {
+        let value = attr.value;
+        if (referenceAttributes.includes(attr.name)) {
+          value = attr.name === 'srcset'
+            ? value.replace(/[^\s,]+(?=\s|,|$)/g, ref => blobURLFor('', ref) || ref)
+            : blobURLFor('', value) || value;
+        } else if (attr.name === 'style') {
+          value = rewriteCSS(value, '');
+        } else if (attr.name.startsWith('on')) {
+          value = rewriteJS(value);
+        }
+        value = value.split('__CLICKTHRU__').join(clickURL);
+        if (value !== attr.value) {
+          replacements.push({ start: attr.offset, end: attr.offset + attr.value.length, text: value });
+        }
+      }
+
+      if (token.rawText) {
+        let rewritten = token.rawText;
+        if (token.tagName === 'style') rewritten = rewriteCSS(rewritten, '');
+        if (token.tagName === 'script') rewritten = rewriteJS(rewritten);
+        if (rewritten !== token.rawText) {
+          replacements.push({ start: token.rawTextOffset, end: token.rawTextOffset + token.rawText.length, text: rewritten });
+        }
+      }
+    }
+
+    // Bootstrap goes first so it wraps window.open/rAF before the banner's scripts run
+    const bootstrap = `<script>${BOOTSTRAP_SCRIPT}</script>`;
+    replacements.push({ start: headEnd || 0, end: headEnd || 0, text: bootstrap });
+
+    return {
+      html: applyReplacements(html, replacements),
+      htmlPath: htmlPath,
+      revoke: () => createdURLs.forEach(url => URL.revokeObjectURL(url))
+    };
+  }
+
+  /**
+   * Check if a window message comes from a preview bootstrap script
+   * @param {MessageEvent} event - Message event
+   * @returns {boolean} True for preview messages
+   */
+  function isPreviewMessage(event) {
+    return !!event.data && event.data.source === PREVIEW_SOURCE;
+  }
+
+  /**
+   * Pause or resume the banner in a preview iframe
+   * @param {HTMLIFrameElement} iframe - Preview iframe
+   * @param {boolean} paused - True to pause, false to resume
+   */
+  function setPaused(iframe, paused) {
+    if (!iframe || !iframe.contentWindow) return;
+    iframe.contentWindow.postMessage({ source: HOST_SOURCE, type: paused ? 'pause' : 'resume' }, '*');
+  }
+
+  /**
+   * Restart the banner and capture a frame as a static backup image
+   * @param {HTMLIFrameElement} iframe - Preview iframe (sized to the banner)
+   * @param {string} html - Preview HTML from createPreview()
+   * @param {Object} options - Options
+   * @param {number|null} options.at - Seconds from the start, null = end of the animation
+   * @returns {Promise<Blob>} PNG image of the frame
+   */
+  function captureFrame(iframe, html, options = {}) {
+    const at = typeof options.at === 'number' ? options.at : null;
+    const timeoutSeconds = (at !== null ? at : ANIMATION_END_TIMEOUT_SECONDS) + 15;
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+      };
+      const onMessage = (event) => {
+        if (event.source !== iframe.contentWindow || !isPreviewMessage(event)) return;
+        if (event.data.type === 'capture') {
+          cleanup();
+          resolve(event.data.blob);
+        } else if (event.data.type === 'capture-error') {
+          cleanup();
+          reject(new Error(event.data.message));
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('Vypršel časový limit pro zachycení snímku'));
+      }, timeoutSeconds * 1000);
+
+      window.addEventListener('message', onMessage);
+      // Restart so the time is measured from the beginning of the animation
+      iframe.addEventListener('load', () => {
+        iframe.contentWindow.postMessage({ source: HOST_SOURCE, type: 'capture', at }, '*');
+      }, { once: true });
+      iframe.srcdoc = html;
+    });
+  }
+
+  // Export functions
+  window.HTML5Preview = {
+    createPreview,
+    isPreviewMessage,
+    setPaused,
+    captureFrame
+  };
+
+})(typeof window !== 'undefined' ? window : globalThis);
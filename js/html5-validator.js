@@ -7,6 +7,7 @@
   'use strict';
 
   // Validation rules based on Seznam.cz specs
+  // Structure rules apply everywhere, the rest is the Seznam default of HTML5_RULE_PROFILES
   const VALIDATION_RULES = {
     maxFiles: 40,
     maxSubdirectoryLevels: 2,
@@ -37,6 +38,63 @@
     ]
   };
 
+  // Seznam systems (Sklik, SOS, Onegar, HP Exclusive) share one set of rules
+  const SEZNAM_PROFILE = {
+    name: 'Seznam',
+    maxFiles: VALIDATION_RULES.maxFiles,
+    maxSizeKB: null,
+    clickVariables: ['__CLICKTHRU__'],
+    requireAnchor: true,
+    whitelistedCDNs: VALIDATION_RULES.whitelistedCDNs,
+    prohibitedFunctions: VALIDATION_RULES.prohibitedFunctions
+  };
+
+  // HTML5 rules per ad system (keys match CREATIVE_SPECS networks, DEFAULT for the rest)
+  // maxSizeKB: ZIP limit of the system itself (null = only the matched format's maxSize applies)
+  // clickVariables: at least one must be used; requireAnchor: exactly one <a target="_top">
+  const HTML5_RULE_PROFILES = {
+    DEFAULT: SEZNAM_PROFILE,
+    SKLIK: SEZNAM_PROFILE,
+    SOS: SEZNAM_PROFILE,
+    ONEGAR: SEZNAM_PROFILE,
+    HP_EXCLUSIVE: SEZNAM_PROFILE,
+    // Adform reads the click URL with dhtml.getVar('clickTAG') and opens it itself
+    ADFORM: {
+      name: 'Adform',
+      maxFiles: VALIDATION_RULES.maxFiles,
+      maxSizeKB: null,
+      clickVariables: ['clickTAG', 'dhtml.getVar'],
+      requireAnchor: false,
+      whitelistedCDNs: [...VALIDATION_RULES.whitelistedCDNs, 'adform.net'],
+      prohibitedFunctions: VALIDATION_RULES.prohibitedFunctions.filter(func => func !== 'window.open(')
+    },
+    // Google Ads exits through its Exit API (exitapi.js from tpc.googlesyndication.com)
+    GOOGLE_ADS: {
+      name: 'Google Ads',
+      maxFiles: VALIDATION_RULES.maxFiles,
+      maxSizeKB: 150,
+      clickVariables: ['ExitApi.exit'],
+      requireAnchor: false,
+      whitelistedCDNs: [...VALIDATION_RULES.whitelistedCDNs, 'tpc.googlesyndication.com', 's0.2mdn.net'],
+      prohibitedFunctions: VALIDATION_RULES.prohibitedFunctions
+    }
+  };
+
+  // Everything any profile looks for - collected once per banner, judged per network
+  const PROFILE_CLICK_VARIABLES = [...new Set(Object.values(HTML5_RULE_PROFILES).flatMap(profile => profile.clickVariables))];
+  const PROFILE_FUNCTIONS = [...new Set(Object.values(HTML5_RULE_PROFILES).flatMap(profile => profile.prohibitedFunctions))];
+
+  /**
+   * Load a ZIP file with JSZip
+   * Passes raw bytes because JSZip cannot read Blobs outside the browser (Node CLI)
+   * @param {File|Blob} file - ZIP file
+   * @returns {Promise<Object>} JSZip object
+   */
+  async function loadZIP(file) {
+    const data = typeof file.arrayBuffer === 'function' ? await file.arrayBuffer() : file;
+    return JSZip.loadAsync(data);
+  }
+
   /**
    * Detect if a file is an HTML5 banner ZIP by name pattern
    * @param {string} fileName - File name to check
@@ -73,27 +131,107 @@
     return parts.length;
   }
 
+  // Asset type by extension (used for reference resolution and the assets list)
+  const ASSET_TYPES = {
+    document: FILE_TYPES.HTML_EXTENSIONS,
+    script: ['js', 'mjs'],
+    stylesheet: ['css'],
+    image: [...FILE_TYPES.IMAGE_EXTENSIONS, 'svg'],
+    font: ['woff', 'woff2', 'ttf', 'eot', 'otf'],
+    media: ['mp4', 'webm', 'mp3', 'ogg'],
+    data: ['json', 'txt', 'xml']
+  };
+
+  // ============================================================================
+  // FINDINGS
+  // ============================================================================
+
   /**
-   * Validate file structure of HTML5 ZIP
-   * @param {Object} zip - JSZip object
-   * @returns {Object} Validation result with issues array
+   * Create a validation finding
+   * @param {string} ruleId - Stable rule identifier (e.g. 'missing-anchor')
+   * @param {string} severity - 'error' (blocks the banner) or 'warning'
+   * @param {string} message - Czech message for the UI
+   * @param {string|null} file - File inside the ZIP (null = the package as a whole)
+   * @param {number|null} line - 1-based line number in that file
+   * @returns {Object} Finding { ruleId, severity, message, file, line }
    */
-  async function validateZIPStructure(zip) {
-    const issues = [];
-    const files = Object.keys(zip.files).filter(name => {
-      if (zip.files[name].dir) return false;
-      // Skip OS junk files
-      const baseName = name.split('/').pop();
-      if (baseName.startsWith('.') || name.includes('__MACOSX')) return false;
-      const baseNameLower = baseName.toLowerCase();
-      if (baseNameLower === 'thumbs.db' || baseNameLower === 'desktop.ini') return false;
-      return true;
-    });
+  function createFinding(ruleId, severity, message, file = null, line = null) {
+    return { ruleId, severity, message, file, line };
+  }
+
+  /**
+   * Format a finding as one line of text (file:line appended)
+   * @param {Object} finding - Finding object
+   * @returns {string} Formatted message
+   */
+  function formatFinding(finding) {
+    if (!finding.file) return finding.message;
+    const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+    return `${finding.message} (${location})`;
+  }
+
+  /**
+   * Get asset type from a file path
+   * @param {string} path - File path
+   * @returns {string} Asset type key of ASSET_TYPES, or 'other'
+   */
+  function getAssetType(path) {
+    const ext = path.split('.').pop().toLowerCase();
+    const type = Object.keys(ASSET_TYPES).find(key => ASSET_TYPES[key].includes(ext));
+    return type || 'other';
+  }
+
+  /**
+   * Convert an offset inside an embedded block (inline script, style) to a file line
+   * @param {string} text - Block content
+   * @param {number} offset - Offset inside the block
+   * @param {number} firstLine - Line of the block's first character in the file
+   * @returns {number} Line number in the file
+   */
+  function blockLine(text, offset, firstLine) {
+    return HTML5Parser.lineAt(HTML5Parser.getLineStarts(text), offset) + firstLine - 1;
+  }
 
-    // Check file count
-    if (files.length > VALIDATION_RULES.maxFiles) {
-      issues.push(`Příliš mnoho souborů: ${files.length} (maximum: ${VALIDATION_RULES.maxFiles})`);
+  /**
+   * Check if an external URL points to a whitelisted CDN
+   * @param {string} url - Absolute or protocol-relative URL
+   * @param {Array<string>} whitelistedCDNs - Allowed hosts (subdomains included)
+   * @returns {boolean} True if the host is whitelisted
+   */
+  function isWhitelistedURL(url, whitelistedCDNs) {
+    let host;
+    try {
+      host = new URL(url.startsWith('//') ? `https:${url}` : url).hostname.toLowerCase();
+    } catch (error) {
+      return false;
     }
+    return whitelistedCDNs.some(cdn => host === cdn || host.endsWith(`.${cdn}`));
+  }
+
+  // ============================================================================
+  // ZIP STRUCTURE
+  // ============================================================================
+
+  /**
+   * Check if a ZIP entry is OS junk (__MACOSX, .DS_Store and other dot files, Thumbs.db, desktop.ini)
+   * @param {string} name - Entry path
+   * @returns {boolean} True for junk entries
+   */
+  function isJunkEntry(name) {
+    const baseName = name.split('/').pop();
+    const baseNameLower = baseName.toLowerCase();
+    return baseName.startsWith('.') || name.includes('__MACOSX') ||
+      baseNameLower === 'thumbs.db' || baseNameLower === 'desktop.ini';
+  }
+
+  /**
+   * Validate file structure of HTML5 ZIP (the file count limit is per network, see validateForNetwork())
+   * @param {Object} zip - JSZip object
+   * @returns {Object} { valid, findings, files, htmlFiles }
+   */
+  async function validateZIPStructure(zip) {
+    const findings = [];
+    const files = Object.keys(zip.files).filter(name => !zip.files[name].dir && !isJunkEntry(name));
 
     // Check for HTML files in root
     const htmlFilesInRoot = files.filter(name => {
@@ -104,155 +242,1240 @@
     });
 
     if (htmlFilesInRoot.length === 0) {
-      issues.push('Chybí HTML soubor v kořenovém adresáři');
+      findings.push(createFinding('root-html-missing', 'error', 'Chybí HTML soubor v kořenovém adresáři'));
     } else if (htmlFilesInRoot.length > 1) {
-      issues.push(`Více než jeden HTML soubor v kořenu: ${htmlFilesInRoot.length} (povolený: 1)`);
+      findings.push(createFinding('root-html-multiple', 'error',
+        `Více než jeden HTML soubor v kořenu: ${htmlFilesInRoot.length} (povolený: 1)`));
     }
 
     // Check subdirectory levels
     for (const fileName of files) {
       const levels = countSubdirectoryLevels(fileName);
       if (levels > VALIDATION_RULES.maxSubdirectoryLevels) {
-        issues.push(`Příliš hluboká struktura adresářů: ${fileName} (maximum: ${VALIDATION_RULES.maxSubdirectoryLevels} úrovně)`);
+        findings.push(createFinding('directory-depth', 'error',
+          `Příliš hluboká struktura adresářů (maximum: ${VALIDATION_RULES.maxSubdirectoryLevels} úrovně)`, fileName));
         break;
       }
     }
 
     // Check file extensions
-    const invalidExtensions = [];
     for (const fileName of files) {
       const ext = fileName.split('.').pop().toLowerCase();
       if (!VALIDATION_RULES.allowedExtensions.includes(ext)) {
-        invalidExtensions.push(`${fileName} (.${ext})`);
+        findings.push(createFinding('file-extension', 'error', `Nepovolená přípona souboru: .${ext}`, fileName));
       }
     }
-    if (invalidExtensions.length > 0) {
-      issues.push(`Nepovolené přípony souborů: ${invalidExtensions.slice(0, 3).join(', ')}${invalidExtensions.length > 3 ? ` a další ${invalidExtensions.length - 3}` : ''}`);
-    }
 
     return {
-      valid: issues.length === 0,
-      issues: issues,
+      valid: !findings.some(finding => finding.severity === 'error'),
+      findings: findings,
+      files: files,
       htmlFiles: htmlFilesInRoot
     };
   }
 
+  // ============================================================================
+  // HTML DOCUMENT
+  // ============================================================================
+
   /**
-   * Validate HTML content
+   * Collect scripts, references and anchors from the root HTML document
    * @param {string} htmlContent - HTML file content
-   * @returns {Object} Validation result with issues array
+   * @param {string} htmlPath - Path of the HTML file inside the ZIP
+   * @returns {Object} { file, tokens, scripts, styles, references, anchors, container }
+   *   scripts: [{ file, line, code }] with comments blanked out, styles: [{ file, line, css }],
+   *   references: [{ url, file, line, source }], anchors: [{ file, line, href, target }],
+   *   container: first element inside <body> (start tag token) or null
+   */
+  function parseBannerDocument(htmlContent, htmlPath) {
+    const tokens = HTML5Parser.tokenizeHTML(htmlContent);
+    const scripts = [];
+    const styles = [];
+    const references = [];
+    const anchors = [];
+    let inBody = false;
+    let container = null;
+
+    const addCSSReferences = (css, firstLine) => {
+      for (const ref of HTML5Parser.extractCSSReferences(css)) {
+        references.push({ url: ref.url, file: htmlPath, line: blockLine(css, ref.offset, firstLine), source: 'css' });
+      }
+    };
+
+    for (const token of tokens) {
+      if (token.type !== 'start') continue;
+
+      if (token.tagName === 'body') {
+        inBody = true;
+      } else if (inBody && !container && !['script', 'style', 'noscript', 'link', 'meta'].includes(token.tagName)) {
+        container = token;
+      }
+
+      if (token.tagName === 'a') {
+        const href = HTML5Parser.getAttribute(token, 'href');
+        const target = HTML5Parser.getAttribute(token, 'target');
+        anchors.push({ file: htmlPath, line: token.line, href: href ? href.value : null, target: target ? target.value : null });
+      }
+
+      if (token.tagName === 'script' && token.rawText && !HTML5Parser.getAttribute(token, 'src')) {
+        const type = HTML5Parser.getAttribute(token, 'type');
+        // JSON data blocks and templates are not executed
+        if (!type || /javascript|module|ecmascript/i.test(type.value)) {
+          scripts.push({ file: htmlPath, line: token.rawTextLine, code: HTML5Parser.stripJSComments(token.rawText) });
+        }
+      }
+
+      if (token.tagName === 'style' && token.rawText) {
+        styles.push({ file: htmlPath, line: token.rawTextLine, css: token.rawText });
+        addCSSReferences(token.rawText, token.rawTextLine);
+      }
+
+      for (const attr of token.attributes) {
+        if (attr.name.startsWith('on') && attr.value) {
+          scripts.push({ file: htmlPath, line: attr.line, code: HTML5Parser.stripJSComments(attr.value) });
+        } else if (attr.name === 'style') {
+          addCSSReferences(attr.value, attr.line);
+        }
+      }
+
+      const referenceAttributes = HTML5Parser.REFERENCE_ATTRIBUTES[token.tagName] || [];
+      for (const name of referenceAttributes) {
+        const attr = HTML5Parser.getAttribute(token, name);
+        if (!attr || !attr.value) continue;
+        if (token.tagName === 'link' && !/stylesheet|icon|preload|font/i.test((HTML5Parser.getAttribute(token, 'rel') || {}).value || '')) continue;
+
+        const urls = name === 'srcset' ? HTML5Parser.parseSrcset(attr.value) : [attr.value];
+        urls.forEach(url => references.push({ url, file: htmlPath, line: attr.line, source: token.tagName }));
+      }
+    }
+
+    return { file: htmlPath, tokens, scripts, styles, references, anchors, container };
+  }
+
+  /**
+   * Find anchors created by JavaScript (createElement('a') or markup strings with <a>)
+   * @param {Array<Object>} scripts - Scripts { file, line, code }
+   * @returns {Array<Object>} Anchors { file, line, targetTop, fromScript: true }
+   */
+  function findScriptAnchors(scripts) {
+    const anchors = [];
+    const anchorPattern = /createElement\(\s*(['"`])a\1\s*\)|(['"`])[^'"`]*<a[\s>][^'"`]*\2/gi;
+
+    for (const script of scripts) {
+      const targetTop = /target['"`]?\s*[=:,]\s*(['"`])_top\1|target\s*=\s*\\?(['"])_top/i.test(script.code);
+      let match;
+      while ((match = anchorPattern.exec(script.code)) !== null) {
+        anchors.push({ file: script.file, line: blockLine(script.code, match.index, script.line), targetTop, fromScript: true });
+      }
+    }
+
+    return anchors;
+  }
+
+  /**
+   * Check required tags of the root HTML document
+   * @param {Object} bannerDoc - Result of parseBannerDocument()
+   * @param {string} htmlPath - Path of the HTML file inside the ZIP
+   * @returns {Array<Object>} Findings
+   */
+  function checkBannerDocument(bannerDoc, htmlPath) {
+    const findings = [];
+    const startTags = bannerDoc.tokens.filter(token => token.type === 'start');
+
+    if (!startTags.some(token => token.tagName === 'html')) {
+      findings.push(createFinding('missing-html-tag', 'error', 'Chybí tag <html>', htmlPath));
+    }
+    if (!startTags.some(token => token.tagName === 'body')) {
+      findings.push(createFinding('missing-body-tag', 'error', 'Chybí tag <body>', htmlPath));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Check the click anchor: exactly one <a> (markup or JavaScript-built) with target="_top"
+   * Only networks whose profile has requireAnchor get these findings.
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked scripts added
+   * @param {string} htmlPath - Path of the HTML file inside the ZIP
+   * @returns {Array<Object>} Findings
    */
-  function validateHTMLContent(htmlContent) {
-    const issues = [];
-    const htmlLower = htmlContent.toLowerCase();
+  function checkAnchors(bannerDoc, htmlPath) {
+    const findings = [];
+    const anchors = [...bannerDoc.anchors, ...findScriptAnchors(bannerDoc.scripts)];
 
-    // Check for required tags
-    if (!htmlLower.includes('<html')) {
-      issues.push('Chybí tag <html>');
+    if (anchors.length === 0) {
+      findings.push(createFinding('missing-anchor', 'error', 'Chybí tag <a> pro kliknutí', htmlPath));
+    } else if (anchors.length > 1) {
+      findings.push(createFinding('multiple-anchors', 'error',
+        `Více než jeden tag <a> nalezen: ${anchors.length} (povolený: 1)`, anchors[1].file, anchors[1].line));
     }
-    if (!htmlLower.includes('<body')) {
-      issues.push('Chybí tag <body>');
+
+    for (const anchor of anchors) {
+      if (anchor.fromScript) {
+        if (!anchor.targetTop) {
+          findings.push(createFinding('anchor-target-unverified', 'warning',
+            'Tag <a> vytvořený skriptem - nepodařilo se ověřit target="_top"', anchor.file, anchor.line));
+        }
+      } else if ((anchor.target || '').trim().toLowerCase() !== '_top') {
+        findings.push(createFinding('anchor-target', 'error', 'Tag <a> musí mít target="_top"', anchor.file, anchor.line));
+      }
     }
 
-    // Check for clickthrough link
-    if (!htmlContent.includes('__CLICKTHRU__')) {
-      issues.push('Chybí proměnná __CLICKTHRU__ pro clickthrough URL');
+    return findings;
+  }
+
+  /**
+   * Find click variables of all network profiles in attribute values and code (never comments)
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked scripts added
+   * @returns {Array<Object>} Usages { name, file, line } - first occurrence per variable
+   */
+  function findClickVariables(bannerDoc) {
+    const usages = [];
+
+    for (const name of PROFILE_CLICK_VARIABLES) {
+      const attr = bannerDoc.tokens
+        .filter(token => token.type === 'start')
+        .flatMap(token => token.attributes)
+        .find(attribute => attribute.value.includes(name));
+      if (attr) {
+        usages.push({ name, file: bannerDoc.file, line: attr.line });
+        continue;
+      }
+
+      const script = bannerDoc.scripts.find(block => block.code.includes(name));
+      if (script) {
+        usages.push({ name, file: script.file, line: blockLine(script.code, script.code.indexOf(name), script.line) });
+      }
     }
 
-    // Count <a> tags
-    const aTagMatches = htmlContent.match(/<a\s+[^>]*>/gi);
-    if (!aTagMatches || aTagMatches.length === 0) {
-      issues.push('Chybí tag <a> pro kliknutí');
-    } else if (aTagMatches.length > 1) {
-      issues.push(`Více než jeden tag <a> nalezen: ${aTagMatches.length} (povolený: 1)`);
+    return usages;
+  }
+
+  /**
+   * Read local scripts and stylesheets linked from the root HTML
+   * Scripts count for the click variable and anchor checks, stylesheets for the banner dimensions.
+   * @param {Object} zip - JSZip object
+   * @param {Array<string>} files - Files in the ZIP (without OS junk)
+   * @param {Object} bannerDoc - Result of parseBannerDocument(), scripts and styles are appended with linked: true
+   */
+  async function loadLinkedFiles(zip, files, bannerDoc) {
+    const linkedRefs = bannerDoc.references.filter(ref =>
+      (ref.source === 'script' || ref.source === 'link') && HTML5Parser.classifyReference(ref.url) === 'local');
+
+    for (const ref of linkedRefs) {
+      const path = HTML5Parser.resolvePath(HTML5Parser.getDirectory(ref.file), ref.url);
+      if (path === null || !files.includes(path)) continue;
+
+      const type = getAssetType(path);
+      if (type === 'script' && !bannerDoc.scripts.some(script => script.file === path)) {
+        const code = await zip.file(path).async('string');
+        bannerDoc.scripts.push({ file: path, line: 1, code: HTML5Parser.stripJSComments(code), linked: true });
+      } else if (type === 'stylesheet' && !bannerDoc.styles.some(style => style.file === path)) {
+        const css = await zip.file(path).async('string');
+        bannerDoc.styles.push({ file: path, line: 1, css, linked: true });
+      }
+    }
+  }
+
+  // ============================================================================
+  // TRANSPORT SECURITY
+  // ============================================================================
+
+  // XML namespace identifiers look like URLs but are never fetched
+  const NAMESPACE_URL_PATTERN = /^(?:https?:)?\/\/(?:www\.w3\.org|ns\.adobe\.com)\//i;
+
+  // Inlined base64 files above this size belong in the ZIP (no caching, bigger initial HTML/CSS/JS)
+  const MAX_INLINE_BASE64_KB = 10;
+
+  // Findings that block every placement - Seznam pages are HTTPS-only, so these break the banner
+  const BLOCKING_RULES = ['insecure-url', 'protocol-relative-url'];
+
+  /**
+   * Check a data: URL - its size when base64 encoded and http: references inside textual payloads (SVG, CSS)
+   * @param {string} url - data: URL
+   * @param {string} file - File containing it
+   * @param {number|null} line - Line in that file
+   * @returns {Array<Object>} Findings
+   */
+  function checkDataURL(url, file, line) {
+    const findings = [];
+    const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/is.exec(url);
+    if (!match) return findings;
+
+    const mime = match[1].trim().toLowerCase() || 'text/plain';
+    const isBase64 = /;base64/i.test(match[2]);
+    const payload = match[3];
+
+    if (isBase64) {
+      const sizeKB = Math.round(payload.replace(/\s/g, '').length * 3 / 4 / 102.4) / 10;
+      if (sizeKB > MAX_INLINE_BASE64_KB) {
+        findings.push(createFinding('inline-base64-size', 'warning',
+          `Vložený base64 soubor ${mime} má ${sizeKB} KB (doporučeno max ${MAX_INLINE_BASE64_KB} KB) - uložte ho do ZIP jako samostatný soubor`,
+          file, line));
+      }
+    }
+
+    if (/svg|xml|css|html|javascript|json|text/.test(mime)) {
+      let text = payload;
+      try {
+        text = isBase64 ? atob(payload.replace(/\s/g, '')) : decodeURIComponent(payload);
+      } catch (error) {
+        // Malformed payload - search the raw text
+      }
+      const inner = (text.match(/(?:https?:)?\/\/[^\s"'<>)]+/gi) || [])
+        .find(value => !NAMESPACE_URL_PATTERN.test(value) && /^(?:http:|\/\/)/i.test(value));
+      if (inner) {
+        findings.push(createFinding('insecure-url', 'error',
+          `Nezabezpečený odkaz ${inner} uvnitř data: URL (${mime})`, file, line));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Check that a URL is safe on an HTTPS page
+   * http: and protocol-relative URLs block (a banner iframe without its own origin may resolve // to http:),
+   * data: URLs are checked by checkDataURL().
+   * @param {string} url - URL as written in the source
+   * @param {string} file - File containing it
+   * @param {number|null} line - Line in that file
+   * @returns {Array<Object>} Findings
+   */
+  function checkURLSecurity(url, file, line) {
+    const value = (url || '').trim();
+    if (NAMESPACE_URL_PATTERN.test(value)) return [];
+
+    if (/^http:/i.test(value)) {
+      return [createFinding('insecure-url', 'error', `Nezabezpečený odkaz ${value} (použijte https:)`, file, line)];
+    }
+    if (value.startsWith('//')) {
+      return [createFinding('protocol-relative-url', 'error', `Odkaz bez protokolu: ${value} (uveďte https:)`, file, line)];
+    }
+    if (/^data:/i.test(value)) {
+      return checkDataURL(value, file, line);
+    }
+    return [];
+  }
+
+  // ============================================================================
+  // CODE SCANNING
+  // ============================================================================
+
+  /**
+   * Create an empty scan result
+   * External URLs and prohibited calls are only collected - which ones are allowed depends on the network profile.
+   * @returns {Object} { findings, assets, externalURLs: [{ url, file, line, label }], calls: [{ func, file, line }] }
+   */
+  function createScanResult() {
+    return { findings: [], assets: [], externalURLs: [], calls: [] };
+  }
+
+  /**
+   * Append a scan result to another
+   * @param {Object} target - Scan result to extend
+   * @param {Object} scanned - Scan result to append
+   * @returns {Object} target
+   */
+  function mergeScanResult(target, scanned) {
+    for (const key of Object.keys(target)) {
+      target[key].push(...scanned[key]);
+    }
+    return target;
+  }
+
+  /**
+   * Check a referenced URL against the ZIP contents
+   * @param {Object} ref - Reference { url, file, line, baseDir?, lazy? } - relative URLs resolve against baseDir or the file's directory,
+   *   lazy marks requests made by scripts (not part of the initial load)
+   * @param {Array<string>|null} files - Files in the ZIP (null = skip local files)
+   * @param {string} label - Message prefix used if a network doesn't allow the external URL
+   * @returns {Object} { finding, asset, external, securityFindings } - finding, asset and external may be null
+   */
+  function checkReference(ref, files, label = 'Nepovolený externí zdroj') {
+    const kind = HTML5Parser.classifyReference(ref.url);
+    const securityFindings = checkURLSecurity(ref.url, ref.file, ref.line);
+
+    if (kind === 'external') {
+      return { finding: null, asset: null, external: { url: ref.url, file: ref.file, line: ref.line, label }, securityFindings };
+    }
+    if (kind !== 'local' || !files) return { finding: null, asset: null, external: null, securityFindings };
+
+    const baseDir = ref.baseDir !== undefined ? ref.baseDir : HTML5Parser.getDirectory(ref.file);
+    const path = HTML5Parser.resolvePath(baseDir, ref.url);
+    if (path === null) {
+      return {
+        finding: createFinding('asset-outside-zip', 'error', `Odkaz mimo ZIP balíček: ${ref.url}`, ref.file, ref.line),
+        asset: null,
+        external: null,
+        securityFindings
+      };
+    }
+
+    const found = files.includes(path);
+    const asset = { path, type: getAssetType(path), file: ref.file, line: ref.line, found, lazy: Boolean(ref.lazy) };
+    if (found) return { finding: null, asset, external: null, securityFindings };
+
+    const caseMatch = files.find(name => name.toLowerCase() === path.toLowerCase());
+    const hint = caseMatch ? ` (liší se velikost písmen: ${caseMatch})` : '';
+    return {
+      finding: createFinding('missing-asset', 'error', `Odkazovaný soubor nebyl v ZIP nalezen: ${ref.url}${hint}`, ref.file, ref.line),
+      asset,
+      external: null,
+      securityFindings
+    };
+  }
+
+  /**
+   * Add a checkReference() result to a scan result
+   * @param {Object} scanned - Scan result
+   * @param {Object} checked - Result of checkReference()
+   */
+  function addCheckedReference(scanned, checked) {
+    scanned.findings.push(...checked.securityFindings);
+    if (checked.finding) scanned.findings.push(checked.finding);
+    if (checked.asset) scanned.assets.push(checked.asset);
+    if (checked.external) scanned.externalURLs.push(checked.external);
+  }
+
+  /**
+   * Scan JavaScript code for prohibited calls, network requests and external URLs
+   * @param {Object} script - Script { file, line, code } with comments blanked out
+   * @param {Array<string>} files - Files in the ZIP
+   * @returns {Object} Scan result (see createScanResult())
+   */
+  function scanScriptCode(script, files) {
+    const scanned = createScanResult();
+    const code = script.code;
+    const lineOf = (offset) => blockLine(code, offset, script.line);
+    const handledURLs = new Set();
+    const requestURLs = new Set();
+    let match;
+
+    // Calls any profile prohibits (whitespace before the parenthesis allowed)
+    for (const func of PROFILE_FUNCTIONS) {
+      const pattern = new RegExp(func.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\($/, '\\s*\\('), 'g');
+      while ((match = pattern.exec(code)) !== null) {
+        scanned.calls.push({ func, file: script.file, line: lineOf(match.index) });
+      }
+    }
+
+    // fetch() and XMLHttpRequest.open() targets - external ones must be whitelisted, local ones must exist
+    const requestPatterns = [
+      { pattern: /\bfetch\(\s*(['"`])([^'"`]+)\1/g, label: 'fetch()' },
+      { pattern: /\.open\(\s*(['"`])[A-Za-z]+\1\s*,\s*(['"`])([^'"`]+)\2/g, label: 'XMLHttpRequest' }
+    ];
+    for (const { pattern, label } of requestPatterns) {
+      while ((match = pattern.exec(code)) !== null) {
+        const url = match[match.length - 1];
+        // Requests resolve against the page (root HTML), not the script file
+        addCheckedReference(scanned, checkReference({ url, file: script.file, line: lineOf(match.index), baseDir: '', lazy: true }, files,
+          `Nepovolený externí požadavek ${label}`));
+        handledURLs.add(url);
+        requestURLs.add(url);
+      }
+    }
+
+    // Fallback landing URL of Adform's dhtml.getVar('clickTAG', 'https://...') is a link, not a loaded resource
+    const fallbackPattern = /dhtml\.getVar\(\s*(['"`])[^'"`]*\1\s*,\s*(['"`])([^'"`]+)\2/g;
+    while ((match = fallbackPattern.exec(code)) !== null) {
+      handledURLs.add(match[3]);
+    }
+
+    // document.write() injecting script tags (also split as '<scr' + 'ipt')
+    const writePattern = /document\.write(?:ln)?\s*\(/g;
+    while ((match = writePattern.exec(code)) !== null) {
+      const argument = code.slice(match.index, match.index + 500).split(/\)\s*;|\n\s*\n/)[0];
+      if (/<\s*scr(?:ipt|['"`]\s*\+\s*['"`]ipt)/i.test(argument)) {
+        scanned.findings.push(createFinding('document-write-script', 'warning',
+          'document.write() vkládá tag <script>', script.file, lineOf(match.index)));
+      }
+    }
+
+    // Any other external URL literal (script src in markup strings, images, APIs) - request targets are checked above
+    const urlPattern = /(['"`])((?:https?:)?\/\/[a-z0-9][^'"`\s]*)\1/gi;
+    while ((match = urlPattern.exec(code)) !== null) {
+      const url = match[2];
+      if (requestURLs.has(url) || NAMESPACE_URL_PATTERN.test(url)) continue;
+      scanned.findings.push(...checkURLSecurity(url, script.file, lineOf(match.index)));
+      if (!handledURLs.has(url)) {
+        scanned.externalURLs.push({ url, file: script.file, line: lineOf(match.index), label: 'Nepovolený externí zdroj' });
+      }
+    }
+
+    // Inlined data: URLs (images, fonts, SVG markup)
+    const dataPattern = /(['"`])(data:[^'"`]+)\1/gi;
+    while ((match = dataPattern.exec(code)) !== null) {
+      scanned.findings.push(...checkDataURL(match[2], script.file, lineOf(match.index)));
+    }
+
+    return scanned;
+  }
+
+  /**
+   * Scan CSS for url() and @import references
+   * @param {string} css - CSS source
+   * @param {string} file - File containing the CSS
+   * @param {number} firstLine - Line of the CSS's first character in that file
+   * @param {Array<string>} files - Files in the ZIP
+   * @returns {Object} Scan result (see createScanResult())
+   */
+  function scanStylesheet(css, file, firstLine, files) {
+    const scanned = createScanResult();
+
+    for (const ref of HTML5Parser.extractCSSReferences(css)) {
+      const label = ref.kind === 'import' ? 'Nepovolený externí @import' : 'Nepovolený externí zdroj';
+      addCheckedReference(scanned, checkReference({ url: ref.url, file, line: blockLine(css, ref.offset, firstLine) }, files, label));
+    }
+
+    return scanned;
+  }
+
+  /**
+   * Scan a parsed HTML or SVG document: inline scripts, event handlers and references
+   * @param {Object} parsedDoc - Result of parseBannerDocument()
+   * @param {Array<string>} files - Files in the ZIP
+   * @returns {Object} Scan result (see createScanResult())
+   */
+  function scanParsedDocument(parsedDoc, files) {
+    const scanned = createScanResult();
+
+    for (const script of parsedDoc.scripts.filter(script => !script.linked)) {
+      mergeScanResult(scanned, scanScriptCode(script, files));
+    }
+
+    for (const ref of parsedDoc.references) {
+      const label = ref.source === 'css' ? 'Nepovolený externí zdroj v CSS' : 'Nepovolený externí zdroj';
+      addCheckedReference(scanned, checkReference(ref, files, label));
+    }
+
+    // Other attributes with URLs (links, data-src, meta content) - handlers, styles and namespaces are covered elsewhere
+    for (const token of parsedDoc.tokens.filter(token => token.type === 'start')) {
+      for (const attr of token.attributes) {
+        if (/^(?:on|xmlns)|^style$/.test(attr.name) || !/^\s*(?:http:|\/\/|data:)/i.test(attr.value)) continue;
+        if (parsedDoc.references.some(ref => ref.line === attr.line && ref.url === attr.value)) continue;
+        scanned.findings.push(...checkURLSecurity(attr.value, parsedDoc.file, attr.line));
+      }
+    }
+
+    return scanned;
+  }
+
+  /**
+   * Scan every JS, CSS, JSON and SVG file of the banner (the root HTML is inspected separately)
+   * @param {Object} zip - JSZip object
+   * @param {Array<string>} files - Files in the ZIP (without OS junk)
+   * @returns {Promise<Object>} Scan result (see createScanResult())
+   */
+  async function scanBannerFiles(zip, files) {
+    const scanned = createScanResult();
+
+    for (const path of files) {
+      const ext = path.split('.').pop().toLowerCase();
+
+      if (ext === 'js' || ext === 'mjs') {
+        const code = await zip.file(path).async('string');
+        mergeScanResult(scanned, scanScriptCode({ file: path, line: 1, code: HTML5Parser.stripJSComments(code) }, files));
+      } else if (ext === 'css') {
+        mergeScanResult(scanned, scanStylesheet(await zip.file(path).async('string'), path, 1, files));
+      } else if (ext === 'svg') {
+        mergeScanResult(scanned, scanParsedDocument(parseBannerDocument(await zip.file(path).async('string'), path), files));
+      } else if (ext === 'json') {
+        // Data files (Lottie animations, configs) - only URLs matter, local paths are relative to the page
+        const text = await zip.file(path).async('string');
+        const urlPattern = /"((?:https?:)?\/\/[^"\s]+|data:[^"]+)"/gi;
+        let match;
+        while ((match = urlPattern.exec(text)) !== null) {
+          const line = blockLine(text, match.index, 1);
+          scanned.findings.push(...checkURLSecurity(match[1], path, line));
+          if (!/^data:/i.test(match[1]) && !NAMESPACE_URL_PATTERN.test(match[1])) {
+            scanned.externalURLs.push({ url: match[1], file: path, line, label: 'Nepovolený externí zdroj' });
+          }
+        }
+      }
+    }
+
+    return scanned;
+  }
+
+  /**
+   * Validate HTML content of the banner's root HTML file
+   * With a ZIP, referenced files are resolved and linked scripts count for the click variable and anchor checks.
+   * @param {string} htmlContent - HTML file content
+   * @param {string} htmlPath - Path of the HTML file inside the ZIP
+   * @param {Object} zip - JSZip object (optional)
+   * @param {Array<string>} files - Files in the ZIP (required with zip)
+   * @returns {Promise<Object>} { valid, findings, assets, externalURLs, calls, clickVariables, anchorFindings, contentDimensions, authoringTool }
+   *   findings hold only network-independent problems, the rest is judged by validateForNetwork()
+   */
+  async function validateHTMLContent(htmlContent, htmlPath = 'index.html', zip = null, files = []) {
+    const bannerDoc = parseBannerDocument(htmlContent, htmlPath);
+    if (zip) await loadLinkedFiles(zip, files, bannerDoc);
+
+    const scanned = scanParsedDocument(bannerDoc, zip ? files : null);
+    const contentDimensions = detectContentDimensions(bannerDoc);
+    const authoringTool = detectAuthoringTool(bannerDoc, files);
+    const findings = [
+      ...checkBannerDocument(bannerDoc, htmlPath),
+      ...scanned.findings,
+      ...await checkAuthoringTool(authoringTool, bannerDoc, zip, files, contentDimensions)
+    ];
+
+    return {
+      valid: !findings.some(finding => finding.severity === 'error'),
+      findings: findings,
+      assets: scanned.assets,
+      externalURLs: scanned.externalURLs,
+      calls: scanned.calls,
+      clickVariables: findClickVariables(bannerDoc),
+      anchorFindings: checkAnchors(bannerDoc, htmlPath),
+      contentDimensions: contentDimensions,
+      authoringTool: authoringTool
+    };
+  }
+
+  // ============================================================================
+  // BANNER DIMENSIONS
+  // ============================================================================
+
+  // Dimension sources with UI labels - content sources most reliable first, filename is the fallback
+  const DIMENSION_SOURCES = {
+    meta: 'meta ad.size',
+    gwd: 'Google Web Designer',
+    animate: 'Adobe Animate',
+    css: 'CSS kontejneru',
+    filename: 'název souboru'
+  };
+
+  /**
+   * Parse a CSS pixel length ("300px", "300")
+   * @param {string} value - Length value
+   * @returns {number|null} Pixels, null for other units
+   */
+  function parsePixels(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)(px)?\s*$/i.exec(value || '');
+    return match ? Math.round(parseFloat(match[1])) : null;
+  }
+
+  /**
+   * Read pixel width and height from CSS declarations
+   * @param {string} declarations - Declaration block content ("width: 300px; height: 250px")
+   * @returns {Object} { width, height } - null where missing or not in pixels
+   */
+  function readSizeDeclarations(declarations) {
+    const width = /(?:^|[;\s])width\s*:\s*([^;]+)/i.exec(declarations);
+    const height = /(?:^|[;\s])height\s*:\s*([^;]+)/i.exec(declarations);
+    return {
+      width: width ? parsePixels(width[1]) : null,
+      height: height ? parsePixels(height[1]) : null
+    };
+  }
+
+  /**
+   * Find width and height declared for a selector in CSS blocks (later rules win)
+   * Only simple selectors are matched (no descendant combinators), e.g. "#banner", "div.container".
+   * @param {Array<Object>} styles - CSS blocks { file, line, css }
+   * @param {Array<string>} selectors - Simple selectors to look for ('#id', '.class')
+   * @returns {Object|null} { width, height, file, line } or null
+   */
+  function findCSSSize(styles, selectors) {
+    const size = { width: null, height: null, file: null, line: null };
+    const selectorPatterns = selectors.map(selector =>
+      new RegExp(`(^|[^\\w-])${selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`));
+
+    for (const style of styles) {
+      const css = HTML5Parser.stripCSSComments(style.css);
+      const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+      let rule;
+      while ((rule = rulePattern.exec(css)) !== null) {
+        const matches = rule[1].split(',').some(selector => {
+          const compound = selector.trim();
+          return compound && !/[\s>+~]/.test(compound) && selectorPatterns.some(pattern => pattern.test(compound));
+        });
+        if (!matches) continue;
+
+        const declared = readSizeDeclarations(rule[2]);
+        if (declared.width) size.width = declared.width;
+        if (declared.height) size.height = declared.height;
+        if (declared.width || declared.height) {
+          size.file = style.file;
+          size.line = blockLine(style.css, rule.index + rule[0].length - rule[0].trimStart().length, style.line);
+        }
+      }
+    }
+
+    return size.width && size.height ? size : null;
+  }
+
+  /**
+   * Read banner dimensions declared in the content
+   * Sources: <meta name="ad.size">, GWD page size, Animate stage (lib.properties), root container CSS.
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked files loaded
+   * @returns {Array<Object>} Candidates { width, height, source, file, line }, most reliable first
+   */
+  function detectContentDimensions(bannerDoc) {
+    const candidates = [];
+    const startTags = bannerDoc.tokens.filter(token => token.type === 'start');
+    const add = (width, height, source, file, line) => {
+      if (width > 0 && height > 0) candidates.push({ width, height, source, file, line });
+    };
+
+    // <meta name="ad.size" content="width=300,height=250">
+    const adSize = startTags.find(token => token.tagName === 'meta' &&
+      /^ad\.size$/i.test((HTML5Parser.getAttribute(token, 'name') || {}).value || ''));
+    if (adSize) {
+      const content = (HTML5Parser.getAttribute(adSize, 'content') || {}).value || '';
+      const width = /width\s*=\s*(\d+)/i.exec(content);
+      const height = /height\s*=\s*(\d+)/i.exec(content);
+      if (width && height) add(parseInt(width[1], 10), parseInt(height[1], 10), 'meta', bannerDoc.file, adSize.line);
+    }
+
+    // Google Web Designer: <gwd-page data-gwd-width="300px" data-gwd-height="250px"> or .gwd-page-size
+    const gwdPage = startTags.find(token => HTML5Parser.getAttribute(token, 'data-gwd-width'));
+    if (gwdPage) {
+      add(parsePixels(HTML5Parser.getAttribute(gwdPage, 'data-gwd-width').value),
+        parsePixels((HTML5Parser.getAttribute(gwdPage, 'data-gwd-height') || {}).value),
+        'gwd', bannerDoc.file, gwdPage.line);
     } else {
-      // Check target="_top" in the <a> tag
-      const aTag = aTagMatches[0];
-      if (!aTag.includes('target="_top"') && !aTag.includes("target='_top'")) {
-        issues.push('Tag <a> musí mít target="_top"');
+      const gwdSize = findCSSSize(bannerDoc.styles, ['.gwd-page-size']);
+      if (gwdSize) add(gwdSize.width, gwdSize.height, 'gwd', gwdSize.file, gwdSize.line);
+    }
+
+    // Adobe Animate: lib.properties = { id: '...', width: 300, height: 250, fps: 24, ... }
+    for (const script of bannerDoc.scripts) {
+      const match = /properties\s*=\s*\{[^}]*?\bwidth\s*:\s*(\d+)\s*,\s*height\s*:\s*(\d+)/.exec(script.code);
+      if (match) {
+        add(parseInt(match[1], 10), parseInt(match[2], 10), 'animate', script.file, blockLine(script.code, match.index, script.line));
+        break;
       }
     }
 
-    // Check for prohibited functions
-    for (const func of VALIDATION_RULES.prohibitedFunctions) {
-      if (htmlContent.includes(func)) {
-        issues.push(`Zakázaná funkce: ${func}`);
+    // Root container: inline style first, then #id / .class rules
+    const container = bannerDoc.container;
+    if (container) {
+      const inlineStyle = HTML5Parser.getAttribute(container, 'style');
+      const inlineSize = inlineStyle ? readSizeDeclarations(inlineStyle.value) : {};
+
+      const id = HTML5Parser.getAttribute(container, 'id');
+      const classes = ((HTML5Parser.getAttribute(container, 'class') || {}).value || '').split(/\s+/).filter(Boolean);
+      const selectors = [...(id ? [`#${id.value}`] : []), ...classes.map(name => `.${name}`)];
+
+      if (inlineSize.width && inlineSize.height) {
+        add(inlineSize.width, inlineSize.height, 'css', bannerDoc.file, inlineStyle.line);
+      } else if (selectors.length > 0) {
+        const size = findCSSSize(bannerDoc.styles, selectors);
+        if (size) add(size.width, size.height, 'css', size.file, size.line);
       }
     }
 
-    // Check for external resources (basic check for CDNs)
-    const urlMatches = htmlContent.match(/https?:\/\/[^\s"']+/gi);
-    if (urlMatches) {
-      const externalUrls = urlMatches.filter(url => {
-        const urlLower = url.toLowerCase();
-        return !VALIDATION_RULES.whitelistedCDNs.some(cdn => urlLower.includes(cdn));
-      });
-      if (externalUrls.length > 0) {
-        issues.push(`Nepovolené externí zdroje: ${externalUrls.slice(0, 2).join(', ')}${externalUrls.length > 2 ? '...' : ''}`);
+    return candidates;
+  }
+
+  /**
+   * Decide the banner dimensions from the filename and the content
+   * Content wins - the filename is only a fallback. Disagreements are reported.
+   * @param {string|null} nameDimensions - Dimensions from the filename ("970x310")
+   * @param {Array<Object>} candidates - Result of detectContentDimensions()
+   * @returns {Object} { dimensions, source, findings }
+   */
+  function resolveBannerDimensions(nameDimensions, candidates) {
+    const findings = [];
+    const primary = candidates[0] || null;
+
+    if (!primary) {
+      return { dimensions: nameDimensions, source: nameDimensions ? 'filename' : null, findings };
+    }
+
+    const contentDimensions = `${primary.width}x${primary.height}`;
+
+    for (const candidate of candidates.slice(1)) {
+      const other = `${candidate.width}x${candidate.height}`;
+      if (other !== contentDimensions) {
+        findings.push(createFinding('dimension-sources-differ', 'warning',
+          `Rozměr z ${DIMENSION_SOURCES[candidate.source]} (${other}) se liší od ${DIMENSION_SOURCES[primary.source]} (${contentDimensions})`,
+          candidate.file, candidate.line));
+      }
+    }
+
+    if (nameDimensions && nameDimensions !== contentDimensions) {
+      findings.push(createFinding('dimension-mismatch', 'error',
+        `Rozměr v názvu souboru (${nameDimensions}) neodpovídá obsahu banneru (${contentDimensions}, ${DIMENSION_SOURCES[primary.source]})`,
+        primary.file, primary.line));
+    }
+
+    return { dimensions: contentDimensions, source: primary.source, findings };
+  }
+
+  // ============================================================================
+  // AUTHORING TOOLS
+  // ============================================================================
+
+  // Authoring tools with UI labels - 'handcoded' when no tool leaves a fingerprint
+  const AUTHORING_TOOLS = {
+    gwd: 'Google Web Designer',
+    animate: 'Adobe Animate',
+    adform: 'Adform Studio',
+    handcoded: 'ručně psaný kód'
+  };
+
+  // Runtime files each tool ships or links (ZIP paths, script URLs, data-source of inlined runtimes)
+  const TOOL_RUNTIME_PATTERNS = [
+    { tool: 'gwd', pattern: /gwd(?:page|_webcomponents|image|taparea|googlead|genericad|events)[\w.-]*\.js/i },
+    { tool: 'animate', pattern: /createjs[\w.-]*\.js/i },
+    { tool: 'adform', pattern: /dhtml[\w.-]*\.js/i }
+  ];
+
+  /**
+   * Fingerprint the tool the banner was exported from
+   * Signals: <meta name="generator">, tool elements and attributes, runtime files and tool APIs in the code.
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked scripts added
+   * @param {Array<string>} files - Files in the ZIP
+   * @returns {Object} { id, name, evidence: [{ reason, file, line }] } - id is a key of AUTHORING_TOOLS
+   */
+  function detectAuthoringTool(bannerDoc, files) {
+    const evidence = { gwd: [], animate: [], adform: [] };
+    const scores = { gwd: 0, animate: 0, adform: 0 };
+    const add = (tool, reason, file, line, weight = 1) => {
+      evidence[tool].push({ reason, file, line });
+      scores[tool] += weight;
+    };
+    const startTags = bannerDoc.tokens.filter(token => token.type === 'start');
+
+    // <meta name="generator" content="Google Web Designer 16.0"> - the strongest signal
+    const generator = startTags.find(token => token.tagName === 'meta' &&
+      /^generator$/i.test((HTML5Parser.getAttribute(token, 'name') || {}).value || ''));
+    if (generator) {
+      const content = (HTML5Parser.getAttribute(generator, 'content') || {}).value || '';
+      const tool = /google web designer/i.test(content) ? 'gwd'
+        : /adobe animate|flash/i.test(content) ? 'animate'
+          : /adform/i.test(content) ? 'adform' : null;
+      if (tool) add(tool, `meta generator "${content}"`, bannerDoc.file, generator.line, 10);
+    }
+
+    const gwdElement = startTags.find(token => token.tagName.startsWith('gwd-'));
+    if (gwdElement) add('gwd', `element <${gwdElement.tagName}>`, bannerDoc.file, gwdElement.line);
+
+    // Runtime files: in the ZIP, linked by URL, or inlined by GWD (<script data-source="gwdpage_min.js">)
+    const runtimeNames = [
+      ...files.map(path => ({ name: path, file: path, line: null })),
+      ...bannerDoc.references.map(ref => ({ name: ref.url, file: ref.file, line: ref.line })),
+      ...startTags.filter(token => HTML5Parser.getAttribute(token, 'data-source'))
+        .map(token => ({ name: HTML5Parser.getAttribute(token, 'data-source').value, file: bannerDoc.file, line: token.line }))
+    ];
+    for (const { tool, pattern } of TOOL_RUNTIME_PATTERNS) {
+      const runtime = runtimeNames.find(entry => pattern.test(entry.name));
+      if (runtime) add(tool, `soubor ${runtime.name.split('/').pop()}`, runtime.file, runtime.line);
+    }
+
+    // Tool APIs in the code
+    const codeSignals = [
+      { tool: 'animate', pattern: /\b(?:createjs|AdobeAn)\./, reason: 'CreateJS v kódu' },
+      { tool: 'adform', pattern: /\bdhtml\.getVar\(/, reason: 'dhtml.getVar()' },
+      { tool: 'gwd', pattern: /\bgwd\.(?:actions|auto_)/, reason: 'GWD akce v kódu' }
+    ];
+    for (const { tool, pattern, reason } of codeSignals) {
+      for (const script of bannerDoc.scripts) {
+        const match = pattern.exec(script.code);
+        if (match) {
+          add(tool, reason, script.file, blockLine(script.code, match.index, script.line));
+          break;
+        }
+      }
+    }
+
+    const best = Object.keys(scores).reduce((top, tool) => scores[tool] > scores[top] ? tool : top);
+    const id = scores[best] > 0 ? best : 'handcoded';
+    return { id, name: AUTHORING_TOOLS[id], evidence: id === 'handcoded' ? [] : evidence[id] };
+  }
+
+  /**
+   * Find the first match of a pattern in the root HTML's script blocks (any type) and linked scripts
+   * GWD keeps its event handlers in script blocks the executed-code scan may skip.
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked scripts added
+   * @param {RegExp} pattern - Pattern to look for
+   * @returns {Object|null} { file, line } or null
+   */
+  function findInScriptBlocks(bannerDoc, pattern) {
+    const blocks = [
+      ...bannerDoc.tokens.filter(token => token.type === 'start' && token.tagName === 'script' && token.rawText)
+        .map(token => ({ file: bannerDoc.file, line: token.rawTextLine, code: HTML5Parser.stripJSComments(token.rawText) })),
+      ...bannerDoc.scripts.filter(script => script.linked)
+    ];
+    for (const block of blocks) {
+      const match = pattern.exec(block.code);
+      if (match) return { file: block.file, line: blockLine(block.code, match.index, block.line) };
+    }
+    return null;
+  }
+
+  /**
+   * Read and check the Adform manifest.json
+   * @param {Object} zip - JSZip object
+   * @param {Array<string>} files - Files in the ZIP
+   * @param {Array<Object>} contentDimensions - Result of detectContentDimensions()
+   * @returns {Promise<Array<Object>>} Findings
+   */
+  async function checkAdformManifest(zip, files, contentDimensions) {
+    if (!files.includes('manifest.json')) {
+      return [createFinding('adform-manifest-missing', 'error',
+        'Chybí manifest.json v kořenovém adresáři (Adform ho vyžaduje)')];
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    } catch (error) {
+      return [createFinding('adform-manifest-invalid', 'error', `manifest.json není platný JSON: ${error.message}`, 'manifest.json')];
+    }
+
+    const findings = [];
+    const missing = ['width', 'height', 'source', 'clicktags'].filter(key => manifest[key] === undefined);
+    if (missing.length > 0) {
+      findings.push(createFinding('adform-manifest-invalid', 'error',
+        `V manifest.json chybí: ${missing.join(', ')}`, 'manifest.json'));
+    }
+    if (manifest.source && !files.includes(manifest.source)) {
+      findings.push(createFinding('adform-manifest-invalid', 'error',
+        `manifest.json odkazuje na neexistující soubor: ${manifest.source}`, 'manifest.json'));
+    }
+
+    const content = contentDimensions[0];
+    const declared = `${parseInt(manifest.width, 10)}x${parseInt(manifest.height, 10)}`;
+    if (content && manifest.width && manifest.height && declared !== `${content.width}x${content.height}`) {
+      findings.push(createFinding('adform-manifest-size', 'warning',
+        `Rozměr v manifest.json (${declared}) neodpovídá obsahu banneru (${content.width}x${content.height})`, 'manifest.json'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Run checks for the typical mistakes of the detected authoring tool
+   * @param {Object} tool - Result of detectAuthoringTool()
+   * @param {Object} bannerDoc - Result of parseBannerDocument() with linked scripts added
+   * @param {Object|null} zip - JSZip object (null = skip checks that read other files)
+   * @param {Array<string>} files - Files in the ZIP
+   * @param {Array<Object>} contentDimensions - Result of detectContentDimensions()
+   * @returns {Promise<Array<Object>>} Findings
+   */
+  async function checkAuthoringTool(tool, bannerDoc, zip, files, contentDimensions) {
+    const findings = [];
+    const startTags = bannerDoc.tokens.filter(token => token.type === 'start');
+
+    if (tool.id === 'gwd') {
+      // Exit events left in the GWD event panel - Seznam systems click through __CLICKTHRU__ instead
+      const exitHandler = findInScriptBlocks(bannerDoc, /gwd\.actions\.gwdGenericad\.exit|gwdGoogleAd\.exit(?:Override)?/);
+      if (exitHandler) {
+        findings.push(createFinding('gwd-exit-handler', 'warning',
+          'Zbytek exit handleru z GWD - odstraňte událost Exit v panelu Události a prolinkujte banner přes clickthrough proměnnou',
+          exitHandler.file, exitHandler.line));
+      }
+
+      // Published for Studio / DV360 - depends on Enabler.js from Google servers
+      const studio = startTags.find(token => token.tagName === 'gwd-doubleclick') ||
+        bannerDoc.references.find(ref => /enabler[\w.-]*\.js/i.test(ref.url));
+      if (studio) {
+        findings.push(createFinding('gwd-environment', 'warning',
+          'Banner z GWD je publikován pro Studio/DV360 (Enabler.js) - publikujte jej v prostředí Obecné (Generic)',
+          studio.file || bannerDoc.file, studio.line));
+      }
+    }
+
+    if (tool.id === 'animate') {
+      const hosted = bannerDoc.references.find(ref =>
+        /createjs/i.test(ref.url) && HTML5Parser.classifyReference(ref.url) === 'external');
+      if (hosted) {
+        findings.push(createFinding('animate-hosted-libraries', 'warning',
+          'CreateJS se načítá z CDN - v nastavení publikování vypněte „Hostované knihovny“ a přibalte ji do ZIP',
+          hosted.file, hosted.line));
+      }
+      if (!startTags.some(token => token.tagName === 'canvas')) {
+        findings.push(createFinding('animate-canvas-missing', 'error',
+          'Chybí <canvas> pro scénu Adobe Animate', bannerDoc.file));
+      }
+    }
+
+    if (tool.id === 'adform') {
+      const usesGetVar = bannerDoc.scripts.some(script => /\bdhtml\.getVar\(/.test(script.code));
+      const loadsDHTML = bannerDoc.references.some(ref => /dhtml/i.test(ref.url));
+      if (usesGetVar && !loadsDHTML) {
+        findings.push(createFinding('adform-dhtml-missing', 'error',
+          'Kód volá dhtml.getVar(), ale knihovna Adform DHTML (dhtml.js) se nenačítá', bannerDoc.file));
+      }
+      if (zip) findings.push(...await checkAdformManifest(zip, files, contentDimensions));
+    }
+
+    return findings;
+  }
+
+  // ============================================================================
+  // BANNER WEIGHT
+  // ============================================================================
+
+  /**
+   * Convert bytes to kilobytes rounded to one decimal
+   * @param {number} bytes - Size in bytes
+   * @returns {number} Size in KB
+   */
+  function toKB(bytes) {
+    return Math.round(bytes / 102.4) / 10;
+  }
+
+  /**
+   * Measure uncompressed weight of the banner files
+   * Initial load = the root HTML and everything reachable from it through markup and stylesheets.
+   * Files requested by scripts (fetch, XHR) or not referenced at all count as polite load.
+   * @param {Object} zip - JSZip object
+   * @param {Array<string>} files - Files in the ZIP (without OS junk)
+   * @param {string|null} htmlPath - Root HTML file
+   * @param {Array<Object>} assets - Resolved references { path, file, found, lazy }
+   * @returns {Promise<Object>} { totalKB, initialKB, politeKB, byType, largest, files }
+   *   byType: { [asset type]: { count, sizeKB } }, largest: { path, sizeKB } or null,
+   *   files: [{ path, type, sizeKB, initial }] sorted by size
+   */
+  async function measureBannerWeight(zip, files, htmlPath, assets) {
+    const initial = new Set(htmlPath ? [htmlPath] : []);
+
+    // Follow references until nothing new joins (HTML -> stylesheet -> font, image)
+    let added = true;
+    while (added) {
+      added = false;
+      for (const asset of assets) {
+        if (asset.found && !asset.lazy && initial.has(asset.file) && !initial.has(asset.path)) {
+          initial.add(asset.path);
+          added = true;
+        }
       }
     }
 
+    const entries = [];
+    for (const path of files) {
+      const bytes = (await zip.file(path).async('uint8array')).length;
+      entries.push({ path, type: getAssetType(path), bytes, initial: initial.has(path) });
+    }
+    entries.sort((a, b) => b.bytes - a.bytes);
+
+    const byType = {};
+    for (const entry of entries) {
+      if (!byType[entry.type]) byType[entry.type] = { count: 0, bytes: 0 };
+      byType[entry.type].count++;
+      byType[entry.type].bytes += entry.bytes;
+    }
+
+    const sum = (list) => list.reduce((total, entry) => total + entry.bytes, 0);
+    const totalBytes = sum(entries);
+    const initialBytes = sum(entries.filter(entry => entry.initial));
+
     return {
-      valid: issues.length === 0,
-      issues: issues
+      totalKB: toKB(totalBytes),
+      initialKB: toKB(initialBytes),
+      politeKB: toKB(totalBytes - initialBytes),
+      byType: Object.fromEntries(Object.entries(byType).map(([type, group]) => [type, { count: group.count, sizeKB: toKB(group.bytes) }])),
+      largest: entries.length > 0 ? { path: entries[0].path, sizeKB: toKB(entries[0].bytes) } : null,
+      files: entries.map(entry => ({ path: entry.path, type: entry.type, sizeKB: toKB(entry.bytes), initial: entry.initial }))
     };
   }
 
+  // ============================================================================
+  // NETWORK RULE PROFILES
+  // ============================================================================
+
+  /**
+   * Get the HTML5 rule profile of a network
+   * @param {string|null} network - Network key (ADFORM, SKLIK...), null for the default
+   * @returns {Object} Profile from HTML5_RULE_PROFILES
+   */
+  function getRuleProfile(network) {
+    return HTML5_RULE_PROFILES[network] || HTML5_RULE_PROFILES.DEFAULT;
+  }
+
+  /**
+   * Judge the collected banner facts by one network profile
+   * @param {Object} ruleFacts - validateHTML5Banner() result's ruleFacts
+   * @param {Object} profile - Profile from HTML5_RULE_PROFILES
+   * @returns {Array<Object>} Findings
+   */
+  function applyRuleProfile(ruleFacts, profile) {
+    const findings = [];
+
+    if (ruleFacts.fileCount > profile.maxFiles) {
+      findings.push(createFinding('max-files', 'error',
+        `Příliš mnoho souborů: ${ruleFacts.fileCount} (maximum ${profile.name}: ${profile.maxFiles})`));
+    }
+
+    if (profile.maxSizeKB && ruleFacts.sizeKB > profile.maxSizeKB) {
+      findings.push(createFinding('max-weight', 'error',
+        `ZIP má ${ruleFacts.sizeKB}KB (maximum ${profile.name}: ${profile.maxSizeKB}KB)`));
+    }
+
+    if (!ruleFacts.clickVariables.some(usage => profile.clickVariables.includes(usage.name))) {
+      // Mention a variable meant for another network - the usual mistake is a banner exported for the wrong system
+      const foreign = ruleFacts.clickVariables[0];
+      const hint = foreign ? ` (nalezena ${foreign.name} - banner je připraven pro jiný systém)` : '';
+      findings.push(createFinding('missing-clickthru', 'error',
+        `Chybí proměnná ${profile.clickVariables.join(' / ')} pro clickthrough URL${hint}`,
+        foreign ? foreign.file : null, foreign ? foreign.line : null));
+    }
+
+    if (profile.requireAnchor) {
+      findings.push(...ruleFacts.anchorFindings);
+    }
+
+    for (const call of ruleFacts.calls.filter(usage => profile.prohibitedFunctions.includes(usage.func))) {
+      findings.push(createFinding('prohibited-function', 'error', `Zakázaná funkce: ${call.func}`, call.file, call.line));
+    }
+
+    for (const ref of ruleFacts.externalURLs.filter(usage => !isWhitelistedURL(usage.url, profile.whitelistedCDNs))) {
+      findings.push(createFinding('external-resource', 'error', `${ref.label}: ${ref.url}`, ref.file, ref.line));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Collect findings into a result with formatted issues and warnings
+   * @param {Array<Object>} findings - Findings
+   * @returns {Object} { valid, findings, issues, warnings, blockingIssues } - blockingIssues fail every placement
+   */
+  function summarizeFindings(findings) {
+    const issues = findings.filter(finding => finding.severity === 'error').map(formatFinding);
+    const warnings = findings.filter(finding => finding.severity === 'warning').map(formatFinding);
+    const blockingIssues = findings.filter(finding => BLOCKING_RULES.includes(finding.ruleId)).map(formatFinding);
+    return { valid: issues.length === 0, findings, issues, warnings, blockingIssues };
+  }
+
+  /**
+   * Validate an inspected HTML5 banner against the rules of one network
+   * @param {Object} html5Validation - Result of validateHTML5Banner()
+   * @param {string|null} network - Network key (ADFORM, SKLIK...), null for the default profile
+   * @returns {Object} { valid, findings, issues, warnings, blockingIssues, profile } - findings include the network-independent ones
+   */
+  function validateForNetwork(html5Validation, network) {
+    const profile = getRuleProfile(network);
+    if (!html5Validation.ruleFacts) {
+      // ZIP could not be read - nothing network-specific to judge
+      return { ...summarizeFindings(html5Validation.baseFindings), profile };
+    }
+
+    const findings = [...html5Validation.baseFindings, ...applyRuleProfile(html5Validation.ruleFacts, profile)];
+    return { ...summarizeFindings(findings), profile };
+  }
+
+  // ============================================================================
+  // BANNER VALIDATION
+  // ============================================================================
+
   /**
    * Validate complete HTML5 banner ZIP file
+   * Network-dependent rules (file count, weight, click variable, anchor, banned APIs, CDNs) are judged from
+   * ruleFacts - findings/issues/warnings use the default profile, validateForNetwork() any other.
    * @param {File} file - ZIP file to validate
-   * @returns {Promise<Object>} Validation result
+   * @returns {Promise<Object>} Validation result { valid, isHTML5, dimensions, dimensionSource, contentDimensions, authoringTool, findings, issues, warnings, blockingIssues, assets, weight, baseFindings, ruleFacts }
+   *   dimensions come from the content when declared there, otherwise from the filename (dimensionSource),
+   *   findings are structured ({ ruleId, severity, message, file, line }),
+   *   issues/warnings hold the same findings formatted as text, blockingIssues the insecure (http:, //) references among them,
+   *   baseFindings are the network-independent findings,
+   *   ruleFacts: { fileCount, sizeKB, clickVariables, calls, externalURLs, anchorFindings } (null if the ZIP could not be read),
+   *   weight: uncompressed sizes from measureBannerWeight(), checked against spec budgets in validateFileForFormat(),
+   *   authoringTool: { id, name, evidence } from detectAuthoringTool() (null without a root HTML)
    */
   async function validateHTML5Banner(file) {
     const result = {
       valid: false,
       isHTML5: false,
       dimensions: null,
+      dimensionSource: null,
+      contentDimensions: [],
+      authoringTool: null,
+      findings: [],
       issues: [],
-      warnings: []
+      warnings: [],
+      blockingIssues: [],
+      assets: [],
+      weight: null,
+      baseFindings: [],
+      ruleFacts: null
     };
+    const findings = result.baseFindings;
 
     try {
       // Check if JSZip is available
       if (typeof JSZip === 'undefined') {
-        result.issues.push('JSZip knihovna není dostupná');
-        return result;
-      }
+        findings.push(createFinding('jszip-unavailable', 'error', 'JSZip knihovna není dostupná'));
+      } else {
+        // Load ZIP file
+        const zip = await loadZIP(file);
+        result.isHTML5 = true;
 
-      // Load ZIP file
-      const zip = await JSZip.loadAsync(file);
-      result.isHTML5 = true;
+        // Validate ZIP structure
+        const structureValidation = await validateZIPStructure(zip);
+        findings.push(...structureValidation.findings);
 
-      // Extract dimensions from filename
-      result.dimensions = extractDimensionFromName(file.name);
-      if (!result.dimensions) {
-        result.warnings.push('Nepodařilo se zjistit rozměry z názvu souboru (očekávaný formát: HTML5_WIDTHxHEIGHT_name.zip)');
-      }
+        const ruleFacts = {
+          fileCount: structureValidation.files.length,
+          sizeKB: Math.round(file.size / 1024),
+          clickVariables: [],
+          calls: [],
+          externalURLs: [],
+          anchorFindings: []
+        };
 
-      // Validate ZIP structure
-      const structureValidation = await validateZIPStructure(zip);
-      result.issues.push(...structureValidation.issues);
+        // Inspect the root HTML document
+        const htmlFileName = structureValidation.htmlFiles[0] || null;
+        if (htmlFileName) {
+          const htmlContent = await zip.file(htmlFileName).async('string');
 
-      // If structure is valid, validate HTML content
-      if (structureValidation.valid && structureValidation.htmlFiles.length > 0) {
-        const htmlFileName = structureValidation.htmlFiles[0];
-        const htmlContent = await zip.file(htmlFileName).async('string');
+          const htmlValidation = await validateHTMLContent(htmlContent, htmlFileName, zip, structureValidation.files);
+          findings.push(...htmlValidation.findings);
+          result.assets.push(...htmlValidation.assets);
+          result.contentDimensions = htmlValidation.contentDimensions;
+          result.authoringTool = htmlValidation.authoringTool;
+          ruleFacts.clickVariables = htmlValidation.clickVariables;
+          ruleFacts.calls.push(...htmlValidation.calls);
+          ruleFacts.externalURLs.push(...htmlValidation.externalURLs);
+          ruleFacts.anchorFindings = htmlValidation.anchorFindings;
+        }
 
-        const htmlValidation = validateHTMLContent(htmlContent);
-        result.issues.push(...htmlValidation.issues);
-      }
+        // Dimensions: content first, filename as fallback
+        const nameDimensions = extractDimensionFromName(file.name);
+        const resolved = resolveBannerDimensions(nameDimensions, result.contentDimensions);
+        result.dimensions = resolved.dimensions;
+        result.dimensionSource = resolved.source;
+        findings.push(...resolved.findings);
+        if (!result.dimensions) {
+          findings.push(createFinding('dimensions-unknown', 'warning',
+            'Nepodařilo se zjistit rozměry z obsahu ani z názvu souboru (očekávaný formát: HTML5_WIDTHxHEIGHT_name.zip)'));
+        }
 
-      // Check naming convention
-      if (!isHTML5BannerByName(file.name)) {
-        result.warnings.push('Název souboru neodpovídá doporučenému formátu HTML5_WIDTHxHEIGHT_name.zip');
-      }
+        // Scan scripts, stylesheets, data and SVG files next to it
+        const fileScan = await scanBannerFiles(zip, structureValidation.files);
+        findings.push(...fileScan.findings);
+        result.assets.push(...fileScan.assets);
+        ruleFacts.calls.push(...fileScan.calls);
+        ruleFacts.externalURLs.push(...fileScan.externalURLs);
+
+        result.weight = await measureBannerWeight(zip, structureValidation.files, htmlFileName, result.assets);
 
-      result.valid = result.issues.length === 0;
+        // Check naming convention
+        if (!isHTML5BannerByName(file.name)) {
+          findings.push(createFinding('naming-convention', 'warning',
+            'Název souboru neodpovídá doporučenému formátu HTML5_WIDTHxHEIGHT_name.zip'));
+        }
 
+        result.ruleFacts = ruleFacts;
+      }
     } catch (error) {
-      result.issues.push(`Chyba při zpracování ZIP: ${error.message}`);
+      findings.push(createFinding('zip-error', 'error', `Chyba při zpracování ZIP: ${error.message}`));
+      result.ruleFacts = null;
     }
 
+    const summary = validateForNetwork(result, null);
+    result.findings = summary.findings;
+    result.issues = summary.issues;
+    result.warnings = summary.warnings;
+    result.blockingIssues = summary.blockingIssues;
+    result.valid = summary.valid;
+
     return result;
   }
 
@@ -265,7 +1488,7 @@
     try {
       if (typeof JSZip === 'undefined') return false;
 
-      const zip = await JSZip.loadAsync(file);
+      const zip = await loadZIP(file);
       const files = Object.keys(zip.files);
 
       return files.some(name => {
@@ -277,13 +1500,185 @@
     }
   }
 
+  // ============================================================================
+  // REPAIR
+  // ============================================================================
+
+  // Safe transformations of repairBanner() with UI labels
+  const REPAIR_FIXES = {
+    'remove-junk': 'Odstranit __MACOSX, .DS_Store a další systémové soubory',
+    'flatten-root': 'Přesunout obsah vnořené složky do kořene ZIP',
+    'anchor-target': 'Doplnit target="_top" do tagů <a>',
+    'clickthru': 'Nahradit pevnou cílovou URL v <a href> proměnnou __CLICKTHRU__'
+  };
+
+  /**
+   * Find a wrapper folder holding the whole banner ("banner/index.html" instead of "index.html")
+   * @param {Array<string>} files - Files in the ZIP (without OS junk)
+   * @returns {string|null} Folder prefix with trailing slash ("banner/" or "a/b/"), null if the root is fine
+   */
+  function findWrapperFolder(files) {
+    let prefix = '';
+    let remaining = files;
+
+    while (remaining.length > 0 && !remaining.some(path => !path.includes('/') && /\.html?$/i.test(path))) {
+      const folder = remaining[0].split('/')[0];
+      if (!remaining.every(path => path.startsWith(`${folder}/`))) return null;
+      prefix += `${folder}/`;
+      remaining = remaining.map(path => path.slice(folder.length + 1));
+    }
+
+    return prefix && remaining.length > 0 ? prefix : null;
+  }
+
+  /**
+   * Apply anchor fixes to an HTML document
+   * Edits stay within their lines, so the line numbers of the original still apply.
+   * @param {string} html - HTML source
+   * @param {Array<string>} fixes - Keys of REPAIR_FIXES ('anchor-target', 'clickthru' are used here)
+   * @param {boolean} hasClickthru - The banner already uses __CLICKTHRU__ somewhere (hardcoded URLs are then left alone)
+   * @returns {Object} { html, applied: Array<string> } - applied fix keys
+   */
+  function repairHTML(html, fixes, hasClickthru) {
+    const edits = [];
+    const applied = new Set();
+
+    for (const token of HTML5Parser.tokenizeHTML(html)) {
+      if (token.type !== 'start' || token.tagName !== 'a') continue;
+
+      const target = HTML5Parser.getAttribute(token, 'target');
+      if (fixes.includes('anchor-target') && (!target || target.value.trim().toLowerCase() !== '_top')) {
+        if (!target) {
+          edits.push({ start: token.offset + 2, end: token.offset + 2, text: ' target="_top"' });
+        } else if (!target.value && html.slice(target.offset, target.offset + 6).toLowerCase() === 'target') {
+          // Valueless attribute ("<a target>") - the offset points at the name
+          edits.push({ start: target.offset + 6, end: target.offset + 6, text: '="_top"' });
+        } else {
+          edits.push({ start: target.offset, end: target.offset + target.value.length, text: '_top' });
+        }
+        applied.add('anchor-target');
+      }
+
+      const href = HTML5Parser.getAttribute(token, 'href');
+      if (fixes.includes('clickthru') && !hasClickthru && href && /^\s*https?:\/\//i.test(href.value)) {
+        edits.push({ start: href.offset, end: href.offset + href.value.length, text: '__CLICKTHRU__' });
+        applied.add('clickthru');
+      }
+    }
+
+    let result = html;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return { html: result, applied: [...applied] };
+  }
+
+  /**
+   * Compare two versions of a text file line by line
+   * Repairs never add or remove lines, so lines are compared by position.
+   * Long (minified) lines are cut to the changed part.
+   * @param {string} before - Original text
+   * @param {string} after - Repaired text
+   * @returns {Array<Object>} Changed lines { line, before, after }
+   */
+  function diffLines(before, after) {
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+    const diff = [];
+
+    for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+      const oldLine = oldLines[i] || '';
+      const newLine = newLines[i] || '';
+      if (oldLine === newLine) continue;
+
+      let common = 0;
+      while (common < oldLine.length && oldLine[common] === newLine[common]) common++;
+      const start = Math.max(0, common - 60);
+      const cut = (line) => `${start > 0 ? '…' : ''}${line.slice(start, start + 200).trim()}${line.length > start + 200 ? '…' : ''}`;
+      diff.push({ line: i + 1, before: cut(oldLine), after: cut(newLine) });
+    }
+
+    return diff;
+  }
+
+  /**
+   * Fix mechanical problems of an HTML5 banner and repackage it
+   * @param {File} file - HTML5 banner ZIP
+   * @param {Array<string>} fixes - Keys of REPAIR_FIXES to apply (default: all)
+   * @returns {Promise<Object>} { file, changes, validation }
+   *   file: repaired ZIP (same name), changes: [{ fix, action: 'removed'|'moved'|'modified', path, from?, diff? }],
+   *   validation: validateHTML5Banner() of the repaired ZIP
+   */
+  async function repairBanner(file, fixes = Object.keys(REPAIR_FIXES)) {
+    const zip = await loadZIP(file);
+    const changes = [];
+    let paths = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+
+    if (fixes.includes('remove-junk')) {
+      for (const path of paths.filter(isJunkEntry)) {
+        changes.push({ fix: 'remove-junk', action: 'removed', path });
+      }
+      paths = paths.filter(path => !isJunkEntry(path));
+    }
+
+    const targets = new Map(paths.map(path => [path, path]));
+    if (fixes.includes('flatten-root')) {
+      const prefix = findWrapperFolder(paths.filter(path => !isJunkEntry(path)));
+      for (const path of prefix ? paths.filter(name => name.startsWith(prefix)) : []) {
+        targets.set(path, path.slice(prefix.length));
+        changes.push({ fix: 'flatten-root', action: 'moved', path: path.slice(prefix.length), from: path });
+      }
+    }
+
+    // __CLICKTHRU__ already in a script or the HTML - a hardcoded href is then intentional (e.g. a legal link)
+    let hasClickthru = false;
+    for (const path of paths.filter(name => /\.(?:html?|js)$/i.test(name))) {
+      if ((await zip.file(path).async('string')).includes('__CLICKTHRU__')) hasClickthru = true;
+    }
+
+    const repaired = new JSZip();
+    for (const path of paths) {
+      const target = targets.get(path);
+      const entry = zip.files[path];
+
+      if (!target.includes('/') && /\.html?$/i.test(target)) {
+        const html = await entry.async('string');
+        const fixed = repairHTML(html, fixes, hasClickthru);
+        if (fixed.html !== html) {
+          repaired.file(target, fixed.html, { date: entry.date });
+          changes.push({ fix: fixed.applied.join(', '), action: 'modified', path: target, diff: diffLines(html, fixed.html) });
+          continue;
+        }
+      }
+
+      repaired.file(target, await entry.async('uint8array'), { date: entry.date });
+    }
+
+    const data = await repaired.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    const repairedFile = new File([data], file.name, { type: 'application/zip' });
+
+    return {
+      file: repairedFile,
+      changes: changes,
+      validation: await validateHTML5Banner(repairedFile)
+    };
+  }
+
   // Export functions
   window.HTML5Validator = {
     validateHTML5Banner,
     isHTML5BannerByName,
     isHTML5ZIP,
     extractDimensionFromName,
-    VALIDATION_RULES
+    validateForNetwork,
+    getRuleProfile,
+    repairBanner,
+    formatFinding,
+    VALIDATION_RULES,
+    HTML5_RULE_PROFILES,
+    DIMENSION_SOURCES,
+    AUTHORING_TOOLS,
+    REPAIR_FIXES
   };
 
-})(window);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,556 @@
+// Image Header Parser for Creative Validator
+// Reads dimensions, bit depth, channels, color type and alpha presence directly from file bytes.
+// Pure ArrayBuffer code (no Image/canvas/DOM) so it runs in the browser, in a Worker and in Node.
+
+// =============================================================================
+// BYTE HELPERS
+// =============================================================================
+
+/**
+ * Read an ASCII string from a DataView
+ * @param {DataView} view - Data view
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of characters
+ * @returns {string} Decoded string (shorter if the buffer ends early)
+ */
+function readASCII(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * Read a 24-bit little-endian unsigned integer
+ * @param {DataView} view - Data view
+ * @param {number} offset - Start offset
+ * @returns {number} Value
+ */
+function readUint24LE(view, offset) {
+  return view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+}
+
+// =============================================================================
+// FORMAT PARSERS
+// =============================================================================
+
+/**
+ * Parse PNG IHDR chunk
+ * @param {DataView} view - PNG file data
+ * @returns {Object|null} Header info or null if not a PNG
+ */
+function parsePNGHeader(view) {
+  if (view.byteLength < 29 || view.getUint32(0) !== 0x89504E47 || readASCII(view, 12, 4) !== 'IHDR') {
+    return null;
+  }
+
+  const colorTypeCode = view.getUint8(25);
+  // PNG color types: 0 = grayscale, 2 = RGB, 3 = palette, 4 = grayscale + alpha, 6 = RGBA
+  const colorTypes = {
+    0: { colorType: 'grayscale', channels: 1 },
+    2: { colorType: 'rgb', channels: 3 },
+    3: { colorType: 'palette', channels: 1 },
+    4: { colorType: 'grayscale-alpha', channels: 2 },
+    6: { colorType: 'rgba', channels: 4 }
+  };
+  const info = colorTypes[colorTypeCode] || { colorType: 'unknown', channels: null };
+
+  return {
+    format: 'png',
+    width: view.getUint32(16),
+    height: view.getUint32(20),
+    bitDepth: view.getUint8(24),
+    channels: info.channels,
+    colorType: info.colorType,
+    hasAlpha: colorTypeCode === 4 || colorTypeCode === 6 || hasPNGTransparencyChunk(view)
+  };
+}
+
+/**
+ * Look for a tRNS chunk (transparent palette entries or a transparent color key)
+ * The chunk must precede the image data, so the scan stops at the first IDAT
+ * @param {DataView} view - PNG file data
+ * @returns {boolean} True if the PNG declares transparency via tRNS
+ */
+function hasPNGTransparencyChunk(view) {
+  // Chunk layout: length (4), type (4), data, CRC (4) - first chunk after the 8-byte signature is IHDR
+  let offset = 8;
+  try {
+    while (offset + 8 <= view.byteLength) {
+      const length = view.getUint32(offset);
+      const type = readASCII(view, offset + 4, 4);
+      if (type === 'tRNS') return true;
+      if (type === 'IDAT' || type === 'IEND') return false;
+      offset += 12 + length;
+    }
+  } catch (error) {
+    // Truncated file - no tRNS found in the readable part
+  }
+  return false;
+}
+
+/**
+ * Parse GIF logical screen descriptor
+ * @param {DataView} view - GIF file data
+ * @returns {Object|null} Header info or null if not a GIF
+ */
+function parseGIFHeader(view) {
+  if (view.byteLength < 13 || readASCII(view, 0, 4) !== 'GIF8') {
+    return null;
+  }
+
+  const packed = view.getUint8(10);
+  // Transparency is declared per frame in graphic control extensions, not in the screen descriptor
+  const frames = inspectGIFAnimation(view.buffer);
+
+  return {
+    format: 'gif',
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+    bitDepth: ((packed >> 4) & 0x07) + 1, // Color resolution (bits per primary color)
+    channels: 1,
+    colorType: 'palette',
+    hasAlpha: frames !== null && frames.hasTransparentIndex
+  };
+}
+
+/**
+ * Parse JPEG Start Of Frame marker (and APP14 Adobe marker for the color transform)
+ * @param {DataView} view - JPEG file data
+ * @returns {Object|null} Header info or null if not a JPEG or no SOF found
+ */
+function parseJPEGHeader(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+    return null;
+  }
+
+  let offset = 2;
+  let adobeTransform = null;
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) return null; // Invalid marker
+
+    const marker = view.getUint8(offset + 1);
+
+    // Fill bytes and standalone markers have no length field
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xD9 || marker === 0xDA) break; // End of image or start of scan without SOF
+
+    const segmentLength = view.getUint16(offset + 2);
+
+    // APP14 "Adobe" - color transform byte: 0 = RGB/CMYK, 1 = YCbCr, 2 = YCCK
+    if (marker === 0xEE && segmentLength >= 14 && readASCII(view, offset + 4, 5) === 'Adobe') {
+      adobeTransform = view.getUint8(offset + 15);
+    }
+
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      if (offset + 10 > view.byteLength) return null;
+
+      const components = view.getUint8(offset + 9);
+      let colorType = 'unknown';
+      if (components === 1) colorType = 'grayscale';
+      else if (components === 3) colorType = adobeTransform === 0 ? 'rgb' : 'ycbcr';
+      else if (components === 4) colorType = adobeTransform === 2 ? 'ycck' : 'cmyk';
+
+      return {
+        format: 'jpeg',
+        width: view.getUint16(offset + 7),
+        height: view.getUint16(offset + 5),
+        bitDepth: view.getUint8(offset + 4),
+        channels: components,
+        colorType: colorType,
+        hasAlpha: false
+      };
+    }
+
+    offset += 2 + segmentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Parse WebP RIFF container (VP8 lossy, VP8L lossless, VP8X extended)
+ * @param {DataView} view - WebP file data
+ * @returns {Object|null} Header info or null if not a WebP
+ */
+function parseWebPHeader(view) {
+  if (view.byteLength < 30 || readASCII(view, 0, 4) !== 'RIFF' || readASCII(view, 8, 4) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = readASCII(view, 12, 4);
+
+  if (chunk === 'VP8 ') {
+    // Lossy bitstream: 3-byte frame tag + start code, then 14-bit dimensions
+    return {
+      format: 'webp',
+      width: view.getUint16(26, true) & 0x3FFF,
+      height: view.getUint16(28, true) & 0x3FFF,
+      bitDepth: 8,
+      channels: 3,
+      colorType: 'rgb',
+      hasAlpha: false
+    };
+  }
+
+  if (chunk === 'VP8L') {
+    // Lossless bitstream: signature byte 0x2F, then 14-bit width-1, 14-bit height-1, alpha_is_used bit
+    const bits = view.getUint32(21, true);
+    const hasAlpha = ((bits >> 28) & 0x01) === 1;
+    return {
+      format: 'webp',
+      width: (bits & 0x3FFF) + 1,
+      height: ((bits >> 14) & 0x3FFF) + 1,
+      bitDepth: 8,
+      channels: hasAlpha ? 4 : 3,
+      colorType: hasAlpha ? 'rgba' : 'rgb',
+      hasAlpha: hasAlpha
+    };
+  }
+
+  if (chunk === 'VP8X') {
+    // Extended format: flags byte (bit 4 = alpha), then 24-bit canvas width-1 and height-1
+    const hasAlpha = (view.getUint8(20) & 0x10) !== 0;
+    return {
+      format: 'webp',
+      width: readUint24LE(view, 24) + 1,
+      height: readUint24LE(view, 27) + 1,
+      bitDepth: 8,
+      channels: hasAlpha ? 4 : 3,
+      colorType: hasAlpha ? 'rgba' : 'rgb',
+      hasAlpha: hasAlpha
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Iterate ISO BMFF boxes in a range
+ * @param {DataView} view - File data
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @returns {Array<{type: string, start: number, end: number, dataStart: number}>} Boxes in the range
+ */
+function readBoxes(view, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readASCII(view, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      // 64-bit largesize - AVIF headers never need more than 32 bits
+      if (offset + 16 > end) break;
+      size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // Box extends to end of range
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset, end: offset + size, dataStart: offset + headerSize });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Parse AVIF (HEIF) item properties: ispe for dimensions, pixi for bit depth/channels,
+ * av1C for monochrome, auxC for an alpha auxiliary image
+ * @param {DataView} view - AVIF file data
+ * @returns {Object|null} Header info or null if not an AVIF
+ */
+function parseAVIFHeader(view) {
+  if (view.byteLength < 16 || readASCII(view, 4, 4) !== 'ftyp') {
+    return null;
+  }
+
+  const topBoxes = readBoxes(view, 0, view.byteLength);
+  const ftyp = topBoxes.find(box => box.type === 'ftyp');
+  const brands = [];
+  for (let offset = ftyp.dataStart; offset + 4 <= ftyp.end; offset += 4) {
+    if (offset === ftyp.dataStart + 4) continue; // Skip minor_version
+    brands.push(readASCII(view, offset, 4));
+  }
+  if (!brands.includes('avif') && !brands.includes('avis')) {
+    return null;
+  }
+
+  const meta = topBoxes.find(box => box.type === 'meta');
+  if (!meta) return null;
+
+  // meta is a FullBox: 4 bytes version/flags before child boxes
+  const metaBoxes = readBoxes(view, meta.dataStart + 4, meta.end);
+
+  // Primary item ID
+  let primaryItemId = null;
+  const pitm = metaBoxes.find(box => box.type === 'pitm');
+  if (pitm) {
+    const version = view.getUint8(pitm.dataStart);
+    primaryItemId = version === 0 ? view.getUint16(pitm.dataStart + 4) : view.getUint32(pitm.dataStart + 4);
+  }
+
+  const iprp = metaBoxes.find(box => box.type === 'iprp');
+  if (!iprp) return null;
+
+  const iprpBoxes = readBoxes(view, iprp.dataStart, iprp.end);
+  const ipco = iprpBoxes.find(box => box.type === 'ipco');
+  if (!ipco) return null;
+
+  // Property boxes are referenced by 1-based index from ipma
+  const properties = readBoxes(view, ipco.dataStart, ipco.end);
+
+  // Map primary item to its property indices
+  let primaryProperties = null;
+  const ipma = iprpBoxes.find(box => box.type === 'ipma');
+  if (ipma && primaryItemId !== null) {
+    const version = view.getUint8(ipma.dataStart);
+    const flags = view.getUint8(ipma.dataStart + 3); // Low byte of the 24-bit flags
+    let offset = ipma.dataStart + 4;
+    const entryCount = view.getUint32(offset);
+    offset += 4;
+
+    for (let i = 0; i < entryCount && offset < ipma.end; i++) {
+      const itemId = version < 1 ? view.getUint16(offset) : view.getUint32(offset);
+      offset += version < 1 ? 2 : 4;
+      const associationCount = view.getUint8(offset);
+      offset += 1;
+
+      const indices = [];
+      for (let j = 0; j < associationCount; j++) {
+        if (flags & 1) {
+          indices.push(view.getUint16(offset) & 0x7FFF);
+          offset += 2;
+        } else {
+          indices.push(view.getUint8(offset) & 0x7F);
+          offset += 1;
+        }
+      }
+
+      if (itemId === primaryItemId) {
+        primaryProperties = indices.map(index => properties[index - 1]).filter(Boolean);
+      }
+    }
+  }
+
+  const candidates = primaryProperties || properties;
+  let ispe = candidates.find(box => box.type === 'ispe');
+  if (!ispe) {
+    // Fall back to the largest ispe in the file
+    const allIspe = properties.filter(box => box.type === 'ispe');
+    ispe = allIspe.sort((a, b) => (view.getUint32(b.dataStart + 4) * view.getUint32(b.dataStart + 8)) -
+                                  (view.getUint32(a.dataStart + 4) * view.getUint32(a.dataStart + 8)))[0];
+  }
+  if (!ispe) return null;
+
+  // ispe: FullBox header, then 32-bit width and height
+  const width = view.getUint32(ispe.dataStart + 4);
+  const height = view.getUint32(ispe.dataStart + 8);
+
+  // pixi: FullBox header, channel count, then bits per channel
+  let bitDepth = 8;
+  let channels = 3;
+  const pixi = candidates.find(box => box.type === 'pixi');
+  if (pixi) {
+    channels = view.getUint8(pixi.dataStart + 4);
+    bitDepth = view.getUint8(pixi.dataStart + 5);
+  }
+
+  // av1C: byte 2 holds high_bitdepth, twelve_bit and monochrome flags
+  let monochrome = false;
+  const av1C = candidates.find(box => box.type === 'av1C');
+  if (av1C) {
+    const flagsByte = view.getUint8(av1C.dataStart + 2);
+    const highBitdepth = (flagsByte & 0x40) !== 0;
+    const twelveBit = (flagsByte & 0x20) !== 0;
+    monochrome = (flagsByte & 0x10) !== 0;
+    if (!pixi) {
+      bitDepth = highBitdepth ? (twelveBit ? 12 : 10) : 8;
+      channels = monochrome ? 1 : 3;
+    }
+  }
+
+  // Alpha is stored as an auxiliary image tagged with the alpha URN in its auxC property
+  const hasAlpha = properties.some(box => box.type === 'auxC' &&
+    readASCII(view, box.dataStart + 4, box.end - box.dataStart - 4).includes('auxiliary:alpha'));
+
+  let colorType = monochrome || channels === 1 ? 'grayscale' : 'rgb';
+  if (hasAlpha) colorType = colorType === 'grayscale' ? 'grayscale-alpha' : 'rgba';
+
+  return {
+    format: 'avif',
+    width: width,
+    height: height,
+    bitDepth: bitDepth,
+    channels: hasAlpha ? channels + 1 : channels,
+    colorType: colorType,
+    hasAlpha: hasAlpha
+  };
+}
+
+// =============================================================================
+// GIF ANIMATION
+// =============================================================================
+
+// Browsers play frames with a delay of 0 or 1 centiseconds at 100 ms
+const GIF_MIN_FRAME_DELAY_CS = 2;
+const GIF_DEFAULT_FRAME_DELAY_CS = 10;
+
+/**
+ * Skip a chain of GIF data sub-blocks (length-prefixed, terminated by a zero-length block)
+ * @param {DataView} view - GIF file data
+ * @param {number} offset - Offset of the first sub-block length byte
+ * @returns {number} Offset after the block terminator
+ */
+function skipGIFSubBlocks(view, offset) {
+  while (offset < view.byteLength) {
+    const blockSize = view.getUint8(offset);
+    offset += 1;
+    if (blockSize === 0) break;
+    offset += blockSize;
+  }
+  return offset;
+}
+
+/**
+ * Inspect GIF frames, graphic control extension delays and the NETSCAPE loop extension
+ * @param {ArrayBuffer} arrayBuffer - GIF file data
+ * @returns {{isAnimated: boolean, frameCount: number, durationMs: number, loopCount: number|null, hasTransparentIndex: boolean}|null}
+ *   Animation info (loopCount: null = no loop extension, plays once; 0 = loops forever; N = repeats N times;
+ *   hasTransparentIndex: any frame declares a transparent color index), or null if the data is not a GIF
+ */
+function inspectGIFAnimation(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 13 || readASCII(view, 0, 4) !== 'GIF8') {
+    return null;
+  }
+
+  let frameCount = 0;
+  let durationCs = 0;
+  let loopCount = null;
+  let pendingDelay = null;
+  let hasTransparentIndex = false;
+
+  // Skip header (6), logical screen descriptor (7) and global color table
+  const packed = view.getUint8(10);
+  let offset = 13;
+  if (packed & 0x80) {
+    offset += 3 * (1 << ((packed & 0x07) + 1));
+  }
+
+  try {
+    while (offset < view.byteLength) {
+      const blockType = view.getUint8(offset);
+
+      if (blockType === 0x3B) break; // Trailer
+
+      if (blockType === 0x21) {
+        // Extension block
+        const label = view.getUint8(offset + 1);
+
+        if (label === 0xF9) {
+          // Graphic control extension: delay time in centiseconds (little-endian)
+          pendingDelay = view.getUint16(offset + 4, true);
+          // Packed field bit 0: transparent color flag
+          if (view.getUint8(offset + 3) & 0x01) hasTransparentIndex = true;
+        } else if (label === 0xFF && view.getUint8(offset + 2) === 11) {
+          // Application extension: NETSCAPE2.0 / ANIMEXTS1.0 carry the loop count
+          const identifier = readASCII(view, offset + 3, 11);
+          const subBlockOffset = offset + 14;
+          if ((identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0') &&
+              view.getUint8(subBlockOffset) >= 3 && view.getUint8(subBlockOffset + 1) === 0x01) {
+            loopCount = view.getUint16(subBlockOffset + 2, true);
+          }
+        }
+
+        offset = skipGIFSubBlocks(view, offset + 2);
+      } else if (blockType === 0x2C) {
+        // Image descriptor: 10 bytes, optional local color table, LZW code size, image data sub-blocks
+        const imagePacked = view.getUint8(offset + 9);
+        offset += 10;
+        if (imagePacked & 0x80) {
+          offset += 3 * (1 << ((imagePacked & 0x07) + 1));
+        }
+        offset = skipGIFSubBlocks(view, offset + 1);
+
+        frameCount++;
+        const delay = pendingDelay === null || pendingDelay < GIF_MIN_FRAME_DELAY_CS
+          ? GIF_DEFAULT_FRAME_DELAY_CS
+          : pendingDelay;
+        durationCs += delay;
+        pendingDelay = null;
+      } else {
+        break; // Unknown block - stop parsing, keep what was counted
+      }
+    }
+  } catch (error) {
+    // Truncated file - report the frames read so far
+  }
+
+  return {
+    isAnimated: frameCount > 1,
+    frameCount: frameCount,
+    durationMs: frameCount > 1 ? durationCs * 10 : 0,
+    loopCount: loopCount,
+    hasTransparentIndex: hasTransparentIndex
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Parse image header from raw bytes in a single pass
+ * Detects the format from the signature, not from the file extension
+ * @param {ArrayBuffer} arrayBuffer - Image file data
+ * @returns {{format: string, width: number, height: number, bitDepth: number, channels: number, colorType: string, hasAlpha: boolean}|null}
+ *   Header info, or null if the format is not recognized or the header is truncated
+ */
+function parseImageHeader(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const parsers = [parsePNGHeader, parseJPEGHeader, parseGIFHeader, parseWebPHeader, parseAVIFHeader];
+
+  for (const parser of parsers) {
+    try {
+      const header = parser(view);
+      if (header) {
+        return header.width > 0 && header.height > 0 ? header : null;
+      }
+    } catch (error) {
+      // RangeError from a truncated file - treat as unreadable
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseImageHeader,
+    inspectGIFAnimation,
+    readASCII,
+    parsePNGHeader,
+    parseGIFHeader,
+    parseJPEGHeader,
+    parseWebPHeader,
+    parseAVIFHeader
+  };
+}
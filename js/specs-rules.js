@@ -1,5 +1,17 @@
 // Technical specifications for Seznam SelfPromo creative formats
 // Updated with complete network specifications for image creatives
+//
+// Spec fields:
+//   name, dimensions, maxSize (KB), formats, device, tier, notes - basic placement data
+//   multiFile, fileCount, fileRoles, pairedWith               - multi-file formats
+//   allowAnimation      {boolean} false = animated GIFs are rejected (default: allowed)
+//   maxAnimationSeconds {number}  max total playback time including loops (warning)
+//   maxLoops            {number}  max NETSCAPE loop repeats, an endless loop always exceeds it (warning)
+//   allowTransparency   {boolean} false = images with non-opaque pixels are rejected (default: allowed)
+//   safeArea            {Object}  key message zone in creative pixels: { x, y, width, height, margin? }
+//                                 margin = protective distance from every creative edge
+//   html5Budget         {Object}  uncompressed HTML5 limits in KB: { maxUncompressedKB, maxInitialKB, maxAssetKB }
+//                                 missing values are derived from maxSize (see getHTML5Budget)
 
 const CREATIVE_SPECS = {
 
@@ -79,6 +91,7 @@ const CREATIVE_SPECS = {
       formats: ['jpg', 'png', 'gif', 'html5'],
       device: 'Desktop',
       tier: ['HIGH'],
+      safeArea: { x: 597, y: 0, width: 1366, height: 720 }, // Centered upper area
       notes: 'Main message: 1366×720px upper area. Podporuje HTML5. Video panel option: MP4, 720p, max 100MB, 60s.'
     },
     'branding-sklik': {
@@ -88,6 +101,8 @@ const CREATIVE_SPECS = {
       formats: ['jpg', 'png', 'gif', 'webp', 'avif'],
       device: 'Desktop',
       tier: ['HIGH'],
+      allowTransparency: false,
+      safeArea: { x: 317, y: 100, width: 1366, height: 720, margin: 100 }, // Centered, at the top right below the protective margin
       notes: 'Safe area: 1366×720px (top placement). Protective margin: 100px from edges. Image cannot be transparent.'
     },
     'branding-scratcher': {
@@ -103,7 +118,8 @@ const CREATIVE_SPECS = {
       name: 'Branding Uncover',
       dimensions: ['2560x1440'],
       maxSize: 600, // Updated to 600 KB
-      formats: ['jpg', 'png', 'gif'], // Non-animated GIF only
+      formats: ['jpg', 'png', 'gif'],
+      allowAnimation: false, // Non-animated GIF only
       device: 'Desktop',
       tier: ['HIGH'],
       multiFile: true,
@@ -118,6 +134,7 @@ const CREATIVE_SPECS = {
       formats: ['jpg', 'png', 'gif', 'html5'],
       device: 'Desktop',
       tier: ['HIGH'],
+      safeArea: { x: 597, y: 0, width: 1366, height: 720 }, // Same as base branding
       notes: 'Same technical specs as base branding. Video panel placement - video content can be embedded in HTML5 creatives.'
     },
     'inarticle': {
@@ -142,7 +159,8 @@ const CREATIVE_SPECS = {
       name: 'Spincube',
       dimensions: ['480x480'],
       maxSize: 250, // 250 KB per image
-      formats: ['jpg', 'png', 'gif'], // Non-animated GIF only
+      formats: ['jpg', 'png', 'gif'],
+      allowAnimation: false, // Non-animated GIF only
       device: 'Mobil',
       tier: ['HIGH'],
       multiFile: true,
@@ -169,13 +187,15 @@ const CREATIVE_SPECS = {
       formats: ['jpg', 'png', 'gif', 'webp', 'avif'],
       device: 'Mobil',
       tier: ['HIGH'],
+      safeArea: { x: 10, y: 180, width: 700, height: 920 }, // Centered
       notes: 'Safe zone: 700×920px for main message. Podporuje HTML5.'
     },
     'spinner': {
       name: 'Spinner (Skyscraper)',
       dimensions: ['300x600'],
       maxSize: 250, // KB
-      formats: ['jpg', 'png', 'gif'], // Non-animated GIF only
+      formats: ['jpg', 'png', 'gif'],
+      allowAnimation: false, // Non-animated GIF only
       device: 'Desktop',
       tier: ['HIGH'],
       multiFile: true,
@@ -329,6 +349,7 @@ const CREATIVE_SPECS = {
       maxSize: 250,
       formats: ['jpg', 'png', 'gif', 'webp', 'avif'],
       device: 'Mobil',
+      safeArea: { x: 10, y: 180, width: 700, height: 920 }, // Centered
       notes: 'Safe zone: 700×920px for main message. Podporuje HTML5.'
     }
   },
@@ -357,6 +378,7 @@ const CREATIVE_SPECS = {
       multiFile: true,
       fileRoles: ['banner'],
       pairedWith: 'exclusive-desktop-trigger',
+      html5Budget: { maxUncompressedKB: 1024 },
       notes: 'Hlavní banner pro Exclusive. Image max 300KB, HTML5 max 1MB. Video variant: background 1100×500, poster 1280×720, video MP4 720p max 100MB.'
     },
     'exclusive-mobile-wallpaper': {
@@ -365,6 +387,7 @@ const CREATIVE_SPECS = {
       maxSize: 200,
       formats: ['jpg', 'png', 'gif', 'html5'],
       device: 'Mobil',
+      html5Budget: { maxUncompressedKB: 300 },
       notes: 'Mobilní wallpaper pro Exclusive. Image max 200KB, HTML5 max 300KB.'
     },
     'exclusive-mobile-square': {
@@ -373,6 +396,7 @@ const CREATIVE_SPECS = {
       maxSize: 200,
       formats: ['jpg', 'png', 'gif', 'html5'],
       device: 'Mobil',
+      html5Budget: { maxUncompressedKB: 300 },
       notes: 'Mobilní square premium pro Exclusive. Image max 200KB, HTML5 max 300KB.'
     },
     'exclusive-app-wallpaper': {
@@ -397,11 +421,14 @@ const CREATIVE_SPECS = {
   // GOOGLE ADS SPECIFICATIONS (No tier - validation only)
   // =============================================================================
   GOOGLE_ADS: {
+    // Animated image ads must stop within 30 seconds including loops, at most 3 plays (2 repeats)
     'square-small': {
       name: 'Small Square',
       dimensions: ['200x200'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'square': {
@@ -409,6 +436,8 @@ const CREATIVE_SPECS = {
       dimensions: ['250x250'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'banner': {
@@ -416,6 +445,8 @@ const CREATIVE_SPECS = {
       dimensions: ['468x60'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'leaderboard': {
@@ -423,6 +454,8 @@ const CREATIVE_SPECS = {
       dimensions: ['728x90'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'inline-rectangle': {
@@ -430,6 +463,8 @@ const CREATIVE_SPECS = {
       dimensions: ['300x250'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'large-rectangle': {
@@ -437,6 +472,8 @@ const CREATIVE_SPECS = {
       dimensions: ['336x280'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop/Mobil'
     },
     'skyscraper': {
@@ -444,6 +481,8 @@ const CREATIVE_SPECS = {
       dimensions: ['120x600'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop'
     },
     'wide-skyscraper': {
@@ -451,6 +490,8 @@ const CREATIVE_SPECS = {
       dimensions: ['160x600'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop'
     },
     'half-page': {
@@ -458,6 +499,8 @@ const CREATIVE_SPECS = {
       dimensions: ['300x600'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop'
     },
     'large-leaderboard': {
@@ -465,6 +508,8 @@ const CREATIVE_SPECS = {
       dimensions: ['970x250'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Desktop'
     },
     'mobile-banner': {
@@ -472,6 +517,8 @@ const CREATIVE_SPECS = {
       dimensions: ['320x50'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Mobil'
     },
     'mobile-leaderboard': {
@@ -479,6 +526,8 @@ const CREATIVE_SPECS = {
       dimensions: ['320x100'],
       maxSize: 150,
       formats: ['jpg', 'png', 'gif'],
+      maxAnimationSeconds: 30,
+      maxLoops: 2,
       device: 'Mobil'
     },
     // UAC (Universal App Campaigns) formats
@@ -509,6 +558,210 @@ const CREATIVE_SPECS = {
   }
 };
 
+// =============================================================================
+// UTM TAGGING RULES (Per network, tier and format)
+// =============================================================================
+//
+// Every value is a template or a map of templates picked by format, then tier, then `default`.
+// Template syntax: {variable}, {variable|filter|filter}; {_variable} expands to "_value" or nothing.
+// Variables hold raw values (see UTM_TEMPLATE_VARIABLES), filters are listed in UTM_TEMPLATE_FILTERS.
+// `zbozi` overrides the network rules for Zboží.cz campaigns (UTM_ZBOZI_RULES fills the rest).
+// Networks without an entry (GOOGLE_ADS) get the landing URL untagged.
+// The UI can replace the whole table with a JSON profile { name, networks, zbozi, vocabulary? } (see validateUTMProfile),
+// vocabulary lists the allowed utm_source/utm_medium values for lintBannerURL().
+
+const UTM_RULES = {
+  SOS: {
+    source: 'seznam_sos',
+    medium: {
+      'in-article': 'inarticle_selfpromo',
+      exclusive: 'exclusive_selfpromo',
+      kombi: 'kombi_selfpromo',
+      video: 'video_selfpromo_{tier|lower}',
+      audio: 'audio_selfpromo_{tier|lower}',
+      default: 'banner_selfpromo_{tier|lower}'
+    },
+    campaign: '{serviceCampaign}',
+    content: {
+      'in-article': '{campaign|normalize}-{content|normalize}_{format}_{service}{_placement|normalize}{_variant}',
+      default: '{campaign|normalize}-{content|normalize}_{format|normalize}{_placement|normalize}{_variant}'
+    },
+    term: '{format|normalize}'
+  },
+  ONEGAR: {
+    source: 'seznam_onegar',
+    medium: {
+      kombi: 'kombi_selfpromo',
+      video: 'video_selfpromo_{tier|lower}',
+      default: 'banner_selfpromo_{tier|lower}'
+    },
+    campaign: '{serviceCampaign}',
+    content: '{campaign|normalize}-{content|normalize}_{format|normalize}{_placement|normalize}{_variant}',
+    term: '{format|normalize}'
+  },
+  ADFORM: {
+    // Adform placements are bought through Onegar
+    source: 'seznam_onegar',
+    medium: 'banner_selfpromo_{tier|lower}_adform',
+    campaign: '{serviceCampaign}',
+    content: '{campaign|normalize}-{content|normalize}_{format|normalize}{_placement|normalize}{_variant}',
+    term: 'banner',
+    zbozi: {
+      medium: { kombi: 'kombi_selfpromo', video: 'video_selfpromo_{tier|lower}', default: 'banner_selfpromo_{tier|lower}' }
+    }
+  },
+  HP_EXCLUSIVE: {
+    source: 'homepage_exclusive',
+    medium: 'banner_selfpromo_{tier|lower}_adform',
+    campaign: '{serviceCampaign}',
+    content: '{campaign|normalize}-{content|normalize}_{format|normalize}{_placement|normalize}{_variant}',
+    term: 'banner',
+    zbozi: {
+      medium: { kombi: 'kombi_selfpromo', video: 'video_selfpromo_{tier|lower}', default: 'banner_selfpromo_{tier|lower}' }
+    }
+  },
+  SKLIK: {
+    source: 'seznam',
+    medium: 'cpc',
+    campaign: 'display_{campaign|normalize}_{formatType}',
+    content: '{format|normalize}{_placement|normalize}{_variant}',
+    term: ''
+  }
+};
+
+// Zboží.cz campaigns share campaign/content/term across networks (only the medium stays per network)
+const UTM_ZBOZI_RULES = {
+  campaign: { HIGH: '{campaign|normalize}_{service}_{position}{_dateRange}', default: 'zbozi_low_{year}' },
+  content: '{campaign|normalize}-{content|normalize}-{dimensions}',
+  term: { HIGH: '{service}_{position}', default: '{position}' }
+};
+
+// Built-in profile, used whenever no custom profile is loaded
+const DEFAULT_UTM_PROFILE = {
+  name: 'Seznam (výchozí)',
+  networks: UTM_RULES,
+  zbozi: UTM_ZBOZI_RULES
+};
+
+// Template variables with their meaning (shown in the profile editor)
+const UTM_TEMPLATE_VARIABLES = {
+  campaign: 'název kampaně',
+  content: 'content',
+  format: 'formát banneru (banner, kombi, in-article...)',
+  formatType: 'banner nebo kombi',
+  service: 'služba (hp, sport...)',
+  serviceCampaign: 'služba_kampaň, bez služby pokud ji kampaň obsahuje',
+  position: 'pozice podle rozměru (getDimensionPosition)',
+  dimensions: 'rozměr (300x250)',
+  tier: 'HIGH nebo LOW',
+  variant: 'varianta z názvu souboru (v1, var2)',
+  placement: 'umístění',
+  year: 'rok z názvu kampaně',
+  dateRange: 'rozsah kampaně (1.1.-31.1.2026)'
+};
+
+// Template filters, applied left to right
+const UTM_TEMPLATE_FILTERS = {
+  normalize: value => normalizeUTMText(value),
+  lower: value => value.toLowerCase(),
+  hyphenate: value => value.trim().replace(/[\s_]+/g, '-')
+};
+
+// Rule keys of a network entry in a profile
+const UTM_RULE_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+
+// Known-good URLs the rules must keep producing (see checkUTMGoldenTable, `node cli/seznam-validate.js --check-utm`)
+const UTM_GOLDEN_CAMPAIGN = {
+  landingURL: 'https://www.seznam.cz/',
+  campaignName: 'Jarní Kampaň 2026',
+  contentName: 'Brand Video',
+  service: 'hp'
+};
+
+const UTM_GOLDEN_URLS = [
+  {
+    name: 'SOS HIGH branding',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SOS', tier: 'HIGH', dimensions: '2560x1440', format: 'branding' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_sos&utm_medium=banner_selfpromo_high&utm_campaign=hp_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_branding&utm_term=branding'
+  },
+  {
+    name: 'SOS HIGH in-article, variant',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SOS', tier: 'HIGH', dimensions: '480x300', format: 'in-article', service: 'sport', fileName: 'inarticle_480x300_v2.jpg' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_sos&utm_medium=inarticle_selfpromo&utm_campaign=sport_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_in-article_sport_v2&utm_term=in-article'
+  },
+  {
+    name: 'ONEGAR HIGH banner',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ONEGAR', tier: 'HIGH', dimensions: '300x250', format: 'banner' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=banner_selfpromo_high&utm_campaign=hp_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_banner&utm_term=banner'
+  },
+  {
+    name: 'ONEGAR LOW kombi, placement',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ONEGAR', tier: 'LOW', dimensions: '300x300', format: 'kombi', placement: 'Zprávy' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=kombi_selfpromo&utm_campaign=hp_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_kombi_zpravy&utm_term=kombi'
+  },
+  {
+    name: 'ADFORM LOW banner, anchor',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ADFORM', tier: 'LOW', dimensions: '300x600', format: 'banner', anchor: 'Jarní Akce' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=banner_selfpromo_low_adform&utm_campaign=hp_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_banner&utm_term=banner#jarni-akce'
+  },
+  {
+    name: 'HP_EXCLUSIVE banner',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'HP_EXCLUSIVE', tier: null, dimensions: '970x310', format: 'banner' },
+    url: 'https://www.seznam.cz/?utm_source=homepage_exclusive&utm_medium=banner_selfpromo_low_adform&utm_campaign=hp_jarni-kampan-2026&utm_content=jarni-kampan-2026-brand-video_banner&utm_term=banner'
+  },
+  {
+    name: 'SKLIK banner',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SKLIK', tier: null, dimensions: '300x250', format: 'banner' },
+    url: 'https://www.seznam.cz/?utm_source=seznam&utm_medium=cpc&utm_campaign=display_jarni-kampan-2026_banner&utm_content=banner'
+  },
+  {
+    name: 'SKLIK kombi, variant',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SKLIK', tier: null, dimensions: '300x300', format: 'kombi', fileName: 'kombi-var1.png' },
+    url: 'https://www.seznam.cz/?utm_source=seznam&utm_medium=cpc&utm_campaign=display_jarni-kampan-2026_kombi&utm_content=kombi_var1'
+  },
+  {
+    name: 'Service already in campaign',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ONEGAR', tier: 'HIGH', dimensions: '300x250', format: 'banner', service: 'sport', campaignName: 'Sport Léto 2026' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=banner_selfpromo_high&utm_campaign=sport-leto-2026&utm_content=sport-leto-2026-brand-video_banner&utm_term=banner'
+  },
+  {
+    name: 'Zboží SOS HIGH, date range',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SOS', tier: 'HIGH', dimensions: '2560x1440', format: 'branding', isZbozi: true, dateRange: '1.1.-31.1.2026' },
+    url: 'https://www.seznam.cz/?utm_source=seznam_sos&utm_medium=banner_selfpromo_high&utm_campaign=jarni-kampan-2026_hp_banner_1.1.-31.1.2026&utm_content=jarni-kampan-2026-brand-video-2560x1440&utm_term=hp_banner'
+  },
+  {
+    name: 'Zboží ONEGAR LOW',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ONEGAR', tier: 'LOW', dimensions: '300x600', format: 'banner', isZbozi: true },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=banner_selfpromo_low&utm_campaign=zbozi_low_2026&utm_content=jarni-kampan-2026-brand-video-300x600&utm_term=skyscraper'
+  },
+  {
+    name: 'Zboží ADFORM HIGH kombi',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'ADFORM', tier: 'HIGH', dimensions: '300x300', format: 'kombi', isZbozi: true },
+    url: 'https://www.seznam.cz/?utm_source=seznam_onegar&utm_medium=kombi_selfpromo&utm_campaign=jarni-kampan-2026_hp_mobilni-square&utm_content=jarni-kampan-2026-brand-video-300x300&utm_term=hp_mobilni-square'
+  },
+  {
+    name: 'Zboží SKLIK',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'SKLIK', tier: null, dimensions: '300x250', format: 'banner', isZbozi: true },
+    url: 'https://www.seznam.cz/?utm_source=seznam&utm_medium=cpc&utm_campaign=zbozi_low_2026&utm_content=jarni-kampan-2026-brand-video-300x250&utm_term=sponzor-sluzby'
+  },
+  {
+    name: 'GOOGLE_ADS untagged',
+    context: { ...UTM_GOLDEN_CAMPAIGN, network: 'GOOGLE_ADS', tier: null, dimensions: '300x250', format: 'banner' },
+    url: 'https://www.seznam.cz/'
+  },
+  {
+    name: 'Landing query and fragment, conflict overridden',
+    context: { ...UTM_GOLDEN_CAMPAIGN, landingURL: 'https://www.seznam.cz/akce?ref=hp&utm_source=newsletter#detail', network: 'SKLIK', tier: null, dimensions: '300x250', format: 'banner' },
+    url: 'https://www.seznam.cz/akce?ref=hp&utm_source=seznam&utm_medium=cpc&utm_campaign=display_jarni-kampan-2026_banner&utm_content=banner#detail'
+  },
+  {
+    name: 'IDN host and encoded path, conflict kept',
+    context: { ...UTM_GOLDEN_CAMPAIGN, landingURL: 'https://příklad.cz/jarn%C3%AD%20akce/?utm_source=newsletter', network: 'SKLIK', tier: null, dimensions: '300x250', format: 'banner', anchor: 'Formulář' },
+    conflictMode: 'keep',
+    url: 'https://příklad.cz/jarn%C3%AD%20akce/?utm_source=newsletter&utm_medium=cpc&utm_campaign=display_jarni-kampan-2026_banner&utm_content=banner#formular'
+  }
+];
+
 // =============================================================================
 // FORMAT-TO-SYSTEM MAPPING (Strict rules for which formats are allowed on each system)
 // =============================================================================
@@ -551,6 +804,10 @@ const FORMAT_SYSTEM_MAPPING = {
 
   // HTML5 banners - ADFORM, ONEGAR, SKLIK (NOT SOS for most)
   'html5-banner': ['ADFORM', 'ONEGAR', 'SKLIK', 'HP_EXCLUSIVE'],
+  // Folder-assigned HTML5 banners are built for one system (click variable, CDNs)
+  'html5-adform': ['ADFORM'],
+  'html5-sklik': ['SKLIK'],
+  'html5-onegar': ['ONEGAR'],
 
   // HP Exclusive formats (HP_EXCLUSIVE system only)
   'exclusive-desktop-trigger': ['HP_EXCLUSIVE'],
@@ -855,11 +1112,12 @@ function findMatchingFormats(fileData, network = null, tier = null) {
     const networkSpecs = CREATIVE_SPECS[netName];
 
     for (const [specKey, spec] of Object.entries(networkSpecs)) {
-      // If effective format exists and is not 'html5-banner', match only that specific specKey
+      // If effective format exists and is not an HTML5 one, match only that specific specKey
       // This prevents rich media formats (spincube, spinner, branding-scratcher) from matching wrong specs
+      // HTML5 formats ('html5-banner', 'html5-adform'...) only narrow the systems, any HTML5 spec can match
       // For UAC: if effectiveFormat is 'uac', match any specKey starting with 'uac-'
       if (effectiveFormat &&
-          effectiveFormat !== 'html5-banner' &&
+          !effectiveFormat.startsWith('html5') &&
           specKey !== effectiveFormat &&
           !specKey.includes(effectiveFormat) &&
           !(effectiveFormat === 'uac' && specKey.startsWith('uac-'))) {
@@ -909,13 +1167,180 @@ function findMatchingFormats(fileData, network = null, tier = null) {
   return matches;
 }
 
+/**
+ * Get total GIF playback time including loops
+ * NETSCAPE loop count N means N repeats after the first play, 0 means an endless loop
+ * @param {Object} fileData - Analyzed file data with durationMs and loopCount
+ * @returns {number} Playback time in seconds (Infinity for endless loops)
+ */
+function getAnimationPlaybackSeconds(fileData) {
+  const cycleSeconds = (fileData.durationMs || 0) / 1000;
+  if (fileData.loopCount === 0) return Infinity;
+  const plays = fileData.loopCount ? fileData.loopCount + 1 : 1;
+  return cycleSeconds * plays;
+}
+
+/**
+ * Describe structured spec constraints (animation, loops, transparency) for display
+ * Used by the format overview (formaty.html) and network tooltips
+ * @param {Object} spec - Format specification
+ * @returns {Array<string>} Czech labels, e.g. ['Bez animace', 'Bez průhlednosti']
+ */
+function describeSpecConstraints(spec) {
+  const labels = [];
+  if (spec.allowAnimation === false) labels.push('Bez animace');
+  if (spec.maxAnimationSeconds) labels.push(`Animace max ${spec.maxAnimationSeconds} s`);
+  if (spec.maxLoops !== undefined) labels.push(`Max ${spec.maxLoops}× opakování`);
+  if (spec.allowTransparency === false) labels.push('Bez průhlednosti');
+  if (spec.html5Budget && spec.html5Budget.maxUncompressedKB) labels.push(`HTML5 rozbaleno max ${spec.html5Budget.maxUncompressedKB} KB`);
+  return labels;
+}
+
+/**
+ * Get the safe-area zones of a spec as rectangles in creative pixels
+ * @param {Object} spec - Format specification with safeArea
+ * @returns {Array<{type: string, label: string, x: number, y: number, width: number, height: number}>}
+ *   'safe' zone for the key message, plus a 'margin' zone (area inside the protective margin) if defined
+ */
+function getSafeAreaZones(spec) {
+  if (!spec || !spec.safeArea) return [];
+
+  const { x, y, width, height, margin } = spec.safeArea;
+  const zones = [{
+    type: 'safe',
+    label: `Bezpečná zóna ${width}×${height}`,
+    x, y, width, height
+  }];
+
+  const creative = parseDimension(spec.dimensions[0]);
+  if (margin && creative) {
+    zones.push({
+      type: 'margin',
+      label: `Ochranný okraj ${margin} px`,
+      x: margin,
+      y: margin,
+      width: creative.width - 2 * margin,
+      height: creative.height - 2 * margin
+    });
+  }
+
+  return zones;
+}
+
+/**
+ * Find specs with a safe area that match a file (by dimensions and detected format)
+ * Specs shared by several networks (e.g. interscroller in SOS and SKLIK) are returned once
+ * @param {Object} fileData - Analyzed file data
+ * @returns {Array<{specKey: string, name: string, spec: Object, networks: Array<string>, zones: Array<Object>}>}
+ */
+function findSafeAreaSpecs(fileData) {
+  const bySpecKey = {};
+
+  for (const match of findMatchingFormats(fileData)) {
+    if (!match.spec.safeArea) continue;
+
+    if (!bySpecKey[match.specKey]) {
+      bySpecKey[match.specKey] = {
+        specKey: match.specKey,
+        name: match.spec.name,
+        spec: match.spec,
+        networks: [],
+        zones: getSafeAreaZones(match.spec)
+      };
+    }
+    bySpecKey[match.specKey].networks.push(match.network);
+  }
+
+  return Object.values(bySpecKey);
+}
+
+// Safe-area detail heuristic thresholds (edge map from computeEdgeDensityMap)
+const SAFE_AREA_DETAIL = {
+  minCellDensity: 0.12, // Share of edge pixels that makes a cell "detailed"
+  medianFactor: 2.5, // ...and it must stand out from the image's typical texture
+  minHotCells: 2 // Detailed cells outside the zone needed for a warning
+};
+
+/**
+ * Find significant detail (text, logos) outside the safe-area zones of a spec
+ * A cell belongs to the outside region when its center lies outside the zone.
+ * @param {{width: number, height: number, columns: number, rows: number, cells: Array<number>}} edgeMap - Edge-density grid
+ * @param {Object} spec - Format specification with safeArea
+ * @returns {Array<{zone: Object, hotCells: Array<number>, share: number, message: string}>}
+ *   One entry per violated zone (hotCells = cell indices, share = % of the outside area that is detailed)
+ */
+function findSafeAreaViolations(edgeMap, spec) {
+  if (!edgeMap || !spec || !spec.safeArea) return [];
+
+  const sorted = edgeMap.cells.slice().sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)] || 0;
+  const hotThreshold = Math.max(SAFE_AREA_DETAIL.minCellDensity, median * SAFE_AREA_DETAIL.medianFactor);
+
+  const cellWidth = edgeMap.width / edgeMap.columns;
+  const cellHeight = edgeMap.height / edgeMap.rows;
+  const violations = [];
+
+  for (const zone of getSafeAreaZones(spec)) {
+    const hotCells = [];
+    let outsideCells = 0;
+
+    edgeMap.cells.forEach((density, index) => {
+      const centerX = (index % edgeMap.columns + 0.5) * cellWidth;
+      const centerY = (Math.floor(index / edgeMap.columns) + 0.5) * cellHeight;
+      const inside = centerX >= zone.x && centerX <= zone.x + zone.width &&
+                     centerY >= zone.y && centerY <= zone.y + zone.height;
+      if (inside) return;
+
+      outsideCells++;
+      if (density >= hotThreshold) hotCells.push(index);
+    });
+
+    if (hotCells.length < SAFE_AREA_DETAIL.minHotCells) continue;
+
+    const share = Math.round(hotCells.length / outsideCells * 1000) / 10;
+    violations.push({
+      zone: zone,
+      hotCells: hotCells,
+      share: share,
+      message: zone.type === 'margin'
+        ? `Výrazné detaily v ochranném okraji ${spec.safeArea.margin} px (${share.toLocaleString('cs-CZ')} % okraje)`
+        : `Výrazné detaily mimo bezpečnou zónu ${zone.width}×${zone.height} (${share.toLocaleString('cs-CZ')} % plochy mimo zónu)`
+    });
+  }
+
+  return violations;
+}
+
+// HTML5 budgets derived from the zipped maxSize when a spec doesn't set html5Budget
+// Text assets compress well, so the unpacked total may be a few times the ZIP; the initial load
+// (everything before 'load') has to fit maxSize itself and one file may take at most half of it
+const HTML5_BUDGET_FACTORS = {
+  maxUncompressedKB: 3,
+  maxInitialKB: 1,
+  maxAssetKB: 0.5
+};
+
+/**
+ * Get uncompressed weight budgets of an HTML5-capable spec
+ * @param {Object} spec - Format specification
+ * @returns {{maxUncompressedKB: number, maxInitialKB: number, maxAssetKB: number}} Limits in KB
+ */
+function getHTML5Budget(spec) {
+  const budget = {};
+  for (const [key, factor] of Object.entries(HTML5_BUDGET_FACTORS)) {
+    budget[key] = (spec.html5Budget && spec.html5Budget[key]) || Math.round(spec.maxSize * factor);
+  }
+  return budget;
+}
+
 /**
  * Validate a file against a specific format spec
  * @param {Object} fileData - Analyzed file data
  * @param {Object} formatSpec - Format specification
+ * @param {string} network - Network of the spec (optional) - selects the HTML5 rule profile
  * @returns {{valid: boolean, issues: Array<string>, warnings: Array<string>}}
  */
-function validateFileForFormat(fileData, formatSpec) {
+function validateFileForFormat(fileData, formatSpec, network = null) {
   const issues = [];
   const warnings = [];
 
@@ -935,14 +1360,36 @@ function validateFileForFormat(fileData, formatSpec) {
       warnings.push(`Velikost souboru ${fileSize}KB překračuje limit ${sizeLimit}KB (${Math.round(sizeLimit * toleranceMultiplier)}KB s 5% tolerancí)`);
     }
 
+    // Uncompressed weight budgets - also warnings (weight is missing when the ZIP couldn't be read)
+    const weight = fileData.html5Validation.weight;
+    if (weight) {
+      const budget = getHTML5Budget(formatSpec);
+      if (weight.totalKB > budget.maxUncompressedKB) {
+        warnings.push(`Rozbalená velikost ${weight.totalKB}KB překračuje limit ${budget.maxUncompressedKB}KB`);
+      }
+      if (weight.initialKB > budget.maxInitialKB) {
+        warnings.push(`Úvodní načtení (initial load) ${weight.initialKB}KB překračuje limit ${budget.maxInitialKB}KB - zbytek načítejte až po události load`);
+      }
+      if (weight.largest && weight.largest.sizeKB > budget.maxAssetKB) {
+        warnings.push(`Největší soubor ${weight.largest.path} (${weight.largest.sizeKB}KB) překračuje limit ${budget.maxAssetKB}KB na soubor`);
+      }
+    }
+
     // Add HTML5 validation issues as WARNINGS (not blocking errors)
     // These are policy violations but don't prevent export for internal systems
-    if (!fileData.html5Validation.valid) {
-      warnings.push(...fileData.html5Validation.issues);
+    // Each network judges the banner by its own rule profile (click variable, CDNs, banned APIs)
+    // Insecure http: and protocol-relative references are the exception - they break on HTTPS pages
+    const html5Result = typeof HTML5Validator !== 'undefined' && fileData.html5Validation.ruleFacts
+      ? HTML5Validator.validateForNetwork(fileData.html5Validation, network)
+      : fileData.html5Validation;
+    const blockingIssues = html5Result.blockingIssues || [];
+    issues.push(...blockingIssues);
+    if (!html5Result.valid) {
+      warnings.push(...html5Result.issues.filter(issue => !blockingIssues.includes(issue)));
     }
 
     return {
-      valid: issues.length === 0, // Only dimension mismatch blocks validation for HTML5
+      valid: issues.length === 0, // Only dimension mismatch and insecure references block validation for HTML5
       issues: issues,
       warnings: warnings
     };
@@ -974,6 +1421,55 @@ function validateFileForFormat(fileData, formatSpec) {
     issues.push('Detekován barevný prostor CMYK (vyžadováno RGB)');
   }
 
+  // Check color profile - non-sRGB images render with shifted colors on Seznam pages
+  // (CORRECTLY_RENDERED_PROFILES from color-profile.js)
+  const profile = fileData.colorProfile;
+  if (profile && !CORRECTLY_RENDERED_PROFILES.includes(profile)) {
+    if (profile === COLOR_PROFILES.UNKNOWN) {
+      const name = fileData.colorProfileDescription ? ` „${fileData.colorProfileDescription}“` : '';
+      warnings.push(`Nerozpoznaný barevný profil${name} (doporučeno sRGB, barvy se mohou zobrazit posunuté)`);
+    } else {
+      warnings.push(`Barevný profil ${profile} (doporučeno sRGB, barvy se na stránkách Seznamu zobrazí posunuté)`);
+    }
+  }
+
+  // Check GIF animation against spec limits
+  if (fileData.isAnimated) {
+    const durationSeconds = fileData.durationMs / 1000;
+
+    if (formatSpec.allowAnimation === false) {
+      issues.push(`Animovaný GIF není povolen (snímků: ${fileData.frameCount}, ${durationSeconds.toFixed(1)} s)`);
+    } else {
+      const playbackSeconds = getAnimationPlaybackSeconds(fileData);
+      if (formatSpec.maxAnimationSeconds && playbackSeconds > formatSpec.maxAnimationSeconds) {
+        warnings.push(playbackSeconds === Infinity
+          ? `Animace se opakuje donekonečna (limit ${formatSpec.maxAnimationSeconds} s)`
+          : `Délka animace ${playbackSeconds.toFixed(1)} s překračuje limit ${formatSpec.maxAnimationSeconds} s`);
+      }
+
+      // loopCount 0 = infinite loop, null = no loop extension (plays once)
+      if (formatSpec.maxLoops !== undefined && fileData.loopCount !== null &&
+          (fileData.loopCount === 0 || fileData.loopCount > formatSpec.maxLoops)) {
+        const loopLabel = fileData.loopCount === 0 ? 'nekonečno' : fileData.loopCount;
+        warnings.push(`Počet opakování animace (${loopLabel}) překračuje limit ${formatSpec.maxLoops}`);
+      }
+    }
+  }
+
+  // Check transparency - a declared but unused alpha channel is fine, transparent pixels are not
+  if (formatSpec.allowTransparency === false && fileData.hasAlpha) {
+    if (fileData.hasTransparentPixels === true) {
+      issues.push('Obrázek obsahuje průhledné pixely, formát nepovoluje průhlednost');
+    } else if (fileData.hasTransparentPixels === null || fileData.hasTransparentPixels === undefined) {
+      warnings.push('Obrázek obsahuje alfa kanál, průhlednost pixelů nelze ověřit (formát nepovoluje průhlednost)');
+    }
+  }
+
+  // Check detail outside the safe area (edge map is computed in the browser only)
+  if (formatSpec.safeArea && fileData.edgeMap) {
+    findSafeAreaViolations(fileData.edgeMap, formatSpec).forEach(violation => warnings.push(violation.message));
+  }
+
   return {
     valid: issues.length === 0,
     issues: issues,
@@ -981,6 +1477,75 @@ function validateFileForFormat(fileData, formatSpec) {
   };
 }
 
+/**
+ * Validate a file against every network/tier combination it can be placed in
+ * Shared by validateCompatibility() in the browser and the headless CLI
+ * @param {Object} fileData - Analyzed file data
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.networks - Networks to check (default: all networks)
+ * @param {string} options.tier - Restrict tiered networks to a single tier (optional)
+ * @param {Set<string>} options.requiredDimensions - Only validate these dimensions (campaign table filter, optional)
+ * @returns {{compatible: Array, incompatible: Array}} Compatible and incompatible placements
+ */
+function validateFileAcrossNetworks(fileData, options = {}) {
+  const {
+    networks = getAllNetworks(),
+    tier: tierFilter = null,
+    requiredDimensions = new Set()
+  } = options;
+
+  const compatible = [];
+  const incompatible = [];
+
+  for (const network of networks) {
+    // Check if format is allowed for this system (use assignedFormat from folder as fallback)
+    const effectiveFormat = fileData.assignedFormat || fileData.detectedFormat;
+    if (effectiveFormat && !isFormatAllowedForSystem(effectiveFormat, network)) {
+      continue; // Skip validation for disallowed systems
+    }
+
+    let tiers = getNetworkTiers(network);
+    if (tierFilter && networkHasTiers(network)) {
+      tiers = tiers.filter(tier => tier === tierFilter);
+    }
+
+    for (const tier of tiers) {
+      const matches = findMatchingFormats(fileData, network, tier);
+
+      for (const match of matches) {
+        // If campaign table exists, only validate dimensions that are in the requirements
+        if (requiredDimensions.size > 0 && fileData.dimensions && !requiredDimensions.has(fileData.dimensions)) {
+          continue; // Skip this file - dimensions not in campaign table
+        }
+
+        const validation = validateFileForFormat(fileData, match.spec, network);
+
+        // Size violations are warnings, not blocking errors - only check validation.valid
+        if (validation.valid) {
+          compatible.push({
+            network: network,
+            tier: tier,
+            format: match.specKey,
+            formatDisplay: match.formatDisplay,
+            spec: match.spec,
+            warnings: validation.warnings || [] // Includes size warnings if present
+          });
+        } else {
+          incompatible.push({
+            network: network,
+            tier: tier,
+            format: match.specKey,
+            formatDisplay: match.formatDisplay,
+            reason: validation.issues.join(', ')
+          });
+        }
+      }
+    }
+  }
+
+  return { compatible, incompatible };
+}
+
 /**
  * Group files by folder path for multi-file format detection
  * @param {Array} files - Array of file objects
@@ -1223,6 +1788,36 @@ function detectMultiFileFormats(allFiles) {
   return multiFileGroups;
 }
 
+/**
+ * Build membership map for multi-file format groups
+ * Identifies which files are "active" (needed) vs "excess" (extra)
+ * @param {Array} multiFileGroups - Detected multi-file format groups
+ * @returns {Map} fileName -> { isInGroup, isActive, isExcess, format, groupIndex }
+ */
+function buildMultiFileGroupMembership(multiFileGroups) {
+  const membership = new Map();
+
+  multiFileGroups.forEach((group, groupIndex) => {
+    const requiredCount = group.requiredCount || group.fileCount;
+
+    group.files.forEach((file, fileIndex) => {
+      const fileName = file.name;
+      const isActive = fileIndex < requiredCount; // First N files are active
+
+      membership.set(fileName, {
+        isInGroup: true,
+        isActive: isActive,
+        isExcess: !isActive,
+        format: group.format,
+        groupIndex: groupIndex,
+        complete: group.complete
+      });
+    });
+  });
+
+  return membership;
+}
+
 // =============================================================================
 // CENTRALIZED HELPER FUNCTIONS
 // =============================================================================
@@ -1265,6 +1860,24 @@ function networkHasTiers(network) {
   return false;
 }
 
+/**
+ * Get the tiers a network is validated against
+ * @param {string} network - Network name
+ * @returns {Array<string|null>} Tier list ([null] for networks without tiers)
+ */
+function getNetworkTiers(network) {
+  if (!networkHasTiers(network)) {
+    // Networks without tiers (HP_EXCLUSIVE, SKLIK, GOOGLE_ADS)
+    return [null];
+  }
+  if (network === 'SOS') {
+    // SOS only has HIGH tier
+    return ['HIGH'];
+  }
+  // Other tiered networks have HIGH and LOW
+  return ['HIGH', 'LOW'];
+}
+
 /**
  * Get formats that are exclusive to SOS (only deployed to SOS)
  * Derives from FORMAT_SYSTEM_MAPPING
@@ -1349,6 +1962,646 @@ function detectSystemFromPath(folderPath) {
   return null;
 }
 
+// =============================================================================
+// UTM TAGGING (Evaluator for UTM_RULES)
+// =============================================================================
+
+/**
+ * Remove diacritics from Czech text
+ * @param {string} text - Text with diacritics
+ * @returns {string} Text without diacritics
+ */
+function removeDiacritics(text) {
+  const diacriticsMap = {
+    'á': 'a', 'Á': 'A', 'č': 'c', 'Č': 'C', 'ď': 'd', 'Ď': 'D',
+    'é': 'e', 'É': 'E', 'ě': 'e', 'Ě': 'E', 'í': 'i', 'Í': 'I',
+    'ň': 'n', 'Ň': 'N', 'ó': 'o', 'Ó': 'O', 'ř': 'r', 'Ř': 'R',
+    'š': 's', 'Š': 'S', 'ť': 't', 'Ť': 'T', 'ú': 'u', 'Ú': 'U',
+    'ů': 'u', 'Ů': 'U', 'ý': 'y', 'Ý': 'Y', 'ž': 'z', 'Ž': 'Z'
+  };
+
+  return text.replace(/[áÁčČďĎéÉěĚíÍňŇóÓřŘšŠťŤúÚůŮýÝžŽ]/g, match => diacriticsMap[match] || match);
+}
+
+/**
+ * Normalize text for UTM parameters according to Seznam rules:
+ * - Remove diacritics
+ * - Convert to lowercase
+ * - Replace spaces with hyphens
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeUTMText(text) {
+  if (!text) return '';
+
+  return removeDiacritics(text)
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-');  // Replace spaces with hyphens
+}
+
+/**
+ * Build utm_campaign parameter according to Seznam tagging rules:
+ * Rule 2: service_campaign-name (e.g., televizeseznam_revir-jaro-2023)
+ * Rule 4: If service name already in campaign, omit service prefix (e.g., seznammenu-podzim-2023)
+ *
+ * @param {string} service - Service name (already normalized, e.g., "televizeseznam", "hp")
+ * @param {string} campaignName - Campaign name (may contain diacritics, spaces)
+ * @returns {string} utm_campaign value
+ */
+function buildUTMCampaign(service, campaignName) {
+  const normalizedCampaign = normalizeUTMText(campaignName);
+  const normalizedService = service ? service.toLowerCase() : '';
+
+  // Rule 4: Check if service name is already in the campaign name
+  if (normalizedService && normalizedCampaign.includes(normalizedService)) {
+    // Service already in campaign name, return just the campaign
+    return normalizedCampaign;
+  }
+
+  // Rule 2: service_campaign-name format
+  if (normalizedService && normalizedCampaign) {
+    return `${normalizedService}_${normalizedCampaign}`;
+  }
+
+  // Fallback: just return normalized campaign
+  return normalizedCampaign;
+}
+
+/**
+ * Format date range for zbozi HIGH tier campaigns
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {string} Formatted date range (e.g., "1.1.-31.1.2026")
+ */
+function formatDateRange(startDate, endDate) {
+  if (!startDate || !endDate) return '';
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  const startDay = start.getDate();
+  const startMonth = start.getMonth() + 1;
+  const endDay = end.getDate();
+  const endMonth = end.getMonth() + 1;
+  const year = end.getFullYear();
+
+  return `${startDay}.${startMonth}.-${endDay}.${endMonth}.${year}`;
+}
+
+/**
+ * Extract year from campaign name or use current year
+ * @param {string} campaignName - Campaign name (may contain year)
+ * @returns {string} Year (4 digits)
+ */
+function extractYear(campaignName) {
+  // Try to find 4-digit year in campaign name
+  const yearMatch = campaignName.match(/20\d{2}/);
+  if (yearMatch) {
+    return yearMatch[0];
+  }
+
+  // Fallback to current year
+  return new Date().getFullYear().toString();
+}
+
+/**
+ * Detect creative variant from filename (v1, v2, V1, V2, var1, var2, variant1, variant2)
+ * @param {string} fileName - File name
+ * @returns {string} Variant ("v1", "var2") or empty string
+ */
+function detectFileVariant(fileName) {
+  const variantMatch = (fileName || '').match(/[_-](v\d+|var\d+|variant\d+)/i);
+  return variantMatch ? variantMatch[1].toLowerCase().replace('variant', 'var') : '';
+}
+
+/**
+ * Pick the template of a rule value for a format and tier
+ * @param {string|Object} rule - Template or { [format|tier]: template, default }
+ * @param {string} format - Format (banner, kombi, in-article...)
+ * @param {string|null} tier - Tier (HIGH, LOW) or null
+ * @returns {string} Template ('' when nothing matches)
+ */
+function resolveUTMRule(rule, format, tier) {
+  if (rule === undefined || rule === null) return '';
+  if (typeof rule === 'string') return rule;
+  if (format in rule) return rule[format];
+  if (tier && tier in rule) return rule[tier];
+  return rule.default || '';
+}
+
+// {_name|filter|filter} - optional "_" prefix, variable name, filter chain
+const UTM_PLACEHOLDER_PATTERN = /\{(_?)([a-zA-Z]+)((?:\|[a-zA-Z]+)*)\}/g;
+
+/**
+ * Fill {placeholders} of a UTM template
+ * Filters run on the raw value; {_name} then expands to "_value" when the result is set and to nothing otherwise.
+ * @param {string} template - Template
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Filled template
+ */
+function fillUTMTemplate(template, variables) {
+  return template.replace(UTM_PLACEHOLDER_PATTERN, (placeholder, prefix, name, filterChain) => {
+    let value = String(variables[name] || '');
+    for (const filter of filterChain.split('|').filter(Boolean)) {
+      value = UTM_TEMPLATE_FILTERS[filter] ? UTM_TEMPLATE_FILTERS[filter](value) : value;
+    }
+    return prefix && value ? `_${value}` : (prefix ? '' : value);
+  });
+}
+
+/**
+ * Check one template for unknown variables, unknown filters and stray braces
+ * @param {string} template - Template
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateUTMTemplate(template) {
+  const problems = [];
+
+  for (const match of template.matchAll(UTM_PLACEHOLDER_PATTERN)) {
+    if (!(match[2] in UTM_TEMPLATE_VARIABLES)) {
+      problems.push(`neznámá proměnná {${match[2]}}`);
+    }
+    for (const filter of match[3].split('|').filter(Boolean)) {
+      if (!UTM_TEMPLATE_FILTERS[filter]) problems.push(`neznámý filtr |${filter}`);
+    }
+  }
+
+  if (/[{}]/.test(template.replace(UTM_PLACEHOLDER_PATTERN, ''))) {
+    problems.push('neuzavřená nebo chybná závorka { }');
+  }
+
+  return problems;
+}
+
+/**
+ * Check the rules of one network (or the Zboží section) of a profile
+ * @param {Object} rules - { source, medium, campaign, content, term, zbozi? }
+ * @param {string} path - Location for messages ("SOS", "SOS.zbozi", "zbozi")
+ * @param {boolean} allowZbozi - Whether a nested `zbozi` section is allowed
+ * @returns {Array<string>} Errors
+ */
+function validateUTMRuleSet(rules, path, allowZbozi) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${path}: očekáván objekt s pravidly`];
+  }
+
+  const errors = [];
+  for (const [key, rule] of Object.entries(rules)) {
+    if (key === 'zbozi' && allowZbozi) {
+      errors.push(...validateUTMRuleSet(rule, `${path}.zbozi`, false));
+      continue;
+    }
+    if (!UTM_RULE_KEYS.includes(key)) {
+      errors.push(`${path}.${key}: neznámý parametr (povoleno: ${UTM_RULE_KEYS.join(', ')})`);
+      continue;
+    }
+
+    // A template or a map of templates by format/tier
+    const templates = typeof rule === 'string' ? { '': rule } : rule;
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      errors.push(`${path}.${key}: očekávána šablona nebo objekt šablon`);
+      continue;
+    }
+    for (const [variant, template] of Object.entries(templates)) {
+      const location = variant ? `${path}.${key}.${variant}` : `${path}.${key}`;
+      if (typeof template !== 'string') {
+        errors.push(`${location}: šablona musí být text`);
+        continue;
+      }
+      errors.push(...validateUTMTemplate(template).map(problem => `${location}: ${problem}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a UTM profile { name, networks: { NETWORK: rules }, zbozi, vocabulary? }
+ * @param {Object} profile - Parsed profile
+ * @returns {Array<string>} Errors (empty when the profile can be used)
+ */
+function validateUTMProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['Profil musí být objekt { name, networks, zbozi }'];
+  }
+  if (!profile.networks || typeof profile.networks !== 'object' || Array.isArray(profile.networks)) {
+    return ['Profil neobsahuje pravidla systémů (networks)'];
+  }
+
+  const errors = [];
+  const networks = getAllNetworks();
+  for (const [network, rules] of Object.entries(profile.networks)) {
+    if (!networks.includes(network)) {
+      errors.push(`${network}: neznámý systém (dostupné: ${networks.join(', ')})`);
+      continue;
+    }
+    errors.push(...validateUTMRuleSet(rules, network, true));
+  }
+  if (profile.zbozi !== undefined) {
+    errors.push(...validateUTMRuleSet(profile.zbozi, 'zbozi', false));
+  }
+  if (profile.vocabulary !== undefined) {
+    for (const [param, values] of Object.entries(profile.vocabulary || {})) {
+      if (!['utm_source', 'utm_medium'].includes(param)) {
+        errors.push(`vocabulary.${param}: slovník lze zadat jen pro utm_source a utm_medium`);
+      } else if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        errors.push(`vocabulary.${param}: očekáván seznam textových hodnot`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a UTM profile from JSON text and validate it
+ * @param {string} text - JSON text
+ * @returns {{profile: Object|null, errors: Array<string>}} profile is null when it can't be used
+ */
+function parseUTMProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    return { profile: null, errors: [`Neplatný JSON: ${error.message}`] };
+  }
+
+  const errors = validateUTMProfile(profile);
+  return { profile: errors.length === 0 ? profile : null, errors };
+}
+
+/**
+ * Get the UTM rules of a banner: network rules with the Zboží overrides merged in for Zboží campaigns
+ * @param {Object} context - Banner context (network, isZbozi)
+ * @param {Object} profile - UTM profile (optional, DEFAULT_UTM_PROFILE when not set)
+ * @returns {Object|null} Rules { source, medium, campaign, content, term }, null if the network has no rules
+ */
+function getEffectiveUTMRules(context, profile = null) {
+  const activeProfile = profile || DEFAULT_UTM_PROFILE;
+  const rules = activeProfile.networks[context.network];
+  if (!rules) return null;
+  return context.isZbozi ? { ...rules, ...activeProfile.zbozi, ...rules.zbozi } : rules;
+}
+
+/**
+ * Get UTM parameters the rules deliberately leave out (empty template for the banner's format and tier)
+ * @param {Object} context - Banner context (see buildUTMParameters)
+ * @param {Object} profile - UTM profile (optional, DEFAULT_UTM_PROFILE when not set)
+ * @returns {Array<string>} Parameter names ('utm_term'...)
+ */
+function getUnusedUTMParameters(context, profile = null) {
+  const rules = getEffectiveUTMRules(context, profile);
+  if (!rules) return [];
+
+  return UTM_RULE_KEYS
+    .filter(key => !resolveUTMRule(rules[key], context.format || 'banner', context.tier || null))
+    .map(key => `utm_${key}`);
+}
+
+/**
+ * Evaluate the UTM rules of a profile for one banner
+ * @param {Object} context - Banner context
+ * @param {string} context.network - Network (SOS, ONEGAR, ADFORM, SKLIK, HP_EXCLUSIVE)
+ * @param {string|null} context.tier - Tier (HIGH, LOW) or null
+ * @param {string} context.campaignName - Campaign name
+ * @param {string} context.contentName - Content name
+ * @param {string} context.dimensions - Banner dimensions ("300x250")
+ * @param {string} context.format - Format selected for the banner (banner, kombi, in-article...)
+ * @param {string} context.service - Service (hp, sport...)
+ * @param {boolean} context.isZbozi - Zboží.cz campaign rules
+ * @param {string} context.dateRange - Campaign date range from formatDateRange() (Zboží HIGH tier)
+ * @param {string} context.fileName - File name, its variant suffix goes to utm_content
+ * @param {string} context.placement - Placement (optional)
+ * @param {Object} profile - UTM profile (optional, DEFAULT_UTM_PROFILE when not set)
+ * @returns {Object|null} { utm_source, utm_medium, utm_campaign, utm_content, utm_term }, null if the network has no rules
+ */
+function buildUTMParameters(context, profile = null) {
+  const effective = getEffectiveUTMRules(context, profile);
+  if (!effective) return null;
+
+  const {
+    tier = null,
+    campaignName = '',
+    contentName = '',
+    dimensions = '',
+    format = 'banner',
+    service = '',
+    dateRange = '',
+    fileName = '',
+    placement = ''
+  } = context;
+
+  const variables = {
+    campaign: campaignName,
+    content: contentName,
+    format: format,
+    formatType: format.includes('kombi') || format.includes('nativni') ? 'kombi' : 'banner',
+    service: service,
+    serviceCampaign: buildUTMCampaign(service, campaignName),
+    position: getDimensionPosition(dimensions),
+    dimensions: dimensions,
+    tier: tier === 'HIGH' ? 'HIGH' : 'LOW',
+    variant: detectFileVariant(fileName),
+    placement: placement,
+    year: extractYear(campaignName),
+    dateRange: dateRange
+  };
+
+  const evaluate = (key) => fillUTMTemplate(resolveUTMRule(effective[key], format, tier), variables);
+
+  return {
+    utm_source: evaluate('source'),
+    utm_medium: evaluate('medium'),
+    utm_campaign: evaluate('campaign'),
+    utm_content: evaluate('content'),
+    utm_term: evaluate('term')
+  };
+}
+
+// Landing URL override levels from the most general, a value set on a later level wins
+// (the dimension level also carries targetUrl from the campaign table, role = '<format>:<role>' of a multi-file format)
+const LANDING_URL_LEVELS = ['global', 'network', 'dimension', 'file', 'role'];
+
+/**
+ * Pick the landing URL of one banner from the override levels
+ * @param {Object} sources - { global, networks: { NETWORK: url }, dimensions: { '300x600': url }, files: { fileName: url }, roles: { 'spinner:side1': url } }
+ * @param {Object} target - { network, dimensions, fileName, role } (role null for single-file formats)
+ * @returns {Object} { url, level } - level from LANDING_URL_LEVELS, null when no URL is set anywhere
+ */
+function resolveLandingURL(sources, target) {
+  const candidates = {
+    global: sources.global,
+    network: (sources.networks || {})[target.network],
+    dimension: (sources.dimensions || {})[target.dimensions],
+    file: (sources.files || {})[target.fileName],
+    role: target.role ? (sources.roles || {})[target.role] : ''
+  };
+
+  let resolved = { url: '', level: null };
+  for (const level of LANDING_URL_LEVELS) {
+    const url = (candidates[level] || '').trim();
+    if (url) resolved = { url, level };
+  }
+  return resolved;
+}
+
+// What to do when the landing URL already carries a UTM parameter the rules generate
+// override = rule value wins, keep = landing value wins, fail = landing value stays and lint reports an error
+const UTM_CONFLICT_MODES = ['override', 'keep', 'fail'];
+
+/**
+ * Check a landing URL with the URL API
+ * @param {string} source - Trimmed landing URL
+ * @returns {string|null} Error message or null for an absolute http(s) URL
+ */
+function validateLandingURL(source) {
+  if (!source) return 'Landing URL není vyplněna';
+
+  let parsed;
+  try {
+    parsed = new URL(source);
+  } catch (error) {
+    return `Neplatná landing URL „${source}“ (chybí https://?)`;
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return `Landing URL musí začínat https:// nebo http:// („${source}“)`;
+  }
+  return null;
+}
+
+/**
+ * Add parameters to a landing URL, keeping its own query parameters and fragment
+ * The landing URL is validated with the URL API, but the output is not re-serialized from it:
+ * URL.href would turn an IDN host into punycode and re-encode the path, so the existing parts
+ * are copied verbatim. Parameter names and values are decoded and encoded with URLSearchParams.
+ * An invalid landing URL is still merged (the result is shown to the user) and reported in landingError.
+ * @param {string} landingURL - Landing URL as entered
+ * @param {Object} params - Parameters to add { name: value }, empty values are left out
+ * @param {string} fragment - Fragment replacing the landing one (optional)
+ * @param {string} conflictMode - One of UTM_CONFLICT_MODES
+ * @returns {Object} { url, conflicts: [{ param, existing, generated, resolution }], landingError: string|null }
+ */
+function mergeLandingURL(landingURL, params, fragment = '', conflictMode = 'override') {
+  const source = (landingURL || '').trim();
+  const landingError = validateLandingURL(source);
+  const hashIndex = source.indexOf('#');
+  const withoutFragment = hashIndex === -1 ? source : source.slice(0, hashIndex);
+  const landingFragment = hashIndex === -1 ? '' : source.slice(hashIndex + 1);
+  const queryIndex = withoutFragment.indexOf('?');
+  const base = queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex);
+
+  // Existing pairs stay in their original (possibly percent-encoded) form
+  const existingPairs = (queryIndex === -1 ? '' : withoutFragment.slice(queryIndex + 1))
+    .split('&')
+    .filter(Boolean)
+    .map(raw => {
+      const [name = '', value = ''] = new URLSearchParams(raw).entries().next().value || [];
+      return { raw, name, value };
+    });
+
+  const generated = new URLSearchParams();
+  const conflicts = [];
+  const replaced = new Set();
+
+  for (const [name, value] of Object.entries(params)) {
+    if (!value) continue;
+
+    const existing = existingPairs.filter(pair => pair.name === name);
+    const differing = existing.find(pair => pair.value !== value);
+
+    if (differing) {
+      conflicts.push({ param: name, existing: differing.value, generated: value, resolution: conflictMode });
+      if (conflictMode !== 'override') continue;
+    }
+
+    replaced.add(name);
+    generated.append(name, value);
+  }
+
+  const query = existingPairs
+    .filter(pair => !replaced.has(pair.name))
+    .map(pair => pair.raw)
+    .concat(generated.toString() ? [generated.toString()] : [])
+    .join('&');
+
+  // A URL has one fragment and it belongs after the query; the banner anchor replaces the landing one
+  const finalFragment = fragment || landingFragment;
+
+  return {
+    url: base + (query ? '?' + query : '') + (finalFragment ? '#' + finalFragment : ''),
+    conflicts,
+    landingError
+  };
+}
+
+/**
+ * Build the final banner URL and report UTM parameters that clash with the landing URL
+ * Every URL the app shows or exports goes through here.
+ * @param {Object} context - Banner context (see buildUTMParameters) plus landingURL and anchor
+ * @param {Object} profile - UTM profile (optional, DEFAULT_UTM_PROFILE when not set)
+ * @param {string} conflictMode - One of UTM_CONFLICT_MODES (default 'override')
+ * @returns {Object} { url, conflicts, landingError } - see mergeLandingURL(), plus unusedParameters (see getUnusedUTMParameters)
+ */
+function buildBannerURLDetails(context, profile = null, conflictMode = 'override') {
+  const utm = buildUTMParameters(context, profile) || {};
+
+  // Anchor is normalized according to the same rules as UTM values
+  const anchor = context.anchor ? normalizeUTMText(context.anchor) : '';
+
+  return {
+    ...mergeLandingURL(context.landingURL, utm, anchor, conflictMode),
+    unusedParameters: getUnusedUTMParameters(context, profile)
+  };
+}
+
+/**
+ * Build the final banner URL: landing URL with UTM parameters and an optional anchor
+ * @param {Object} context - Banner context (see buildUTMParameters) plus landingURL and anchor
+ * @param {Object} profile - UTM profile (optional, DEFAULT_UTM_PROFILE when not set)
+ * @param {string} conflictMode - One of UTM_CONFLICT_MODES (default 'override')
+ * @returns {string} Generated URL
+ */
+function buildBannerURL(context, profile = null, conflictMode = 'override') {
+  return buildBannerURLDetails(context, profile, conflictMode).url;
+}
+
+/**
+ * Compare the rule output with UTM_GOLDEN_URLS
+ * @returns {Array<{name: string, expected: string, actual: string}>} Mismatches (empty when all pass)
+ */
+function checkUTMGoldenTable() {
+  return UTM_GOLDEN_URLS
+    .map(entry => ({ name: entry.name, expected: entry.url, actual: buildBannerURL(entry.context, null, entry.conflictMode) }))
+    .filter(result => result.actual !== result.expected);
+}
+
+// =============================================================================
+// UTM LINTER (Taxonomy checks of generated URLs)
+// =============================================================================
+
+// Allowed utm_source / utm_medium values - a UTM profile may bring its own `vocabulary` with the same keys
+const UTM_VOCABULARY = {
+  utm_source: ['seznam_sos', 'seznam_onegar', 'homepage_exclusive', 'seznam'],
+  utm_medium: [
+    'banner_selfpromo_high', 'banner_selfpromo_low',
+    'banner_selfpromo_high_adform', 'banner_selfpromo_low_adform',
+    'video_selfpromo_high', 'video_selfpromo_low',
+    'audio_selfpromo_high', 'audio_selfpromo_low',
+    'kombi_selfpromo', 'inarticle_selfpromo', 'exclusive_selfpromo',
+    'cpc'
+  ]
+};
+
+const UTM_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'];
+const UTM_REQUIRED_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign']; // Missing content/term is only a warning
+const UTM_MAX_VALUE_LENGTH = 100;
+
+/**
+ * Check one UTM value against the tagging taxonomy
+ * @param {string} param - Parameter name (utm_source...)
+ * @param {string} value - Decoded value
+ * @param {Object} vocabulary - Allowed values per parameter
+ * @returns {Array<Object>} Findings { param, severity: 'error'|'warning', message }
+ */
+function lintUTMValue(param, value, vocabulary) {
+  const findings = [];
+  const add = (severity, message) => findings.push({ param, severity, message: `${param}: ${message}` });
+
+  // Letters outside ASCII - removeDiacritics() only knows Czech
+  const foreignLetters = [...new Set(value.match(/[^\x00-\x7F]/g) || [])];
+  if (foreignLetters.length > 0) {
+    add('error', `obsahuje diakritiku nebo jiné než ASCII znaky ${foreignLetters.map(ch => `„${ch}“`).join(', ')}`);
+  }
+
+  const invalidChars = [...new Set(value.match(/[\x00-\x7F]/g) || [])].filter(ch => !/[a-z0-9_.-]/.test(ch));
+  if (invalidChars.length > 0) {
+    const labels = invalidChars.map(ch => ch === ' ' ? 'mezera' : `„${ch}“`);
+    add('error', `nepovolené znaky ${labels.join(', ')} (povoleno a-z, 0-9, _ - .)`);
+  }
+
+  const doubled = value.match(/__|--|\.\.|_-|-_/);
+  if (doubled) {
+    add('warning', `zdvojený oddělovač „${doubled[0]}“ (chybí hodnota?)`);
+  } else if (/^[_.-]|[_.-]$/.test(value)) {
+    add('warning', 'začíná nebo končí oddělovačem');
+  }
+
+  if (value.length > UTM_MAX_VALUE_LENGTH) {
+    add('warning', `délka ${value.length} znaků překračuje ${UTM_MAX_VALUE_LENGTH}`);
+  }
+
+  if (vocabulary[param] && !vocabulary[param].includes(value)) {
+    add('error', `„${value}“ není v povoleném slovníku (${vocabulary[param].join(', ')})`);
+  }
+
+  return findings;
+}
+
+/**
+ * Lint the UTM parameters of a generated banner URL
+ * Missing or empty parameters, characters outside [a-z0-9_-.], diacritics, doubled separators,
+ * overlong values and utm_source/utm_medium outside the vocabulary.
+ * @param {string} url - Generated URL
+ * @param {Object} profile - UTM profile the URL was built with (optional, its `vocabulary` replaces UTM_VOCABULARY)
+ * @param {Object} details - Result of buildBannerURLDetails() for the URL (optional): landing URL clashes
+ *                           and landing URL errors; a value kept from the landing URL is not held to the vocabulary
+ *                           and an optional parameter the rules leave out on purpose is not reported as missing
+ * @returns {Array<Object>} Findings { param, severity: 'error'|'warning', message }
+ */
+function lintBannerURL(url, profile = null, details = {}) {
+  const { conflicts = [], landingError = null, unusedParameters = [] } = details;
+  if (landingError) {
+    return [{ param: null, severity: 'error', message: landingError }];
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return [{ param: null, severity: 'error', message: `Neplatná URL: ${url || '(prázdná)'}` }];
+  }
+
+  const vocabulary = { ...UTM_VOCABULARY, ...(profile && profile.vocabulary) };
+  const findings = [];
+
+  for (const conflict of conflicts) {
+    const { param, existing, generated, resolution } = conflict;
+    if (resolution === 'override') {
+      findings.push({ param, severity: 'warning', message: `${param}: hodnota „${existing}“ z landing URL přepsána na „${generated}“` });
+    } else if (resolution === 'keep') {
+      findings.push({ param, severity: 'warning', message: `${param}: ponechána hodnota „${existing}“ z landing URL (pravidlo: „${generated}“)` });
+    } else {
+      findings.push({ param, severity: 'error', message: `${param}: landing URL už obsahuje „${existing}“ (pravidlo: „${generated}“)` });
+    }
+  }
+
+  for (const param of UTM_PARAMETERS) {
+    if (parsed.searchParams.getAll(param).length > 1) {
+      findings.push({ param, severity: 'error', message: `${param}: uveden v URL vícekrát` });
+    }
+
+    const value = parsed.searchParams.get(param);
+    if (!value) {
+      const required = UTM_REQUIRED_PARAMETERS.includes(param);
+      if (value === null && !required && unusedParameters.includes(param)) continue;
+
+      findings.push({
+        param,
+        severity: required ? 'error' : 'warning',
+        message: `${param}: ${value === null ? 'chybí' : 'je prázdný'}`
+      });
+      continue;
+    }
+
+    const keptFromLanding = conflicts.some(conflict => conflict.param === param && conflict.resolution === 'keep');
+    findings.push(...lintUTMValue(param, value, keptFromLanding ? {} : vocabulary));
+  }
+
+  return findings;
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -1356,14 +2609,42 @@ if (typeof module !== 'undefined' && module.exports) {
     FORMAT_SYSTEM_MAPPING,
     FORMAT_NAME_MAP,
     DIMENSION_TO_POSITION_MAP,
+    UTM_RULES,
+    UTM_ZBOZI_RULES,
+    UTM_GOLDEN_URLS,
+    DEFAULT_UTM_PROFILE,
+    UTM_TEMPLATE_VARIABLES,
+    UTM_TEMPLATE_FILTERS,
+    UTM_VOCABULARY,
     FORMAT_PATTERNS,
     BRANDING_SUBTYPES,
     PATH_FORMAT_PATTERNS,
     getAllNetworks,
     getNetworkVariants,
     networkHasTiers,
+    getNetworkTiers,
     getSOSExclusiveFormats,
     getDimensionPosition,
+    removeDiacritics,
+    normalizeUTMText,
+    buildUTMCampaign,
+    formatDateRange,
+    extractYear,
+    detectFileVariant,
+    fillUTMTemplate,
+    validateUTMTemplate,
+    validateUTMProfile,
+    parseUTMProfile,
+    buildUTMParameters,
+    buildBannerURL,
+    checkUTMGoldenTable,
+    LANDING_URL_LEVELS,
+    resolveLandingURL,
+    UTM_CONFLICT_MODES,
+    mergeLandingURL,
+    buildBannerURLDetails,
+    getUnusedUTMParameters,
+    lintBannerURL,
     detectFormatFromPath,
     detectSystemFromPath,
     getAllowedSystemsForFormat,
@@ -1371,8 +2652,16 @@ if (typeof module !== 'undefined' && module.exports) {
     getFormatDisplayName,
     parseDimension,
     findMatchingFormats,
+    getHTML5Budget,
     validateFileForFormat,
+    validateFileAcrossNetworks,
+    getAnimationPlaybackSeconds,
+    describeSpecConstraints,
+    getSafeAreaZones,
+    findSafeAreaSpecs,
+    findSafeAreaViolations,
     detectMultiFileFormats,
+    buildMultiFileGroupMembership,
     groupByFolderPath
   };
 }
@@ -0,0 +1,115 @@
+/**
+ * Thumbnail Cache
+ * Keeps thumbnail object URLs per content hash, so identical files uploaded twice
+ * share one set of thumbnails. URLs are reference-counted and revoked when the
+ * last file using them is removed.
+ */
+
+(function(window) {
+  'use strict';
+
+  // contentHash -> { urls: { list, details }, refCount }
+  const entries = new Map();
+
+  /**
+   * Get hashes with cached thumbnails (passed to the analysis to skip regenerating them)
+   * Each returned entry gets an extra reference, so removing the last file with that content
+   * while the analysis is queued or running can't drop thumbnails the analysis skipped.
+   * Pair with unpinHashes() once the analyzed files have been acquired.
+   * @returns {Array<string>} Content hashes
+   */
+  function pinCachedHashes() {
+    for (const entry of entries.values()) {
+      entry.refCount++;
+    }
+    return Array.from(entries.keys());
+  }
+
+  /**
+   * Drop one reference of a cache entry, revoking its URLs when unused
+   * @param {string} contentHash - Content hash
+   */
+  function unref(contentHash) {
+    const entry = entries.get(contentHash);
+    if (!entry) return;
+
+    entry.refCount--;
+    if (entry.refCount <= 0) {
+      Object.values(entry.urls).forEach(url => URL.revokeObjectURL(url));
+      entries.delete(contentHash);
+    }
+  }
+
+  /**
+   * Release the references taken by pinCachedHashes()
+   * @param {Array<string>} hashes - Result of pinCachedHashes()
+   */
+  function unpinHashes(hashes) {
+    hashes.forEach(unref);
+  }
+
+  /**
+   * Create object URLs for a set of thumbnail Blobs
+   * @param {Object<string, Blob>} blobs - Blob per size name
+   * @returns {Object<string, string>} Object URL per size name
+   */
+  function createURLs(blobs) {
+    const urls = {};
+    for (const [name, blob] of Object.entries(blobs)) {
+      urls[name] = URL.createObjectURL(blob);
+    }
+    return urls;
+  }
+
+  /**
+   * Attach thumbnail URLs to an analyzed file
+   * Uses the cached URLs for known content, otherwise turns file.thumbnailBlobs into URLs
+   * @param {Object} file - Analyzed file object (contentHash, thumbnailBlobs)
+   */
+  function acquire(file) {
+    const blobs = file.thumbnailBlobs;
+    file.thumbnailBlobs = null;
+    file.thumbnails = null;
+
+    const entry = file.contentHash ? entries.get(file.contentHash) : null;
+    if (entry) {
+      entry.refCount++;
+      file.thumbnails = entry.urls;
+      return;
+    }
+
+    if (!blobs) return;
+
+    file.thumbnails = createURLs(blobs);
+    if (file.contentHash) {
+      entries.set(file.contentHash, { urls: file.thumbnails, refCount: 1 });
+    }
+  }
+
+  /**
+   * Release thumbnail URLs of a removed file - revoked when no other file uses them
+   * @param {Object} file - Analyzed file object
+   */
+  function release(file) {
+    if (!file.thumbnails) return;
+
+    const entry = file.contentHash ? entries.get(file.contentHash) : null;
+    if (entry && entry.urls === file.thumbnails) {
+      unref(file.contentHash);
+    } else {
+      // Uncached (no content hash) - URLs belong to this file only
+      Object.values(file.thumbnails).forEach(url => URL.revokeObjectURL(url));
+    }
+
+    file.thumbnails = null;
+  }
+
+  // Export functions
+  window.ThumbnailCache = {
+    acquire,
+    release,
+    pinCachedHashes,
+    unpinHashes
+  };
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,243 @@
+/**
+ * Analysis Worker Pool
+ * Analyzes uploaded files in parallel Web Workers (js/analysis-worker.js) so large
+ * ZIP drops don't freeze the UI. Images go to the workers, HTML5 ZIPs and HTML files
+ * stay on the main thread (JSZip and the HTML5 validator live there).
+ * Falls back to sequential main-thread analysis when workers are not available.
+ */
+
+(function(window) {
+  'use strict';
+
+  const WORKER_SCRIPT = 'js/analysis-worker.js';
+  const MAX_WORKERS = 4;
+
+  let workers = [];
+  let workersUnavailable = false;
+  let nextMessageId = 0;
+  // Uploads are analyzed one after another - workers handle one message at a time
+  let runQueue = Promise.resolve();
+
+  /**
+   * Check if analysis can run in workers
+   * Workers can't be started from file:// pages and need OffscreenCanvas for pixel checks and previews
+   * @returns {boolean} True if the worker pool can be used
+   */
+  function isSupported() {
+    return !workersUnavailable &&
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined' &&
+      typeof location !== 'undefined' && location.protocol !== 'file:';
+  }
+
+  /**
+   * Get number of workers - leave one core for the UI
+   * @returns {number} Pool size
+   */
+  function getPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+  }
+
+  /**
+   * Start one worker and wait until its scripts are loaded
+   * @returns {Promise<Worker>} Ready worker
+   */
+  function startWorker() {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_SCRIPT);
+      worker.onmessage = (event) => {
+        if (event.data.ready) resolve(worker);
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        reject(new Error(event.message || 'Worker failed to start'));
+      };
+    });
+  }
+
+  /**
+   * Start workers up to the pool size (workers are reused between uploads)
+   * If a worker can't start (e.g. blocked script), the pool switches to main-thread analysis for good
+   */
+  async function spawnWorkers() {
+    const missing = getPoolSize() - workers.length;
+    if (missing <= 0) return;
+
+    const started = await Promise.allSettled(Array.from({ length: missing }, startWorker));
+    started.filter(result => result.status === 'fulfilled').forEach(result => workers.push(result.value));
+
+    const failed = started.find(result => result.status === 'rejected');
+    if (failed) {
+      console.warn('Analysis workers unavailable, analyzing on main thread:', failed.reason.message);
+      workersUnavailable = true;
+      terminateWorkers();
+    }
+  }
+
+  /**
+   * Stop all workers (cancels the files they are working on)
+   */
+  function terminateWorkers() {
+    workers.forEach(worker => worker.terminate());
+    workers = [];
+  }
+
+  /**
+   * Create the error thrown when analysis is cancelled
+   * @returns {Error} Error with name 'AbortError'
+   */
+  function createAbortError() {
+    const error = new Error('Analýza zrušena');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Analyze one file in a worker
+   * @param {Worker} worker - Idle worker
+   * @param {File} file - Image file
+   * @param {Object} analyzeOptions - Options for analyzeFile()
+   * @returns {Promise<Object>} Analysis result without the file reference
+   */
+  function runInWorker(worker, file, analyzeOptions) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextMessageId;
+
+      worker.onmessage = (event) => {
+        if (event.data.id !== id) return;
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.analysis);
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        reject(new Error(event.message || 'Worker error'));
+      };
+
+      worker.postMessage({ id, file, options: analyzeOptions });
+    });
+  }
+
+  /**
+   * Analyze one file, in a worker when possible
+   * @param {Worker|null} worker - Worker for this lane, null = main thread
+   * @param {File} file - File to analyze
+   * @param {Object} analyzeOptions - Options for analyzeFile()
+   * @returns {Promise<Object>} Analysis result
+   */
+  async function analyzeOne(worker, file, analyzeOptions) {
+    if (!worker || getFileFormat(file) !== FILE_TYPES.TYPES.IMAGE) {
+      return analyzeFile(file, '', analyzeOptions);
+    }
+
+    try {
+      const analysis = await runInWorker(worker, file, analyzeOptions);
+      analysis.file = file;
+      return analysis;
+    } catch (error) {
+      console.warn(`Worker analysis failed for ${file.name}, retrying on main thread:`, error.message);
+      return analyzeFile(file, '', analyzeOptions);
+    }
+  }
+
+  /**
+   * Analyze files in parallel workers
+   * Results keep the input order. Progress is reported when a file starts and when it finishes.
+   * A call made while another one runs waits for it to finish.
+   * @param {FileList|Array<File>} files - Files to analyze
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Callback({ current, total, percentage, file, active })
+   *   current = finished files, active = names of files being analyzed right now
+   * @param {AbortSignal} options.signal - Cancels the analysis (rejects with an AbortError)
+   * @param {Array<string>} options.cachedThumbnailHashes - Passed to analyzeFile()
+   * @returns {Promise<Array>} Array of analysis results
+   */
+  function analyzeFiles(files, options = {}) {
+    const run = runQueue.then(() => runAnalysis(files, options));
+    runQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run one analysis over the pool (see analyzeFiles)
+   * @param {FileList|Array<File>} files - Files to analyze
+   * @param {Object} options - Same options as analyzeFiles
+   * @returns {Promise<Array>} Array of analysis results
+   */
+  async function runAnalysis(files, options) {
+    const { onProgress = null, signal = null, cachedThumbnailHashes = [] } = options;
+    const analyzeOptions = { cachedThumbnailHashes };
+    const fileArray = Array.from(files);
+    const results = new Array(fileArray.length);
+    const active = new Set();
+    let completed = 0;
+    let nextIndex = 0;
+
+    if (signal && signal.aborted) throw createAbortError();
+
+    // Rejects as soon as the signal fires, so lanes don't wait for terminated workers
+    let onAbort = null;
+    const aborted = new Promise((resolve, reject) => {
+      if (signal) {
+        onAbort = () => {
+          terminateWorkers();
+          reject(createAbortError());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    aborted.catch(() => {}); // Observed through Promise.race below
+
+    const report = (fileName) => {
+      if (!onProgress) return;
+      onProgress({
+        current: completed,
+        total: fileArray.length,
+        percentage: Math.round((completed / fileArray.length) * 100),
+        file: fileName,
+        active: Array.from(active)
+      });
+    };
+
+    try {
+      if (isSupported()) await spawnWorkers();
+      const lanes = isSupported() && workers.length > 0 ? workers.slice() : [null];
+
+      const runLane = async (worker) => {
+        while (nextIndex < fileArray.length) {
+          if (signal && signal.aborted) throw createAbortError();
+
+          const index = nextIndex++;
+          const file = fileArray[index];
+          active.add(file.name);
+          report(file.name);
+
+          results[index] = await Promise.race([analyzeOne(worker, file, analyzeOptions), aborted]);
+
+          active.delete(file.name);
+          completed++;
+          report(file.name);
+        }
+      };
+
+      await Promise.all(lanes.map(runLane));
+      return results;
+    } finally {
+      // The signal may outlive this run (it is owned by the upload)
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Export functions
+  window.AnalysisWorkerPool = {
+    analyzeFiles,
+    isSupported,
+    terminateWorkers
+  };
+
+})(typeof window !== 'undefined' ? window : globalThis);